@@ -6,6 +6,7 @@ export let CHATS = {}; // In-memory store of chatId → messages
  * @property {'user' | 'assistant'} role - Who sent the message.
  * @property {string} content - The actual message text.
  * @property {boolean} [isCached] - Whether the message came from cache.
+ * @property {'cache' | 'smart_recall' | 'standard'} [responseMode] - Which mode served the reply.
  * @property {number|string} [responseTime] - Response time (optional).
  */
 
@@ -45,34 +46,75 @@ export const chatData = {
     }
 };
 
+/**
+ * Parses a Server-Sent Events response body and yields `{ event, data }` pairs.
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ */
+async function* readServerSentEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+
+            yield { event, data: data ? JSON.parse(data) : {} };
+        }
+    }
+}
+
 /**
  * Sends a chat message to the server for restaurant/dining assistance.
+ * The reply is streamed back, so progress callbacks fire while the agent works.
+ * The user is identified by the login cookie.
  * 
- * @param {string} sessionId 
  * @param {string} chatId 
  * @param {string} message 
  * @param {Object} [options]
  * @param {() => void} [options.onLoad]                 - called before fetch
- * @param {(reply: string) => void} [options.onSuccess] - called with assistant reply
+ * @param {(status: 'hit' | 'miss') => void} [options.onCacheCheck] - called with the semantic cache result
+ * @param {(tool: string, args: Object) => void} [options.onToolStart] - called when the agent invokes a tool
+ * @param {(tool: string, success: boolean) => void} [options.onToolEnd] - called when a tool finishes
+ * @param {(delta: string) => void} [options.onToken]   - called with each token of the answer
+ * @param {(reply: ChatMessage) => void} [options.onSuccess] - called with assistant reply
  * @param {(error: any) => void} [options.onError]      - called on fetch or server error
- * @param {boolean} [options.useSmartRecall]      - called on fetch or server error
+ * @param {boolean} [options.useSmartRecall]            - whether to use the semantic cache and long-term memory
  */
-export async function sendChatMessage(sessionId, chatId, message, options = {}) {
-    const { onLoad, onSuccess, onError, useSmartRecall } = options;
+export async function sendChatMessage(chatId, message, options = {}) {
+    const { onLoad, onCacheCheck, onToolStart, onToolEnd, onToken, onSuccess, onError, useSmartRecall } = options;
 
     try {
         onLoad?.();
         const startTime = performance.now();
-        const res = await fetch('/ai/chat', {
+        const res = await fetch('/ai/chat/stream', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+            },
             body: JSON.stringify({
                 chatId,
-                sessionId,
                 message,
-                ...(useSmartRecall && {
-                    useSmartRecall: true
-                })
+                useSmartRecall: Boolean(useSmartRecall)
             })
         });
 
@@ -81,15 +123,42 @@ export async function sendChatMessage(sessionId, chatId, message, options = {})
             throw new Error(error.error || 'Unknown error');
         }
 
+        let data = null;
+
+        for await (const { event, data: payload } of readServerSentEvents(res.body)) {
+            switch (event) {
+                case 'cache_check':
+                    onCacheCheck?.(payload.status);
+                    break;
+                case 'tool_start':
+                    onToolStart?.(payload.tool, payload.args);
+                    break;
+                case 'tool_end':
+                    onToolEnd?.(payload.tool, payload.success);
+                    break;
+                case 'token':
+                    onToken?.(payload.content);
+                    break;
+                case 'done':
+                    data = payload;
+                    break;
+                case 'error':
+                    throw new Error(payload.error || 'Unknown error');
+            }
+        }
+
+        if (!data) {
+            throw new Error('Chat stream ended unexpectedly');
+        }
+
         const endTime = performance.now();
         const responseTime = (endTime - startTime) / 1000; // in seconds
 
-        const data = await res.json();
-
         const chatMessageObject = {
             role: 'assistant',
             content: data.content,
             isCachedResponse: data.isCachedResponse,
+            responseMode: data.responseMode,
             responseTime
         }
         chatData.addMessage(chatId, chatMessageObject);
@@ -102,15 +171,14 @@ export async function sendChatMessage(sessionId, chatId, message, options = {})
 }
 
 /**
- * Ends a user session and deletes their chat history from Redis.
+ * Ends the logged-in user's session and deletes their chat history from Redis.
  *
- * @param {string} sessionId - The user's session identifier.
  * @param {Object} [options]
  * @param {() => void} [options.onLoad]      - Called before the request starts.
  * @param {() => void} [options.onSuccess]   - Called on successful deletion.
  * @param {(error: any) => void} [options.onError] - Called on failure.
  */
-export async function endSession(sessionId, options = {}) {
+export async function endSession(options = {}) {
     const { onLoad, onSuccess, onError } = options;
 
     try {
@@ -119,7 +187,6 @@ export async function endSession(sessionId, options = {}) {
         const res = await fetch('/ai/chat/end-session', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sessionId }),
         });
 
         if (!res.ok) {
@@ -135,3 +202,143 @@ export async function endSession(sessionId, options = {}) {
         onError?.(err);
     }
 }
+
+/**
+ * Sends a JSON request to a chat endpoint and returns the parsed response body.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ */
+async function requestChatApi(url, init = {}) {
+    const res = await fetch(url, {
+        ...init,
+        headers: { 'Content-Type': 'application/json', ...init.headers },
+    });
+    const body = await res.json();
+
+    if (!res.ok || !body.success) {
+        throw new Error(body.error || 'Unknown error');
+    }
+
+    return body;
+}
+
+/**
+ * @typedef {Object} ChatThread
+ * @property {string} id - Chat ID.
+ * @property {string} title - Thread title.
+ * @property {string|null} preview - Start of the latest message.
+ * @property {number} messageCount - Number of messages in the thread.
+ * @property {string|null} updatedAt - Time of the latest message.
+ */
+
+/**
+ * Lists the logged-in user's chat threads, most recent first.
+ *
+ * @param {Object} [options]
+ * @param {(chats: ChatThread[]) => void} [options.onSuccess]
+ * @param {(error: any) => void} [options.onError]
+ */
+export async function listChats(options = {}) {
+    const { onSuccess, onError } = options;
+
+    try {
+        const { data } = await requestChatApi('/ai/chats');
+        onSuccess?.(data);
+    } catch (error) {
+        console.error('Failed to load chats:', error);
+        onError?.(error);
+    }
+}
+
+/**
+ * Starts a new, empty chat thread.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.title] - Optional title; generated after the first reply otherwise.
+ * @param {(chat: ChatThread) => void} [options.onSuccess]
+ * @param {(error: any) => void} [options.onError]
+ */
+export async function createChat(options = {}) {
+    const { title, onSuccess, onError } = options;
+
+    try {
+        const { data } = await requestChatApi('/ai/chats', {
+            method: 'POST',
+            body: JSON.stringify({ title }),
+        });
+        CHATS[data.id] = [];
+        onSuccess?.(data);
+    } catch (error) {
+        console.error('Failed to create chat:', error);
+        onError?.(error);
+    }
+}
+
+/**
+ * Renames a chat thread.
+ *
+ * @param {string} chatId
+ * @param {string} title
+ * @param {Object} [options]
+ * @param {(chat: ChatThread) => void} [options.onSuccess]
+ * @param {(error: any) => void} [options.onError]
+ */
+export async function renameChat(chatId, title, options = {}) {
+    const { onSuccess, onError } = options;
+
+    try {
+        const { data } = await requestChatApi(`/ai/chats/${encodeURIComponent(chatId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ title }),
+        });
+        onSuccess?.(data);
+    } catch (error) {
+        console.error('Failed to rename chat:', error);
+        onError?.(error);
+    }
+}
+
+/**
+ * Deletes a chat thread and its messages.
+ *
+ * @param {string} chatId
+ * @param {Object} [options]
+ * @param {() => void} [options.onSuccess]
+ * @param {(error: any) => void} [options.onError]
+ */
+export async function deleteChat(chatId, options = {}) {
+    const { onSuccess, onError } = options;
+
+    try {
+        await requestChatApi(`/ai/chats/${encodeURIComponent(chatId)}`, { method: 'DELETE' });
+        delete CHATS[chatId];
+        onSuccess?.();
+    } catch (error) {
+        console.error('Failed to delete chat:', error);
+        onError?.(error);
+    }
+}
+
+/**
+ * Loads the messages of a chat thread into the in-memory store.
+ *
+ * @param {string} chatId
+ * @param {Object} [options]
+ * @param {() => void} [options.onLoad]
+ * @param {(messages: ChatMessage[]) => void} [options.onSuccess]
+ * @param {(error: any) => void} [options.onError]
+ */
+export async function loadChatHistory(chatId, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const { history } = await requestChatApi(`/ai/chat/history?chatId=${encodeURIComponent(chatId)}`);
+        CHATS[chatId] = history;
+        onSuccess?.(history);
+    } catch (error) {
+        console.error('Failed to load chat history:', error);
+        onError?.(error);
+    }
+}
@@ -0,0 +1,92 @@
+import { MessageFormatter } from '../chat-window/message-formatter.js';
+
+export class ChatThreadList {
+    constructor(listId, { onSelect = null, onRename = null, onDelete = null } = {}) {
+        this.listElement = document.getElementById(listId);
+        this.onSelect = onSelect;
+        this.onRename = onRename;
+        this.onDelete = onDelete;
+        this.threads = [];
+        this.activeChatId = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.listElement) return;
+
+        this.listElement.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-chat-id]');
+            if (!item) return;
+
+            const thread = this.threads.find((t) => t.id === item.dataset.chatId);
+            if (!thread) return;
+
+            if (e.target.closest('.brutal-thread-rename')) {
+                const title = prompt('Rename chat', thread.title);
+                if (title && title.trim() && title.trim() !== thread.title) {
+                    this.onRename?.(thread.id, title.trim());
+                }
+            } else if (e.target.closest('.brutal-thread-delete')) {
+                if (confirm(`Delete "${thread.title}"? Its messages will be removed.`)) {
+                    this.onDelete?.(thread.id);
+                }
+            } else if (thread.id !== this.activeChatId) {
+                this.onSelect?.(thread.id);
+            }
+        });
+    }
+
+    render(threads, activeChatId = this.activeChatId) {
+        this.threads = threads;
+        this.activeChatId = activeChatId;
+
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+
+        if (threads.length === 0) {
+            this.listElement.innerHTML = '<li class="brutal-thread-empty">No chats yet</li>';
+            return;
+        }
+
+        threads.forEach((thread) => {
+            this.listElement.appendChild(this.createItem(thread));
+        });
+    }
+
+    setActive(chatId) {
+        this.render(this.threads, chatId);
+    }
+
+    createItem(thread) {
+        const item = document.createElement('li');
+        item.className = `brutal-thread-item${thread.id === this.activeChatId ? ' active' : ''}`;
+        item.dataset.chatId = thread.id;
+
+        const updatedAt = thread.updatedAt
+            ? MessageFormatter.formatTimestamp(new Date(thread.updatedAt))
+            : '';
+
+        item.innerHTML = `
+            <div class="brutal-thread-text">
+                <span class="brutal-thread-title"></span>
+                <span class="brutal-thread-preview"></span>
+                <span class="brutal-thread-meta">${thread.messageCount} MSGS${updatedAt ? ` • ${updatedAt}` : ''}</span>
+            </div>
+            <div class="brutal-thread-actions">
+                <button type="button" class="brutal-thread-rename" title="Rename chat">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="brutal-thread-delete" title="Delete chat">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+
+        // Titles and previews are user content, so set them as text
+        item.querySelector('.brutal-thread-title').textContent = thread.title;
+        item.querySelector('.brutal-thread-preview').textContent = thread.preview || '';
+
+        return item;
+    }
+}
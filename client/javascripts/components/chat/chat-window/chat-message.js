@@ -1,11 +1,13 @@
 import { MessageFormatter } from './message-formatter.js';
+import { RESPONSE_MODES } from '../../../utils/constants.js';
 
 export class ChatMessage {
-    constructor(message, sender, isCached = false, responseTime = null, onRestaurantAction = null) {
+    constructor(message, sender, isCached = false, responseTime = null, responseMode = null, onRestaurantAction = null) {
         this.message = message;
         this.sender = sender;
         this.isCached = isCached;
         this.responseTime = responseTime;
+        this.responseMode = responseMode;
         this.onRestaurantAction = onRestaurantAction;
     }
 
@@ -32,12 +34,19 @@ export class ChatMessage {
                 </div>
             ` : '';
 
+            const mode = RESPONSE_MODES[this.responseMode];
+            const modeBadge = mode ? `
+                <span class="response-mode-badge response-mode-${this.responseMode}" title="${mode.title}">
+                    ${mode.label}
+                </span>
+            ` : '';
+
             messageDiv.innerHTML = `
                 <div class="brutal-assistant-avatar">🍽️</div>
                 <div class="brutal-message-content assistant-content">
                     ${MessageFormatter.formatMessage(this.message)}
                     ${cacheIndicator}
-                    <div class="message-time">${timestamp}</div>
+                    <div class="message-time">${modeBadge}${timestamp}</div>
                 </div>
             `;
         }
@@ -1,5 +1,6 @@
 import { ChatMessage } from './chat-message.js';
 import { TypingIndicator } from './typing-indicator.js';
+import { StreamingMessage } from './streaming-message.js';
 
 export class ChatWindow {
     constructor(messagesContainerId, onRestaurantAction = null) {
@@ -8,22 +9,66 @@ export class ChatWindow {
         this.onRestaurantAction = onRestaurantAction;
     }
 
-    addMessage(message, sender, isCached = false, responseTime = null) {
+    addMessage(message, sender, isCached = false, responseTime = null, responseMode = null) {
         if (!this.messagesContainer) return;
 
+        const messageElement = this.createMessageElement(message, sender, isCached, responseTime, responseMode);
+        this.messagesContainer.appendChild(messageElement);
+        this.scrollToBottom();
+    }
+
+    createMessageElement(message, sender, isCached = false, responseTime = null, responseMode = null) {
         const chatMessage = new ChatMessage(
             message,
             sender,
             isCached,
             responseTime,
+            responseMode,
             this.onRestaurantAction
         );
 
-        const messageElement = chatMessage.createElement();
-        this.messagesContainer.appendChild(messageElement);
+        return chatMessage.createElement();
+    }
+
+    startStreamingMessage() {
+        if (!this.messagesContainer) return null;
+
+        this.streamingMessage = new StreamingMessage(this.messagesContainer);
+        this.messagesContainer.appendChild(this.streamingMessage.createElement());
+        this.scrollToBottom();
+
+        return this.streamingMessage;
+    }
+
+    updateStreamingMessage(update) {
+        if (!this.streamingMessage) {
+            // Without smart recall the first event is a tool call or token rather than a cache check
+            this.typingIndicator.hide();
+            if (!this.startStreamingMessage()) return;
+        }
+
+        update(this.streamingMessage);
         this.scrollToBottom();
     }
 
+    finishStreamingMessage(message, isCached = false, responseTime = null, responseMode = null) {
+        if (!this.streamingMessage) {
+            this.addMessage(message, 'assistant', isCached, responseTime, responseMode);
+            return;
+        }
+
+        this.streamingMessage.replaceWith(
+            this.createMessageElement(message, 'assistant', isCached, responseTime, responseMode)
+        );
+        this.streamingMessage = null;
+        this.scrollToBottom();
+    }
+
+    cancelStreamingMessage() {
+        this.streamingMessage?.remove();
+        this.streamingMessage = null;
+    }
+
     showTypingIndicator() {
         this.typingIndicator.show();
     }
@@ -44,6 +89,24 @@ export class ChatWindow {
         }
     }
 
+    renderHistory(messages) {
+        if (!this.messagesContainer) return;
+
+        this.clear();
+        messages.forEach((message) => {
+            this.messagesContainer.appendChild(
+                this.createMessageElement(
+                    message.content,
+                    message.role,
+                    message.responseMode === 'cache',
+                    null,
+                    message.responseMode
+                )
+            );
+        });
+        this.scrollToBottom();
+    }
+
     showWelcomeMessage() {
         if (this.messagesContainer) {
             this.messagesContainer.innerHTML = `
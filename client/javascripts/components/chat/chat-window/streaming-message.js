@@ -0,0 +1,78 @@
+import { MessageFormatter } from './message-formatter.js';
+import { TOOL_LABELS } from '../../../utils/constants.js';
+
+export class StreamingMessage {
+    constructor(messagesContainer) {
+        this.messagesContainer = messagesContainer;
+        this.content = '';
+        this.element = null;
+        this.activityList = null;
+        this.contentElement = null;
+    }
+
+    createElement() {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant-message streaming-message';
+        messageDiv.innerHTML = `
+            <div class="brutal-assistant-avatar">🍽️</div>
+            <div class="brutal-message-content assistant-content">
+                <ul class="stream-activity"></ul>
+                <div class="stream-content"></div>
+            </div>
+        `;
+
+        this.element = messageDiv;
+        this.activityList = messageDiv.querySelector('.stream-activity');
+        this.contentElement = messageDiv.querySelector('.stream-content');
+
+        return messageDiv;
+    }
+
+    showCacheCheck(status) {
+        const label = status === 'hit'
+            ? '🎯 Found a similar earlier answer'
+            : '🔍 No earlier answer found, thinking...';
+        this.addActivity(`cache-${status}`, label);
+    }
+
+    showToolStart(tool) {
+        this.addActivity(`tool-${tool}`, `${TOOL_LABELS[tool] || `🔧 ${tool}`}...`);
+    }
+
+    showToolEnd(tool, success) {
+        const items = this.activityList?.querySelectorAll(`[data-activity="tool-${tool}"]:not(.done)`);
+        const item = items?.[items.length - 1];
+        if (!item) return;
+
+        item.classList.add('done');
+        item.textContent = `${TOOL_LABELS[tool] || `🔧 ${tool}`} ${success ? '✔' : '✖'}`;
+    }
+
+    appendToken(delta) {
+        if (!this.contentElement) return;
+
+        this.content += delta;
+        this.contentElement.innerHTML = MessageFormatter.formatMessage(this.content);
+    }
+
+    addActivity(key, label) {
+        if (!this.activityList) return;
+
+        const item = document.createElement('li');
+        item.dataset.activity = key;
+        item.textContent = label;
+        this.activityList.appendChild(item);
+    }
+
+    replaceWith(finalElement) {
+        if (this.element?.parentNode) {
+            this.element.replaceWith(finalElement);
+        } else if (this.messagesContainer) {
+            this.messagesContainer.appendChild(finalElement);
+        }
+    }
+
+    remove() {
+        this.element?.remove();
+    }
+}
@@ -6,10 +6,10 @@ export class ReservationButton {
         this.onError = onError;
     }
 
-    async makeReservationFromChat(sessionId, restaurantId, buttonElement, guests = 2) {
+    async makeReservationFromChat(restaurantId, buttonElement, guests = 2) {
         const originalContent = buttonElement.innerHTML;
 
-        await bookTable(sessionId, restaurantId, guests, {
+        await bookTable(restaurantId, guests, {
             onLoad: () => {
                 buttonElement.innerHTML = '⏳';
                 buttonElement.disabled = true;
@@ -21,7 +21,7 @@ export class ReservationCount {
             return;
         }
 
-        await loadReservationCount(sessionId, {
+        await loadReservationCount({
             onSuccess: (reservations) => {
                 if (reservations.success && reservations.summary) {
                     this.update(reservations.summary.totalReservations);
@@ -3,17 +3,17 @@ export class RelatedRestaurants {
         this.container = document.getElementById(containerId);
     }
 
-    async load(cuisine, excludeRestaurantId) {
+    async load(restaurantId) {
         if (!this.container) return;
 
         try {
-            const response = await fetch(`/api/restaurants/related?cuisine=${encodeURIComponent(cuisine)}&exclude=${excludeRestaurantId}`);
+            const response = await fetch(`/api/restaurants/related?id=${encodeURIComponent(restaurantId)}&limit=6`);
             
             if (!response.ok) {
                 throw new Error('Failed to load related restaurants');
             }
 
-            const restaurants = await response.json();
+            const { data: restaurants } = await response.json();
             this.render(restaurants);
 
         } catch (error) {
@@ -1,27 +1,209 @@
+import { getSuggestions } from '../../services/restaurantService.js';
+
+const SUGGESTION_GROUPS = [
+    { key: 'restaurants', label: 'RESTAURANTS', icon: 'fa-utensils' },
+    { key: 'cuisines', label: 'CUISINES', icon: 'fa-globe' },
+    { key: 'localities', label: 'LOCALITIES', icon: 'fa-map-marker-alt' },
+    { key: 'dishes', label: 'DISHES', icon: 'fa-pepper-hot' },
+];
+
+const SUGGEST_DELAY_MS = 150;
+const MIN_PREFIX_LENGTH = 2;
+
 export class SearchBar {
+    /**
+     * @param {string} formSelector - Search form
+     * @param {string} inputSelector - Search input
+     * @param {Function} onSearch - Called with (query, kind); kind is 'cuisines', 'localities' or 'dishes'
+     * for a picked suggestion and undefined for typed text. Picked restaurants open their page instead.
+     */
     constructor(formSelector, inputSelector, onSearch = null) {
         this.form = document.querySelector(formSelector);
         this.input = document.querySelector(inputSelector);
         this.onSearch = onSearch;
+        this.suggestionList = null;
+        this.options = [];
+        this.activeIndex = -1;
+        this.suggestTimer = null;
+        this.suggestController = null;
         this.init();
     }
 
     init() {
-        if (this.form) {
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        }
+        if (!this.form || !this.input) return;
+
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        this.suggestionList = document.createElement('ul');
+        this.suggestionList.className = 'brutal-suggestions';
+        this.suggestionList.id = `${this.input.id || 'search'}-suggestions`;
+        this.suggestionList.setAttribute('role', 'listbox');
+        this.suggestionList.hidden = true;
+        this.form.appendChild(this.suggestionList);
+
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.suggestionList.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.input.addEventListener('input', () => this.scheduleSuggestions());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list goes away
+            setTimeout(() => this.hideSuggestions(), 150);
+        });
+
+        // mousedown keeps focus in the input, so blur does not close the list mid-click
+        this.suggestionList.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-option-index]');
+            if (!item) return;
+
+            e.preventDefault();
+            this.pick(this.options[Number(item.dataset.optionIndex)]);
+        });
     }
 
     handleSubmit(e) {
         e.preventDefault();
+
+        if (this.activeIndex >= 0) {
+            this.pick(this.options[this.activeIndex]);
+            return;
+        }
+
         const query = this.input.value.trim();
 
         if (!query) return;
 
+        this.hideSuggestions();
+
         if (this.onSearch) {
             this.onSearch(query);
         }
 
         this.input.value = '';
     }
+
+    handleKeydown(e) {
+        if (this.suggestionList.hidden || this.options.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.options.length) % this.options.length);
+        } else if (e.key === 'Escape') {
+            this.hideSuggestions();
+        }
+    }
+
+    scheduleSuggestions() {
+        clearTimeout(this.suggestTimer);
+        const prefix = this.input.value.trim();
+
+        if (prefix.length < MIN_PREFIX_LENGTH) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestTimer = setTimeout(() => {
+            this.suggestController?.abort();
+            this.suggestController = new AbortController();
+
+            getSuggestions(prefix, {
+                signal: this.suggestController.signal,
+                onSuccess: (suggestions) => this.renderSuggestions(suggestions),
+                onError: () => this.hideSuggestions()
+            });
+        }, SUGGEST_DELAY_MS);
+    }
+
+    renderSuggestions(suggestions) {
+        this.suggestionList.innerHTML = '';
+        this.options = [];
+        this.activeIndex = -1;
+
+        SUGGESTION_GROUPS.forEach(({ key, label, icon }) => {
+            const entries = suggestions[key] || [];
+            if (entries.length === 0) return;
+
+            const heading = document.createElement('li');
+            heading.className = 'brutal-suggestion-group';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = label;
+            this.suggestionList.appendChild(heading);
+
+            entries.forEach((entry) => {
+                const option = key === 'restaurants'
+                    ? { kind: key, text: entry.name, id: entry.id }
+                    : { kind: key, text: entry };
+                this.suggestionList.appendChild(this.createOption(option, icon));
+                this.options.push(option);
+            });
+        });
+
+        if (this.options.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+
+        this.suggestionList.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    createOption(option, icon) {
+        const index = this.options.length;
+        const item = document.createElement('li');
+        item.className = 'brutal-suggestion-item';
+        item.id = `${this.suggestionList.id}-${index}`;
+        item.dataset.optionIndex = String(index);
+        item.setAttribute('role', 'option');
+        item.innerHTML = `<i class="fas ${icon}"></i><span></span>`;
+        item.querySelector('span').textContent = option.text;
+        return item;
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.suggestionList.querySelectorAll('[data-option-index]').forEach((item) => {
+            const isActive = Number(item.dataset.optionIndex) === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        this.input.setAttribute('aria-activedescendant', `${this.suggestionList.id}-${index}`);
+    }
+
+    pick(option) {
+        if (!option) return;
+
+        this.hideSuggestions();
+        this.input.value = '';
+
+        if (option.kind === 'restaurants') {
+            window.location.href = `/restaurant/${encodeURIComponent(option.id)}`;
+            return;
+        }
+
+        if (this.onSearch) {
+            this.onSearch(option.text, option.kind);
+        }
+    }
+
+    hideSuggestions() {
+        if (!this.suggestionList) return;
+
+        // Drop any lookup still in flight so it cannot reopen the list
+        clearTimeout(this.suggestTimer);
+        this.suggestController?.abort();
+
+        this.suggestionList.hidden = true;
+        this.suggestionList.innerHTML = '';
+        this.options = [];
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
 }
@@ -1,4 +1,5 @@
 import { SessionService } from '../../services/sessionService.js';
+import { logout } from '../../services/authService.js';
 
 export class SessionManager {
     constructor(onSessionEnd = null, onNewChat = null) {
@@ -14,6 +15,11 @@ export class SessionManager {
             endSessionBtn.addEventListener('click', () => this.endSession());
         }
 
+        const logoutBtn = document.getElementById('logout');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => this.logout());
+        }
+
         const newChatBtn = document.getElementById('new-chat');
         if (newChatBtn) {
             newChatBtn.addEventListener('click', () => this.createNewChat());
@@ -37,6 +43,17 @@ export class SessionManager {
         );
     }
 
+    async logout() {
+        await logout({
+            onSuccess: () => {
+                window.location.href = '/login';
+            },
+            onError: (error) => {
+                console.error('Logout failed:', error);
+            }
+        });
+    }
+
     createNewChat() {
         if (this.onNewChat) {
             this.onNewChat();
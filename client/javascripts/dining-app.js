@@ -82,7 +82,7 @@ export class DiningApp {
         this.isLoading = true;
         this.chatWindow.addUserMessage(message);
 
-        await sendChatMessage(this.sessionId, this.currentChatId, message, {
+        await sendChatMessage(this.currentChatId, message, {
             onLoad: () => {
                 this.chatWindow.showTypingIndicator();
             },
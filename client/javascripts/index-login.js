@@ -0,0 +1,5 @@
+import { LoginApp } from './login-app.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.loginApp = new LoginApp();
+});
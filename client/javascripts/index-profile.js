@@ -0,0 +1,7 @@
+import { ProfileApp } from './profile-app.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const sessionId = document.querySelector('[data-session-id]')?.dataset.sessionId;
+
+    window.profileApp = new ProfileApp(sessionId);
+});
@@ -0,0 +1,43 @@
+import { login, signup } from './services/authService.js';
+
+import { NotificationSystem } from './components/notifications/notification-system.js';
+
+export class LoginApp {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.loginForm = document.getElementById('login-form');
+        this.signupForm = document.getElementById('signup-form');
+
+        this.loginForm?.addEventListener('submit', (e) => this.handleLogin(e));
+        this.signupForm?.addEventListener('submit', (e) => this.handleSignup(e));
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+
+        const form = new FormData(this.loginForm);
+
+        await login(form.get('username'), form.get('password'), {
+            onSuccess: () => this.redirectToApp(),
+            onError: (error) => NotificationSystem.error(error.message),
+        });
+    }
+
+    async handleSignup(e) {
+        e.preventDefault();
+
+        const form = new FormData(this.signupForm);
+
+        await signup(form.get('username'), form.get('password'), form.get('name'), {
+            onSuccess: () => this.redirectToApp(),
+            onError: (error) => NotificationSystem.error(error.message),
+        });
+    }
+
+    redirectToApp() {
+        window.location.href = '/';
+    }
+}
@@ -0,0 +1,95 @@
+import { updateProfile, addPreference, removePreference } from './services/profileService.js';
+
+import { NotificationSystem } from './components/notifications/notification-system.js';
+
+export class ProfileApp {
+    constructor(sessionId) {
+        this.sessionId = sessionId;
+        this.init();
+    }
+
+    init() {
+        this.profileForm = document.getElementById('profile-form');
+        this.preferenceForm = document.getElementById('preference-form');
+        this.preferencesList = document.getElementById('preferences-list');
+
+        this.setupEventHandlers();
+    }
+
+    setupEventHandlers() {
+        this.profileForm?.addEventListener('submit', (e) => this.handleProfileSave(e));
+        this.preferenceForm?.addEventListener('submit', (e) => this.handlePreferenceAdd(e));
+
+        this.preferencesList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.brutal-preference-remove');
+            if (removeBtn) {
+                this.handlePreferenceRemove(removeBtn.closest('.brutal-preference-item').dataset.preference);
+            }
+        });
+    }
+
+    async handleProfileSave(e) {
+        e.preventDefault();
+
+        const form = new FormData(this.profileForm);
+        const toNumberOrNull = (value) => value === '' ? null : Number(value);
+
+        await updateProfile(this.sessionId, {
+            name: form.get('name'),
+            email: form.get('email') || null,
+            phone: form.get('phone') || null,
+            city: form.get('city') || null,
+            locality: form.get('locality'),
+            latitude: toNumberOrNull(form.get('latitude')),
+            longitude: toNumberOrNull(form.get('longitude')),
+        }, {
+            onSuccess: (result) => NotificationSystem.success(result.message),
+            onError: (error) => NotificationSystem.error(error.message),
+        });
+    }
+
+    async handlePreferenceAdd(e) {
+        e.preventDefault();
+
+        const input = this.preferenceForm.elements.preference;
+        const preference = input.value.trim();
+        if (!preference) return;
+
+        await addPreference(this.sessionId, preference, {
+            onSuccess: (result) => {
+                input.value = '';
+                this.renderPreferences(result.data);
+            },
+            onError: (error) => NotificationSystem.error(error.message),
+        });
+    }
+
+    async handlePreferenceRemove(preference) {
+        await removePreference(this.sessionId, preference, {
+            onSuccess: (result) => this.renderPreferences(result.data),
+            onError: (error) => NotificationSystem.error(error.message),
+        });
+    }
+
+    renderPreferences(preferences) {
+        this.preferencesList.innerHTML = '';
+
+        preferences.forEach(preference => {
+            const item = document.createElement('li');
+            item.className = 'brutal-preference-item';
+            item.dataset.preference = preference;
+
+            const text = document.createElement('span');
+            text.textContent = preference;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'brutal-preference-remove';
+            removeBtn.setAttribute('aria-label', 'Remove preference');
+            removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+
+            item.append(text, removeBtn);
+            this.preferencesList.appendChild(item);
+        });
+    }
+}
@@ -71,8 +71,8 @@ export class RestaurantApp {
         await this.reservationCount.load(this.sessionId);
 
         // Load related restaurants
-        if (this.restaurantCuisine) {
-            await this.relatedRestaurants.load(this.restaurantCuisine, this.restaurantId);
+        if (this.restaurantId) {
+            await this.relatedRestaurants.load(this.restaurantId);
         }
     }
 
@@ -88,7 +88,7 @@ export class RestaurantApp {
         bookBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> BOOKING...';
 
         try {
-            await bookTable(this.sessionId, this.restaurantId, guests, {
+            await bookTable(this.restaurantId, guests, {
                 onSuccess: (result) => {
                     bookBtn.innerHTML = '✅ BOOKED';
                     this.handleBookingSuccess(result);
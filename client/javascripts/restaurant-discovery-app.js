@@ -1,10 +1,11 @@
-import { sendChatMessage } from './chatService.js';
+import { sendChatMessage, listChats, createChat, renameChat, deleteChat, loadChatHistory } from './chatService.js';
 import { DOM_IDS, CSS_SELECTORS } from './utils/constants.js';
 
 import { ChatWindow } from './components/chat/chat-window/chat-window.js';
 import { ChatInput } from './components/chat/chat-input/chat-input.js';
 import { SuggestionButtons } from './components/chat/chat-input/suggestion-buttons.js';
 import { ChatToggle } from './components/chat/chat-toggle.js';
+import { ChatThreadList } from './components/chat/chat-threads/chat-thread-list.js';
 
 import { ReservationCount } from './components/reservations/reservation-count.js';
 import { ReservationButton } from './components/reservations/reservation-button.js';
@@ -59,15 +60,81 @@ export class RestaurantApp {
             DOM_IDS.MINIMIZE_CHAT
         );
 
+        this.chatThreadList = new ChatThreadList(DOM_IDS.CHAT_THREAD_LIST, {
+            onSelect: (chatId) => this.switchChat(chatId),
+            onRename: (chatId, title) => this.handleRenameChat(chatId, title),
+            onDelete: (chatId) => this.handleDeleteChat(chatId)
+        });
+
+        document.getElementById(DOM_IDS.TOGGLE_THREADS)?.addEventListener('click', (e) => {
+            const isOpen = document.getElementById(DOM_IDS.CHAT_WINDOW).classList.toggle('threads-open');
+            e.currentTarget.setAttribute('aria-expanded', String(isOpen));
+        });
+
         this.searchBar = new SearchBar(
             CSS_SELECTORS.BRUTAL_SEARCH_BAR,
             CSS_SELECTORS.BRUTAL_MAIN_SEARCH,
-            (query) => this.handleMainSearch(query)
+            (query, kind) => this.handleMainSearch(query, kind)
         );
 
         this.restaurantCard = new RestaurantCard(
             (restaurantName, cuisineType) => this.handleRestaurantCardAction(restaurantName, cuisineType)
         );
+
+        this.loadChats({ openLatest: true });
+    }
+
+    async loadChats({ openLatest = false } = {}) {
+        await listChats({
+            onSuccess: (chats) => {
+                this.chatThreadList.render(chats, this.currentChatId);
+
+                // Pick up where the user left off in their most recent thread
+                if (openLatest && chats.length > 0 && chats[0].messageCount > 0) {
+                    this.switchChat(chats[0].id);
+                }
+            }
+        });
+    }
+
+    async switchChat(chatId) {
+        if (this.isLoading) return;
+
+        await loadChatHistory(chatId, {
+            onSuccess: (messages) => {
+                this.currentChatId = chatId;
+                this.chatThreadList.setActive(chatId);
+
+                if (messages.length > 0) {
+                    this.chatWindow.renderHistory(messages);
+                } else {
+                    this.chatWindow.showNewChatMessage();
+                }
+            },
+            onError: () => {
+                NotificationSystem.error('Failed to load chat. Please try again.');
+            }
+        });
+    }
+
+    async handleRenameChat(chatId, title) {
+        await renameChat(chatId, title, {
+            onSuccess: () => this.loadChats(),
+            onError: () => NotificationSystem.error('Failed to rename chat. Please try again.')
+        });
+    }
+
+    async handleDeleteChat(chatId) {
+        await deleteChat(chatId, {
+            onSuccess: async () => {
+                if (chatId === this.currentChatId) {
+                    await this.handleNewChat();
+                } else {
+                    await this.loadChats();
+                }
+            },
+            onError: () => NotificationSystem.error('Failed to delete chat. Please try again.')
+        });
     }
 
     async sendMessage(message) {
@@ -79,25 +146,40 @@ export class RestaurantApp {
 
         const useSmartRecall = document.getElementById(DOM_IDS.MEMORY_TOGGLE)?.checked || false;
 
-        await sendChatMessage(this.sessionId, this.currentChatId, message, {
+        await sendChatMessage(this.currentChatId, message, {
             useSmartRecall,
+            onCacheCheck: (status) => {
+                this.chatWindow.updateStreamingMessage((stream) => stream.showCacheCheck(status));
+            },
+            onToolStart: (tool) => {
+                this.chatWindow.updateStreamingMessage((stream) => stream.showToolStart(tool));
+            },
+            onToolEnd: (tool, success) => {
+                this.chatWindow.updateStreamingMessage((stream) => stream.showToolEnd(tool, success));
+            },
+            onToken: (delta) => {
+                this.chatWindow.updateStreamingMessage((stream) => stream.appendToken(delta));
+            },
             onSuccess: (chatMessage) => {
                 this.chatWindow.hideTypingIndicator();
-                this.chatWindow.addMessage(
+                this.chatWindow.finishStreamingMessage(
                     chatMessage.content,
-                    'assistant',
                     chatMessage.isCachedResponse,
-                    chatMessage.responseTime
+                    chatMessage.responseTime,
+                    chatMessage.responseMode
                 );
 
                 if (chatMessage.content && chatMessage.content.includes('reservation') && !this.reservationCountLoaded) {
                     this.reservationCount.load(this.sessionId);
                     this.reservationCountLoaded = true;
                 }
+
+                this.loadChats();
             },
             onError: (error) => {
                 console.error('Error sending message:', error);
                 this.chatWindow.hideTypingIndicator();
+                this.chatWindow.cancelStreamingMessage();
                 this.chatWindow.addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
             }
         });
@@ -106,7 +188,7 @@ export class RestaurantApp {
     }
 
     async handleRestaurantAction(restaurantId, buttonElement) {
-        await this.reservationButton.makeReservationFromChat(this.sessionId, restaurantId, buttonElement);
+        await this.reservationButton.makeReservationFromChat(restaurantId, buttonElement);
     }
 
     handleReservationSuccess(result) {
@@ -122,16 +204,33 @@ export class RestaurantApp {
         this.chatWindow.showWelcomeMessage();
         this.reservationCount.update(0);
         this.sessionId = newSession.sessionId;
+        this.currentChatId = newSession.currentChatId;
+        this.loadChats();
     }
 
-    handleNewChat() {
-        this.chatWindow.showNewChatMessage();
+    async handleNewChat() {
+        if (this.isLoading) return;
+
+        await createChat({
+            onSuccess: (chat) => {
+                this.currentChatId = chat.id;
+                this.chatWindow.showNewChatMessage();
+                this.loadChats();
+            },
+            onError: () => NotificationSystem.error('Failed to start a new chat. Please try again.')
+        });
     }
 
-    handleMainSearch(query) {
+    handleMainSearch(query, kind) {
+        const message = kind === 'localities'
+            ? `Find restaurants in ${query}`
+            : kind === 'dishes'
+                ? `Find restaurants known for ${query}`
+                : `Find ${query} restaurants`;
+
         this.chatToggle.open();
-        this.chatInput.setValue(`Find ${query} restaurants`);
-        this.sendMessage(`Find ${query} restaurants`);
+        this.chatInput.setValue(message);
+        this.sendMessage(message);
     }
 
     handleRestaurantCardAction(restaurantName, cuisineType) {
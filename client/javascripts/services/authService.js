@@ -0,0 +1,54 @@
+async function requestAuthApi(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) }),
+    });
+
+    const result = await res.json();
+
+    if (!result.success) {
+        throw new Error(result.error || 'Authentication failed');
+    }
+
+    return result;
+}
+
+export async function login(username, password, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestAuthApi('/api/auth/login', { username, password });
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to log in:', err);
+        onError?.(err);
+    }
+}
+
+export async function signup(username, password, name, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestAuthApi('/api/auth/signup', { username, password, name });
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to sign up:', err);
+        onError?.(err);
+    }
+}
+
+export async function logout(options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestAuthApi('/api/auth/logout');
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to log out:', err);
+        onError?.(err);
+    }
+}
@@ -0,0 +1,57 @@
+async function requestProfileApi(url, method, body) {
+    const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        ...(body && { body: JSON.stringify(body) }),
+    });
+
+    const result = await res.json();
+
+    if (!result.success) {
+        throw new Error(result.error || 'Profile request failed');
+    }
+
+    return result;
+}
+
+export async function updateProfile(sessionId, changes, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestProfileApi(`/api/users/${encodeURIComponent(sessionId)}/profile`, 'PATCH', changes);
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to update profile:', err);
+        onError?.(err);
+    }
+}
+
+export async function addPreference(sessionId, preference, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestProfileApi(`/api/users/${encodeURIComponent(sessionId)}/profile/preferences`, 'POST', { preference });
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to add preference:', err);
+        onError?.(err);
+    }
+}
+
+export async function removePreference(sessionId, preference, options = {}) {
+    const { onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const result = await requestProfileApi(
+            `/api/users/${encodeURIComponent(sessionId)}/profile/preferences/${encodeURIComponent(preference)}`,
+            'DELETE'
+        );
+        onSuccess?.(result);
+    } catch (err) {
+        console.error('Failed to remove preference:', err);
+        onError?.(err);
+    }
+}
@@ -1,4 +1,4 @@
-export async function bookTable(sessionId, restaurantId, guests = 2, options = {}) {
+export async function bookTable(restaurantId, guests = 2, options = {}) {
     const { onLoad, onSuccess, onError } = options;
 
     try {
@@ -16,13 +16,12 @@ export async function bookTable(sessionId, restaurantId, guests = 2, options = {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                sessionId,
                 restaurantId,
                 guests,
                 date: defaultDate,
                 time: defaultTime,
                 specialRequests: 'Quick reservation via chat'
-                // Customer details will be auto-populated from user profile on the backend
+                // Customer details will be auto-populated from the logged-in user's profile on the backend
             }),
         });
 
@@ -40,13 +39,13 @@ export async function bookTable(sessionId, restaurantId, guests = 2, options = {
     }
 }
 
-export async function loadReservationCount(sessionId, options = {}) {
+export async function loadReservationCount(options = {}) {
     const { onLoad, onSuccess, onError } = options;
 
     try {
         onLoad?.();
 
-        const res = await fetch(`/api/reservations/${sessionId}`);
+        const res = await fetch('/api/reservations/me');
 
         if (!res.ok) {
             onSuccess?.({ success: true, summary: { totalReservations: 0 } });
@@ -0,0 +1,28 @@
+async function requestRestaurantApi(url, signal) {
+    const res = await fetch(url, { signal });
+
+    const result = await res.json();
+
+    if (!result.success) {
+        throw new Error(result.error || 'Restaurant request failed');
+    }
+
+    return result;
+}
+
+export async function getSuggestions(prefix, options = {}) {
+    const { limit = 5, signal, onLoad, onSuccess, onError } = options;
+
+    try {
+        onLoad?.();
+        const params = new URLSearchParams({ prefix, limit: String(limit) });
+        const result = await requestRestaurantApi(`/api/restaurants/suggest?${params}`, signal);
+        onSuccess?.(result.data);
+    } catch (err) {
+        // A newer keystroke superseded this request
+        if (err.name === 'AbortError') return;
+
+        console.error('Failed to load suggestions:', err);
+        onError?.(err);
+    }
+}
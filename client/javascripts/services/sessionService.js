@@ -7,20 +7,14 @@ export class SessionService {
     }
 
     initialize() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const userName = urlParams.get('sessionId') || urlParams.get('name') || 'Foodie';
-
-        // Note: Username display is now handled server-side in the template
-        // No need to update it here since we're doing server-side rendering
-
-        // Use clean username as session ID (no timestamp)
-        this.sessionId = userName.toLowerCase();
+        // The server derives the sessionId from the login cookie and renders it into the page;
+        // API calls are authorized by the cookie, not by this value
+        this.sessionId = document.body.dataset.sessionId || null;
         this.currentChatId = 'main_chat';
 
         return {
             sessionId: this.sessionId,
-            currentChatId: this.currentChatId,
-            userName
+            currentChatId: this.currentChatId
         };
     }
 
@@ -29,7 +23,7 @@ export class SessionService {
             return;
         }
 
-        await endChatSession(this.sessionId, {
+        await endChatSession({
             onSuccess: () => {
                 this.sessionId = null;
                 const newSession = this.initialize();
@@ -7,6 +7,9 @@ export const DOM_IDS = {
     MINIMIZE_CHAT: 'minimizeChat',
     END_SESSION: 'end-session',
     NEW_CHAT: 'new-chat',
+    CHAT_THREADS: 'chat-threads',
+    CHAT_THREAD_LIST: 'chat-thread-list',
+    TOGGLE_THREADS: 'toggle-threads',
     USERNAME_DISPLAY: 'username-display',
     MEMORY_TOGGLE: 'memory-toggle',
     MAIN_SEARCH: 'main-search'
@@ -20,3 +23,22 @@ export const CSS_SELECTORS = {
     BRUTAL_BOOK_BTN: '.brutal-book-btn',
     BRUTAL_SUGGESTION_BTN: '.brutal-suggestion-btn'
 };
+
+export const TOOL_LABELS = {
+    semantic_search_restaurants: '🔍 Searching restaurants',
+    show_more_restaurants: '➕ Loading more restaurants',
+    get_restaurant_details: '🏪 Fetching restaurant details',
+    get_popular_restaurants: '⭐ Finding popular restaurants',
+    find_nearby_restaurants: '📍 Searching nearby',
+    make_reservation: '📅 Making reservation',
+    get_user_reservations: '📋 Checking your reservations',
+    modify_reservation: '✏️ Updating reservation',
+    cancel_reservation: '❌ Cancelling reservation',
+    direct_answer: '🧠 Looking that up'
+};
+
+export const RESPONSE_MODES = {
+    cache: { label: '⚡ CACHED', title: 'Served from the semantic cache' },
+    smart_recall: { label: '🧠 SMART RECALL', title: 'Answered with your saved preferences; eligible for caching' },
+    standard: { label: '💬 STANDARD', title: 'Answered without the cache or saved preferences' }
+};
@@ -1,20 +1,74 @@
 import dotenv from 'dotenv';
+import { randomBytes } from 'node:crypto';
 dotenv.config();
 
-if (!process.env.OPENAI_API_KEY) {
+// Offline mode runs everything against Redis alone: scripted chat model, hashing embeddings, Redis semantic cache
+const offlineMode = process.env.OFFLINE_MODE === 'true';
+
+const chatModelProvider = offlineMode ? 'local' : process.env.CHAT_MODEL_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+const embeddingProvider = offlineMode ? 'hashing' : process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'hashing');
+const semanticCacheProvider = offlineMode ? 'redis' : process.env.SEMANTIC_CACHE_PROVIDER || (process.env.LANGCACHE_API_KEY ? 'langcache' : 'redis');
+
+if (!process.env.OPENAI_API_KEY && (chatModelProvider === 'openai' || embeddingProvider === 'openai')) {
     console.warn('Warning: OPENAI_API_KEY is not defined in environment variables.');
 }
 
+if (!process.env.COOKIE_SECRET) {
+    console.warn('Warning: COOKIE_SECRET is not defined in environment variables. Using a random secret, so logins will not survive a restart.');
+}
+
+// Only a missing or unparsable value falls back to the default, so 0 can be configured
+function parseNumber(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
 const CONFIG = {
     serverPort: process.env.SERVER_PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
     redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
     openAiApiKey: process.env.OPENAI_API_KEY,
     modelName: process.env.MODEL_NAME || "gpt-4o-mini",
+    offlineMode,
+    chatModel: {
+        // openai, or local (a scripted model driven by fixtures and built-in rules; no network)
+        provider: chatModelProvider,
+        // JSON array of { match, response | toolCalls } tried before the built-in rules of the local model
+        fixturesPath: process.env.LOCAL_MODEL_FIXTURES,
+    },
+    semanticCache: {
+        // langcache (hosted Redis LangCache) or redis (vector search on the app's own Redis)
+        provider: semanticCacheProvider,
+        // Largest cosine distance between prompt embeddings that the redis provider treats as the same question
+        distanceThreshold: parseFloat(process.env.SEMANTIC_CACHE_DISTANCE_THRESHOLD) || 0.15,
+        // Blended input/output price of MODEL_NAME, for the money saved by cache hits in /admin/cache/stats
+        costPerMillionTokens: parseFloat(process.env.CACHE_COST_PER_MILLION_TOKENS) || 0.3,
+    },
     langcacheApiKey: process.env.LANGCACHE_API_KEY,
     langcacheCacheId: process.env.LANGCACHE_CACHE_ID,
     langcacheApiBaseUrl: process.env.LANGCACHE_API_BASE_URL,
     appName: process.env.APP_NAME || 'Relish',
+    cookieSecret: process.env.COOKIE_SECRET || randomBytes(32).toString('hex'),
+    startupSelfCheck: process.env.STARTUP_SELF_CHECK !== 'false',
+    // Sent as the X-Admin-Key header to /admin endpoints; admin endpoints are disabled when unset
+    adminApiKey: process.env.ADMIN_API_KEY,
+    authSessionTtlSeconds: parseInt(process.env.AUTH_SESSION_TTL_SECONDS) || 60 * 60 * 24 * 7,
+    embeddings: {
+        // openai, local (an OpenAI-compatible server such as Ollama) or hashing (deterministic, offline)
+        provider: embeddingProvider,
+        model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        // Vector length of the restaurant index; changing it requires recreating the index
+        dimensions: parseInt(process.env.EMBEDDING_DIM) || 1536,
+        baseUrl: process.env.EMBEDDING_BASE_URL,
+        apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+    },
+    hybridSearch: {
+        // Weights of the full-text (BM25) and vector rankings in reciprocal rank fusion
+        // 0 is valid and turns a ranking off, e.g. HYBRID_TEXT_WEIGHT=0 for pure vector ranking
+        textWeight: parseNumber(process.env.HYBRID_TEXT_WEIGHT, 1),
+        vectorWeight: parseNumber(process.env.HYBRID_VECTOR_WEIGHT, 1),
+        rrfK: parseInt(process.env.HYBRID_RRF_K) || 60,
+    },
 };
 
 export default CONFIG;
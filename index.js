@@ -13,6 +13,12 @@ import indexRouter from './services/routes/index.js';
 import reservationRouter from './services/reservations/api/reservation-routes.js';
 import chatRouter from './services/chat/api/chat-routes.js';
 import restaurantRouter from './services/restaurants/api/restaurant-routes.js';
+import userRouter from './services/users/api/user-routes.js';
+import authRouter from './services/auth/api/auth-routes.js';
+import docsRouter from './services/docs/api/docs-routes.js';
+import cacheAdminRouter from './services/chat/api/cache-admin-routes.js';
+import { authenticate } from './services/auth/api/auth-middleware.js';
+import { RestaurantService } from './services/restaurants/domain/restaurant-service.js';
 
 import { fileURLToPath } from 'url';
 
@@ -47,14 +53,21 @@ app.set('view engine', '.hbs');
 app.use(logger('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
-app.use(cookieParser());
+app.use(cookieParser(CONFIG.cookieSecret));
 app.use(express.static(path.join(__dirname, 'client')));
 
+// Resolve the logged-in user (req.sessionId) from the signed session cookie
+app.use(authenticate);
+
 // Routes
 app.use('/', indexRouter);
 app.use('/api/reservations', reservationRouter);
 app.use('/ai', chatRouter);
 app.use('/api/restaurants', restaurantRouter);
+app.use('/api/users', userRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/docs', docsRouter);
+app.use('/admin/cache', cacheAdminRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -66,6 +79,19 @@ app.use(function(req, res, next) {
 // error handler
 app.use(handleError);
 
+// Refuse to serve searches against restaurant data the index cannot read
+if (CONFIG.startupSelfCheck) {
+  try {
+    const { numDocs, embeddingDim } = await new RestaurantService().verifyStorage();
+    console.log(`✅ Restaurant storage check passed: ${numDocs} restaurants indexed, ${embeddingDim}-dimension embeddings`);
+  } catch (error) {
+    console.error('❌ Restaurant storage check failed:');
+    (error.details?.problems || [error.message]).forEach(problem => console.error(`   - ${problem}`));
+    console.error('💡 Run npm run load-restaurants -- --recreate-index, or set STARTUP_SELF_CHECK=false to skip this check');
+    process.exit(1);
+  }
+}
+
 const server = http.createServer(app);
 const port = CONFIG.serverPort;
 
@@ -16,12 +16,14 @@ export const HttpStatusCode = {
 };
 
 // Custom AppError class
+// `details` carries structured, client-safe context (e.g. alternative slots) alongside the message
 export class AppError extends Error {
-    constructor(name, message, httpStatus = 500, publicMessage = null) {
+    constructor(name, message, httpStatus = 500, publicMessage = null, details = null) {
         super(message);
         this.name = name;
         this.httpStatus = httpStatus;
         this.publicMessage = publicMessage;
+        this.details = details;
         
         // Maintain proper stack trace
         Error.captureStackTrace(this, AppError);
@@ -45,7 +47,9 @@ export function handleError(error, req, res, next) {
         if (error instanceof AppError) {
             return res.status(error.httpStatus).json({
                 success: false,
-                error: error.publicMessage || error.message
+                error: error.publicMessage || error.message,
+                code: error.name,
+                ...(error.details && { details: error.details })
             });
         }
 
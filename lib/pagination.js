@@ -0,0 +1,85 @@
+import { AppError, HttpStatusCode } from './errors.js';
+
+// Deepest offset a client can page to
+export const MAX_OFFSET = 1000;
+
+/**
+ * Encode the position of the next page together with the query it belongs to.
+ * Cursors are opaque to clients; passing one back repeats the same query at the next offset.
+ * @param {number} offset - Offset of the next page
+ * @param {Object} params - Search parameters of the query
+ * @returns {string} URL-safe cursor
+ */
+export function encodeCursor(offset, params) {
+    return Buffer.from(JSON.stringify({ o: offset, p: params })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{offset: number, params: Object}}
+ * @throws {AppError} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const { o: offset, p: params } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (Number.isInteger(offset) && offset >= 0 && offset <= MAX_OFFSET && params && typeof params === 'object') {
+            return { offset, params };
+        }
+    } catch {
+        // Fall through to the error below
+    }
+
+    throw new AppError(
+        'INVALID_CURSOR',
+        'Invalid pagination cursor',
+        HttpStatusCode.BAD_REQUEST,
+    );
+}
+
+/**
+ * Validate an offset query parameter
+ * @param {number|string|undefined} offset
+ * @returns {number} Offset between 0 and MAX_OFFSET
+ */
+export function validateOffset(offset) {
+    if (offset === undefined || offset === null || offset === '') {
+        return 0;
+    }
+
+    const parsed = Number(offset);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_OFFSET) {
+        throw new AppError(
+            'INVALID_OFFSET',
+            `offset must be an integer between 0 and ${MAX_OFFSET}`,
+            HttpStatusCode.BAD_REQUEST,
+        );
+    }
+
+    return parsed;
+}
+
+/**
+ * Describe a page of results
+ * @param {Object} page
+ * @param {number} page.total - Total matches for the query
+ * @param {number} page.offset - Offset of this page
+ * @param {number} page.limit - Page size
+ * @param {number} page.returned - Results on this page
+ * @param {Object} [page.params] - Search parameters, encoded into nextCursor
+ * @returns {{total: number, offset: number, limit: number, hasMore: boolean, nextOffset: number|null, nextCursor: string|null}}
+ */
+export function buildPagination({ total, offset, limit, returned, params }) {
+    const nextOffset = offset + returned;
+    const hasMore = returned > 0 && nextOffset < total && nextOffset <= MAX_OFFSET;
+
+    return {
+        total,
+        offset,
+        limit,
+        hasMore,
+        nextOffset: hasMore ? nextOffset : null,
+        nextCursor: hasMore && params ? encodeCursor(nextOffset, params) : null,
+    };
+}
@@ -0,0 +1,124 @@
+import { AppError, HttpStatusCode } from './errors.js';
+
+/**
+ * @typedef {Object} ParamSpec
+ * @property {'string'|'integer'|'number'|'boolean'} type - Value type after parsing
+ * @property {string} description - Shown in the API docs
+ * @property {boolean} [required] - Reject the request when missing
+ * @property {number} [min] - Minimum numeric value
+ * @property {number} [max] - Maximum numeric value
+ * @property {number} [maxLength] - Maximum string length
+ * @property {string[]} [enum] - Allowed string values
+ * @property {string} [pattern] - Regular expression a string must match
+ * @property {*} [default] - Documented default (applied by the service, not here)
+ */
+
+/**
+ * Parse and validate query parameters against a spec.
+ * Unknown parameters are ignored; missing optional ones are left undefined so services apply their defaults.
+ * @param {Object} query - req.query
+ * @param {Object<string, ParamSpec>} spec - Parameter specs keyed by name
+ * @returns {Object} Parsed values keyed by parameter name
+ * @throws {AppError} INVALID_QUERY listing every invalid parameter
+ */
+export function parseQuery(query, spec) {
+    const values = {};
+    const errors = [];
+
+    for (const [name, param] of Object.entries(spec)) {
+        const raw = Array.isArray(query[name]) ? query[name][0] : query[name];
+
+        if (raw === undefined || raw === '') {
+            if (param.required) {
+                errors.push({ param: name, message: `${name} is required` });
+            }
+            continue;
+        }
+
+        const error = validateParam(name, String(raw), param);
+        if (error) {
+            errors.push({ param: name, message: error });
+        } else {
+            values[name] = parseValue(String(raw), param.type);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new AppError(
+            'INVALID_QUERY',
+            errors.map(error => error.message).join('; '),
+            HttpStatusCode.BAD_REQUEST,
+            null,
+            { errors },
+        );
+    }
+
+    return values;
+}
+
+/**
+ * Describe a parameter spec as OpenAPI 3 query parameters
+ * @param {Object<string, ParamSpec>} spec - Parameter specs keyed by name
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+export function toOpenApiParameters(spec) {
+    return Object.entries(spec).map(([name, param]) => ({
+        name,
+        in: 'query',
+        required: Boolean(param.required),
+        description: param.description,
+        schema: {
+            type: param.type,
+            ...(param.min !== undefined && { minimum: param.min }),
+            ...(param.max !== undefined && { maximum: param.max }),
+            ...(param.maxLength !== undefined && { maxLength: param.maxLength }),
+            ...(param.enum && { enum: param.enum }),
+            ...(param.pattern && { pattern: param.pattern }),
+            ...(param.default !== undefined && { default: param.default }),
+        },
+    }));
+}
+
+function validateParam(name, raw, param) {
+    switch (param.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (param.type === 'integer' && !Number.isInteger(value))) {
+                return `${name} must be ${param.type === 'integer' ? 'an integer' : 'a number'}`;
+            }
+            if (param.min !== undefined && value < param.min) {
+                return `${name} must be at least ${param.min}`;
+            }
+            if (param.max !== undefined && value > param.max) {
+                return `${name} must be at most ${param.max}`;
+            }
+            return null;
+        }
+        case 'boolean':
+            return raw === 'true' || raw === 'false' ? null : `${name} must be true or false`;
+        default:
+            if (param.maxLength !== undefined && raw.length > param.maxLength) {
+                return `${name} must be at most ${param.maxLength} characters`;
+            }
+            if (param.enum && !param.enum.includes(raw)) {
+                return `${name} must be one of: ${param.enum.join(', ')}`;
+            }
+            if (param.pattern && !new RegExp(param.pattern).test(raw)) {
+                return `${name} has an invalid format`;
+            }
+            return null;
+    }
+}
+
+function parseValue(raw, type) {
+    switch (type) {
+        case 'integer':
+        case 'number':
+            return Number(raw);
+        case 'boolean':
+            return raw === 'true';
+        default:
+            return raw.trim();
+    }
+}
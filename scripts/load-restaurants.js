@@ -1,19 +1,25 @@
 /**
  * Restaurant Loader Script
  *
+ * Loads are incremental: unchanged restaurants are skipped, only changed ones are re-embedded, restaurants
+ * missing from the CSV are deleted, and a failed load resumes from its last completed batch when run again.
+ * A load that changes any restaurant bumps the dataset version and removes chat answers cached from the old data.
+ *
  * Usage:
  *   npm run load-restaurants                                    # Load with defaults
  *   npm run load-restaurants <csvFile> <batchSize> <maxCount>   # Custom parameters
- *   npm run load-restaurants --recreate-index                   # Recreate search index
- *   npm run load-restaurants --flush                            # Alias for --recreate-index
+ *   npm run load-restaurants -- --recreate-index                # Rebuild search index behind its alias, then load
+ *   npm run load-restaurants -- --flush                         # Alias for --recreate-index
+ *   npm run load-restaurants -- --restart                       # Ignore a saved checkpoint and start over
  *
  * Examples:
  *   npm run load-restaurants                                    # Load from phase2_working.csv
  *   npm run load-restaurants data.csv 50 5000                   # Custom file, batch size, limit
- *   npm run load-restaurants --recreate-index                   # Rebuild index and reload
+ *   npm run load-restaurants -- --recreate-index                # Rebuild index and reload
  */
 
 import { loadRestaurantsFromCSV, checkRedisMemory } from '../services/restaurants/data/restaurant-loader.js';
+import { invalidateSemanticCache } from '../services/chat/domain/chat-service.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -29,6 +35,7 @@ async function main() {
         
         // Get command line arguments
         const recreateIndex = process.argv.includes('--recreate-index') || process.argv.includes('--flush');
+        const restart = process.argv.includes('--restart');
 
         // Filter out flags from arguments
         const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
@@ -40,20 +47,29 @@ async function main() {
         console.log(`📂 Loading from: ${csvFilePath}`);
         console.log(`⚙️ Batch size: ${batchSize}, Max restaurants: ${maxRestaurants}`);
         if (recreateIndex) {
-            console.log('🔄 Will recreate search index (flush and rebuild)');
+            console.log('🔄 Will rebuild the search index behind its alias (no downtime)');
         }
 
-        const result = await loadRestaurantsFromCSV(csvFilePath, batchSize, maxRestaurants, recreateIndex);
+        const result = await loadRestaurantsFromCSV(csvFilePath, batchSize, maxRestaurants, recreateIndex, { restart });
+
+        if (result.datasetVersion !== result.previousDatasetVersion) {
+            try {
+                await invalidateSemanticCache([`dataset:${result.previousDatasetVersion}`]);
+            } catch (error) {
+                // Old answers are no longer served either way; they just stay stored until they expire
+                console.warn('⚠️ Could not remove answers cached from the previous data:', error.message);
+            }
+        }
         
         console.log('✅ Restaurant loading completed successfully!');
-        console.log(`📊 Summary: ${result.restaurantsLoaded} restaurants, ${result.cuisines} cuisines, ${result.cities} cities, ${result.localities} localities`);
+        console.log(`📊 Summary: ${result.restaurantsLoaded} restaurants (${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.deleted} deleted), ${result.cuisines} cuisines, ${result.cities} cities, ${result.localities} localities`);
         
         process.exit(0);
     } catch (error) {
         console.error('❌ Failed to load restaurants:', error);
         console.log('\n💡 Usage:');
-        console.log('  npm run load-restaurants [csvFile] [batchSize] [maxRestaurants] [--recreate-index]');
-        console.log('  npm run load-restaurants --flush  # Recreate index and reload data');
+        console.log('  npm run load-restaurants [csvFile] [batchSize] [maxRestaurants] [-- --recreate-index] [-- --restart]');
+        console.log('  Run the same command again to resume from the last completed batch');
         console.log('\n💡 Troubleshooting:');
         console.log('1. Increase Redis memory limit');
         console.log('2. Reduce batch size: npm run load-restaurants <file> 50 3000');
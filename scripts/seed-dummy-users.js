@@ -3,10 +3,19 @@
 /**
  * Seed script to create 5 dummy users with enhanced profile data
  * Creates users: ashwin, hariharan, iyer, kyle, banker
+ * Each user can log in with their username and the password in DEMO_USER_PASSWORD, which must be set
  */
 
 import { createClient } from 'redis';
 import CONFIG from '../config.js';
+import { hashPassword } from '../services/auth/domain/passwords.js';
+
+const DEMO_USER_PASSWORD = process.env.DEMO_USER_PASSWORD;
+
+if (!DEMO_USER_PASSWORD) {
+    console.error('❌ Set DEMO_USER_PASSWORD to the password the demo users should log in with');
+    process.exit(1);
+}
 
 const client = await createClient({
     url: CONFIG.redisUrl,
@@ -37,6 +46,7 @@ async function seedDummyUsers() {
                     name: "Ashwin",
                     email: "ashwin@example.com",
                     phone: "+91-9876543210",
+                    city: "Delhi",
                     locality: "Khan Market",
                     latitude: 28.5906,
                     longitude: 77.2276,
@@ -58,6 +68,7 @@ async function seedDummyUsers() {
                     name: "Hariharan",
                     email: "hariharan@example.com",
                     phone: "+91-9876543211",
+                    city: "Bengaluru",
                     locality: "Indiranagar",
                     latitude: 12.9719,
                     longitude: 77.6412,
@@ -80,6 +91,7 @@ async function seedDummyUsers() {
                     name: "Iyer",
                     email: "iyer@example.com",
                     phone: "+91-9876543212",
+                    city: "Gurgaon",
                     locality: "Cyber City, Gurugram",
                     latitude: 28.4949,
                     longitude: 77.0869,
@@ -102,6 +114,7 @@ async function seedDummyUsers() {
                     name: "Kyle",
                     email: "kyle@example.com",
                     phone: "+1-555-123-4567",
+                    city: "Mumbai",
                     locality: "Bandra West",
                     latitude: 19.0596,
                     longitude: 72.8295,
@@ -124,6 +137,7 @@ async function seedDummyUsers() {
                     name: "Banker",
                     email: "banker@example.com",
                     phone: "+91-9876543213",
+                    city: "Delhi",
                     locality: "Connaught Place",
                     latitude: 28.6315,
                     longitude: 77.2167,
@@ -145,16 +159,23 @@ async function seedDummyUsers() {
         for (const user of users) {
             const userKey = `users:${user.sessionId}`;
             await client.json.set(userKey, '$', user);
+
+            await client.del(`auth:credentials:${user.sessionId}`);
+            await client.hSet(`auth:credentials:${user.sessionId}`, {
+                username: user.sessionId,
+                passwordHash: await hashPassword(DEMO_USER_PASSWORD),
+                createdAt: new Date().toISOString(),
+            });
             console.log(`✅ Created user: ${user.profile.name} (${user.sessionId})`);
         }
 
         console.log('\n🎉 DUMMY USERS SEEDED SUCCESSFULLY!');
-        console.log('\nYou can now visit:');
-        console.log('• http://localhost:3000/?name=ashwin');
-        console.log('• http://localhost:3000/?name=hariharan');
-        console.log('• http://localhost:3000/?name=iyer');
-        console.log('• http://localhost:3000/?name=kyle');
-        console.log('• http://localhost:3000/?name=banker');
+        console.log('\nYou can now log in at http://localhost:3000/login with DEMO_USER_PASSWORD as:');
+        console.log('• ashwin');
+        console.log('• hariharan');
+        console.log('• iyer');
+        console.log('• kyle');
+        console.log('• banker');
 
     } catch (error) {
         console.error('❌ Error seeding dummy users:', error);
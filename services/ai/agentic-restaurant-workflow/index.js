@@ -7,6 +7,8 @@ import { RestaurantAgentState } from "./state.js";
 import { queryCacheCheck, restaurantDiscoveryAgent, processWorkOutputWithCaching } from "./nodes.js";
 
 import ChatRepository from "../../chat/data/chat-repository.js";
+import { updateLongTermMemory } from "../helpers/long-term-memory.js";
+import { titleChatThread } from "../helpers/chat-title.js";
 
 const chatRepository = new ChatRepository();
 
@@ -14,7 +16,7 @@ const chatRepository = new ChatRepository();
  * Create Agentic AI Restaurant Discovery Workflow
  *
  * This creates a multi-agent workflow system for intelligent restaurant discovery and reservations with:
- * 1. Smart caching for restaurant searches (long TTL) vs reservations (no cache)
+ * 1. Smart caching for restaurant searches (long TTL) vs reservations (no cache), only when smart recall is on
  * 2. Specialized restaurant tools with location and preference support
  * 3. Restaurant search, discovery, and reservation management
  * 4. LLM-powered dining recommendations + real restaurant database
@@ -25,11 +27,16 @@ export const createAgenticAIRestaurantWorkflow = () => {
         .addNode("restaurant_discovery_agent", restaurantDiscoveryAgent)
         .addNode("process_work_output_with_caching", processWorkOutputWithCaching)
 
-        .addEdge(START, "query_cache_check")
+        // Smart recall off: skip the semantic cache entirely (no reads, no writes)
+        .addConditionalEdges(START, (state) => {
+            return state.useSmartRecall ? "query_cache_check" : "restaurant_discovery_agent";
+        })
         .addConditionalEdges("query_cache_check", (state) => {
             return state.cacheStatus === "hit" ? END : "restaurant_discovery_agent";
         })
-        .addEdge("restaurant_discovery_agent", "process_work_output_with_caching")
+        .addConditionalEdges("restaurant_discovery_agent", (state) => {
+            return state.useSmartRecall ? "process_work_output_with_caching" : END;
+        })
         .addEdge("process_work_output_with_caching", END)
 
         .compile();
@@ -51,7 +58,8 @@ export const getRestaurantWorkflowGraph = () => {
 export function getWorkflowExecutionSummary(graphResult) {
     const summary = {
         toolsUsed: graphResult.toolsUsed || ["none"],
-        cacheStatus: graphResult.cacheStatus || "miss",
+        cacheStatus: graphResult.cacheStatus || (graphResult.useSmartRecall ? "miss" : "skip"),
+        responseMode: getResponseMode(graphResult),
         finalResult: graphResult.result,
         sessionId: graphResult.sessionId,
         restaurantsFound: graphResult.foundRestaurants?.length || 0
@@ -59,7 +67,8 @@ export function getWorkflowExecutionSummary(graphResult) {
     
     console.log("\n🍽️ RESTAURANT DISCOVERY EXECUTION SUMMARY:");
     console.log(`Session: ${summary.sessionId}`);
-    console.log(`Cache: ${summary.cacheStatus === "hit" ? "🎯 HIT" : "❌ MISS"}`);
+    console.log(`Mode: ${summary.responseMode}`);
+    console.log(`Cache: ${summary.cacheStatus === "hit" ? "🎯 HIT" : summary.cacheStatus === "skip" ? "⏭️ SKIPPED" : "❌ MISS"}`);
     
     // Display all tools used
     if (summary.toolsUsed.length === 1 && summary.toolsUsed[0] === "none") {
@@ -73,6 +82,7 @@ export function getWorkflowExecutionSummary(graphResult) {
                 case "get_popular_restaurants": return "⭐ Popular Restaurants";
                 case "find_nearby_restaurants": return "📍 Nearby Search";
                 case "make_reservation": return "📅 Make Reservation";
+                case "modify_reservation": return "✏️ Modify Reservation";
                 case "direct_answer": return "🧠 Direct Answer";
                 case "error": return "❌ Error";
                 default: return `🔧 ${tool}`;
@@ -90,10 +100,57 @@ export function getWorkflowExecutionSummary(graphResult) {
     return summary;
 }
 
+/**
+ * Which mode served a response
+ * @param {Object} graphResult - Final graph state
+ * @returns {"cache" | "smart_recall" | "standard"} "cache" for semantic cache hits, "smart_recall" when the
+ *          agent answered with long-term memory (and cache writes) enabled, "standard" otherwise
+ */
+export function getResponseMode(graphResult) {
+    if (graphResult.cacheStatus === "hit") {
+        return "cache";
+    }
+    return graphResult.useSmartRecall ? "smart_recall" : "standard";
+}
+
+/**
+ * Run the workflow graph, optionally forwarding progress events while it executes
+ * @param {Object} input - Initial graph state
+ * @param {(event: Object) => void} [onEvent] - Receives cache, tool and token events as they happen
+ * @param {AbortSignal} [signal] - Stops the graph, and the model calls inside it, when aborted
+ * @returns {Promise<Object>} Final graph state
+ */
+async function executeWorkflowGraph(input, onEvent, signal) {
+    const workflowGraph = getRestaurantWorkflowGraph();
+
+    if (!onEvent) {
+        return workflowGraph.invoke(input, { signal });
+    }
+
+    let finalState = null;
+    const stream = await workflowGraph.stream(input, { streamMode: ["custom", "values"], signal });
+
+    for await (const [mode, chunk] of stream) {
+        if (mode === "custom") {
+            onEvent(chunk);
+        } else {
+            finalState = chunk;
+        }
+    }
+
+    return finalState;
+}
+
 /**
  * Main function to execute the restaurant discovery workflow
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @param {string} message - User message
+ * @param {boolean} useSmartRecall - Whether to use the semantic cache and long-term memory
+ * @param {(event: Object) => void} [onEvent] - Optional listener for streamed workflow events
+ * @param {AbortSignal} [signal] - Aborts the run; it then rejects without saving the turn
  */
-export async function runRestaurantAgentWorkflow(sessionId, chatId, message, useSmartRecall) {
+export async function runRestaurantAgentWorkflow(sessionId, chatId, message, useSmartRecall, onEvent, signal) {
     try {
         const rawHistory = await chatRepository.getOrCreateChatHistory(sessionId, chatId);
 
@@ -109,11 +166,12 @@ export async function runRestaurantAgentWorkflow(sessionId, chatId, message, use
         messages.push(userMessage);
 
         // Run the restaurant discovery workflow graph
-        const workflowGraph = getRestaurantWorkflowGraph();
-        const result = await workflowGraph.invoke({
+        const result = await executeWorkflowGraph({
             sessionId,
+            chatId,
             messages,
-        });
+            useSmartRecall: Boolean(useSmartRecall),
+        }, onEvent, signal);
 
         // Get execution summary for logging
         const executionSummary = getWorkflowExecutionSummary(result);
@@ -122,6 +180,7 @@ export async function runRestaurantAgentWorkflow(sessionId, chatId, message, use
 
         const queryResult = {
             isCachedResponse: result.cacheStatus === "hit",
+            responseMode: executionSummary.responseMode,
             content: finalReply,
         };
 
@@ -134,16 +193,33 @@ export async function runRestaurantAgentWorkflow(sessionId, chatId, message, use
         await chatRepository.saveChatMessage(sessionId, chatId, {
             role: "assistant",
             content: finalReply,
+            responseMode: queryResult.responseMode,
         });
 
+        // Learn durable facts from this turn in the background so the reply is not delayed
+        if (useSmartRecall) {
+            updateLongTermMemory(sessionId, chatId, messages)
+                .catch(error => console.error("❌ Error updating long-term memory:", error));
+        }
+
+        // Name new threads after their opening question, also in the background
+        if (rawHistory.length === 0) {
+            titleChatThread(sessionId, chatId, message, finalReply)
+                .catch(error => console.error("❌ Error generating chat title:", error));
+        }
+
         return queryResult;
         
     } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
         console.error("❌ Error in restaurant discovery reply:", error);
         
         // Return fallback response
         return {
             isCachedResponse: false,
+            responseMode: useSmartRecall ? "smart_recall" : "standard",
             content: "I apologize, but I'm having trouble processing your restaurant request right now. Please try asking about restaurant recommendations, making reservations, or general dining questions."
         };
     }
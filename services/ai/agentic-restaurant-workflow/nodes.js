@@ -1,43 +1,71 @@
-import { ChatOpenAI } from "@langchain/openai";
 import { AIMessage } from "@langchain/core/messages";
 import { restaurantTools } from "./tools.js";
-import { checkSemanticCache, saveToSemanticCache } from "../../chat/domain/chat-service.js";
-import { determineToolBasedCacheTTL, formatTTL } from "../helpers/caching.js";
+import { checkScopedSemanticCache, saveToSemanticCache } from "../../chat/domain/chat-service.js";
+import { recordCacheEvent } from "../../chat/domain/cache-telemetry-service.js";
+import { determineToolBasedCacheTTL, determineToolCategory, extractRestaurantIds, formatTTL } from "../helpers/caching.js";
+import { buildSemanticCacheContext, buildScopeAttributes, classifyCacheScope } from "../helpers/cache-context.js";
 import { UserService } from "../../users/domain/user-service.js";
-import CONFIG from "../../../config.js";
+import { createChatModel } from "../helpers/chat-models.js";
 
 /**
  * Node 1: Query Cache Check
+ *
+ * The cache is keyed by a standalone rewrite of the latest message (resolved against the
+ * conversation). It is searched with the user's own private answers first, then answers for
+ * users with the same city, locality and diet, then answers that are not personal at all.
+ *
+ * Progress is reported through `config.writer`, which LangGraph only provides
+ * when the graph is run with the "custom" stream mode.
  */
-export const queryCacheCheck = async (state) => {
+export const queryCacheCheck = async (state, config) => {
     const lastUserMessage = state.messages.findLast(m => m.getType() === "human");
     const userQuery = lastUserMessage?.content || "";
     
-    console.log(`🔍 Checking semantic cache for: "${userQuery.substring(0, 50)}..."`);
-    
     try {
-        const cachedResult = await checkSemanticCache(userQuery);
+        const userProfile = await new UserService().getUserProfile(state.sessionId);
+        const { query: cacheQuery, lookups } = await buildSemanticCacheContext(state.messages, state.sessionId, userProfile);
+
+        console.log(`🔍 Checking semantic cache for: "${cacheQuery.substring(0, 50)}..."`);
+
+        const cachedResult = await checkScopedSemanticCache(cacheQuery, lookups);
 
         if (cachedResult) {
-            console.log("🎯 Semantic cache HIT - returning previous response");
+            console.log(`🎯 Semantic cache HIT (${cachedResult.scope}, similarity ${cachedResult.similarity ?? "n/a"}) - returning previous response`);
+            config?.writer?.({ type: "cache_check", status: "hit" });
+            await recordCacheEvent({
+                status: "hit",
+                stage: "lookup",
+                entryId: cachedResult.entryId,
+                prompt: cacheQuery,
+                similarity: cachedResult.similarity,
+                scope: cachedResult.scope,
+            });
             return {
                 cacheStatus: "hit",
-                result: cachedResult,
-                messages: [...state.messages, new AIMessage(cachedResult)],
+                cacheQuery,
+                cacheScope: cachedResult.scope,
+                result: cachedResult.response,
+                messages: [...state.messages, new AIMessage(cachedResult.response)],
                 sessionId: state.sessionId
             };
         }
         
         console.log("❌ Semantic cache MISS - proceeding to agent");
+        await recordCacheEvent({ status: "miss", stage: "lookup", prompt: cacheQuery });
+        config?.writer?.({ type: "cache_check", status: "miss" });
         return { 
             cacheStatus: "miss",
+            cacheQuery,
             sessionId: state.sessionId
         };
         
     } catch (error) {
         console.error("Error checking semantic cache:", error);
+        config?.writer?.({ type: "cache_check", status: "miss" });
+        await recordCacheEvent({ status: "error", stage: "lookup", prompt: userQuery });
         return {
             cacheStatus: "miss",
+            cacheQuery: userQuery,
             sessionId: state.sessionId
         };
     }
@@ -46,18 +74,15 @@ export const queryCacheCheck = async (state) => {
 /**
  * Node 2: Restaurant Discovery Agent
  *
- * Specialized agent with tools for restaurant discovery and reservation tasks
+ * Specialized agent with tools for restaurant discovery and reservation tasks.
+ * Model output is streamed so token deltas and tool activity can be forwarded to the client.
  */
-export const restaurantDiscoveryAgent = async (state) => {
-    const model = new ChatOpenAI({
-        temperature: 0.1,
-        model: CONFIG.modelName,
-        apiKey: CONFIG.openAiApiKey
-    });
-
-    // Get user preferences for personalization
+export const restaurantDiscoveryAgent = async (state, config) => {
+    const model = createChatModel("agent", { temperature: 0.1 });
+
+    // Get user preferences for personalization - long-term memory is only used with smart recall on
     const userService = new UserService();
-    const userProfile = await userService.getUserProfile(state.sessionId);
+    const userProfile = state.useSmartRecall ? await userService.getUserProfile(state.sessionId) : null;
     const preferences = userProfile?.preferences || [];
 
     // Build preference context
@@ -74,6 +99,7 @@ ${preferences.length > 0 ? `**PERSONALIZATION:** When relevant, acknowledge the
 **semantic_search_restaurants**: UNIFIED RESTAURANT SEARCH (USE THIS FOR ALL RESTAURANT SEARCHES!)
 - Use for ANY restaurant search query: descriptive, location-based, filtered, or general
 - Handles semantic search: "romantic dinner with live music", "cozy Italian restaurant"
+- Handles dish and name search: "Pondicherry fish curry", "Indian Accent" (keyword and semantic rankings are fused; results are already ordered by hybridScore)
 - Handles location search: "restaurants near me" (automatically uses user's profile location)
 - Handles filtered search: "Italian restaurants under ₹2000", "highly rated Chinese food"
 - Handles general search: "good restaurants", "Italian food", "dinner options"
@@ -83,6 +109,11 @@ ${preferences.length > 0 ? `**PERSONALIZATION:** When relevant, acknowledge the
 - Always offer: "Want to make a reservation at any of these places?"
 - Example: ANY restaurant search → Use this tool!
 
+**show_more_restaurants**: Next page of the last search
+- Use when the user asks for "more", "show me more", "any other options?" or "next" after a restaurant search
+- Continues the same query and filters; do NOT start a new semantic_search_restaurants for these requests
+- Results are numbered from where the previous page stopped; tell the user when there are no more
+
 **get_restaurant_details**: For specific restaurant information
 - Use when user asks about a specific restaurant by name or ID
 - Use when user wants "more details" about a restaurant from previous results
@@ -100,6 +131,9 @@ ${preferences.length > 0 ? `**PERSONALIZATION:** When relevant, acknowledge the
 - Requires restaurant ID from previous search results
 - Only needs: sessionId, restaurantId, date, time, guests, specialRequests
 - Customer details (name, phone, email) are automatically fetched from user profile
+- If the slot is full, the tool returns "alternatives": offer those times to the user instead of retrying blindly
+- Only set joinWaitlist when the user explicitly agrees to be waitlisted for a full slot
+- If the tool fails with reason PROFILE_INCOMPLETE, ask the user to add their phone number on their profile page first
 - Format: Confirm reservation details and provide booking confirmation along with restaurant ID in this format: (ID: restaurant-id-123) [👁️ Details]. 
 
 **get_user_reservations**: For viewing user's reservations
@@ -108,11 +142,19 @@ ${preferences.length > 0 ? `**PERSONALIZATION:** When relevant, acknowledge the
 - Only needs: sessionId (automatically fetches all user's reservations)
 - Format: Show reservation list with restaurant names, along with their IDs in this format: (ID: restaurant-id-123) [👁️ Details], dates, times, and status
 
+**modify_reservation**: For changing existing reservations
+- Use when user wants to reschedule ("move dinner to 20:30"), change the number of guests or update special requests
+- **CRITICAL**: Use get_user_reservations FIRST to get the exact reservation ID
+- Only pass the fields that change: date, time, guests, specialRequests
+- If the new slot is full, offer the returned "alternatives" to the user
+- Format: Show what changed (from → to) along with the restaurant ID in this format: (ID: restaurant-id-123) [👁️ Details]
+
 **cancel_reservation**: For canceling existing reservations
 - Use when user says "cancel my reservation", "cancel booking", "I want to cancel"
 - **CRITICAL**: Use get_user_reservations FIRST to get valid reservation IDs
 - Only use reservation IDs from the actual reservation list - NEVER use dummy IDs like "res_1"
 - Needs: reservationId (exact ID from previous reservation list)
+- The restaurant's cancellation policy applies: if the tool fails with a "policy", explain its reason (e.g. too close to the reservation time); if a late cancellation fee applies, tell the user
 - Format: Show cancellation confirmation with restaurant and reservation details
 
 **direct_answer**: For general dining knowledge
@@ -122,14 +164,16 @@ ${preferences.length > 0 ? `**PERSONALIZATION:** When relevant, acknowledge the
 
 **CRITICAL Tool Selection Rules:**
 1. ANY restaurant search → ALWAYS use semantic_search_restaurants FIRST (it handles everything!)
+   "Show me more" after a search → show_more_restaurants
 2. Specific restaurant info by name/ID → get_restaurant_details
 3. Booking requests → make_reservation (auto-fills customer details from profile)
-4. View reservations → get_user_reservations (shows user's booking history)
+4. View reservations → get_user_reservations (shows user's booking history, including each reservation's changeHistory)
 5. Cancel reservations → **MANDATORY TWO-STEP PROCESS:**
    a) FIRST: get_user_reservations (to get valid reservation IDs)
    b) THEN: cancel_reservation (with exact ID from step a)
-6. General dining knowledge → direct_answer
-7. Popular restaurants (backup only) → get_popular_restaurants (only if semantic search fails)
+6. Change reservations → get_user_reservations FIRST, then modify_reservation with the exact ID
+7. General dining knowledge → direct_answer
+8. Popular restaurants (backup only) → get_popular_restaurants (only if semantic search fails)
 
 **CANCELLATION WORKFLOW (MANDATORY):**
 - User says "cancel my reservation" → FIRST call get_user_reservations
@@ -163,10 +207,22 @@ Make responses helpful, engaging, and easy to interact with!`;
         ];
         let toolsUsed = [];
         let foundRestaurants = [];
+        let tokensUsed = 0;
+        let usedLocation = false;
 
         while (true) {
-            const response = await modelWithTools.invoke(currentMessages);
+            // A disconnected client aborts the run; stop before spending more on model or tool calls
+            config?.signal?.throwIfAborted();
+
+            let response;
+            for await (const chunk of await modelWithTools.stream(currentMessages, { signal: config?.signal })) {
+                if (typeof chunk.content === "string" && chunk.content.length > 0) {
+                    config?.writer?.({ type: "token", content: chunk.content });
+                }
+                response = response ? response.concat(chunk) : chunk;
+            }
             currentMessages.push(response);
+            tokensUsed += response.usage_metadata?.total_tokens || 0;
 
             if (!response.tool_calls || response.tool_calls.length === 0) {
                 console.log("🍽️ Restaurant agent finished with response");
@@ -176,15 +232,21 @@ Make responses helpful, engaging, and easy to interact with!`;
                     messages: [...state.messages, new AIMessage(response.content)],
                     toolsUsed: toolsUsed.length > 0 ? toolsUsed : ["none"],
                     foundRestaurants,
+                    tokensUsed,
+                    usedLocation,
                     sessionId: state.sessionId
                 };
             }
 
             for (const toolCall of response.tool_calls) {
                 let toolResult;
+                let toolSucceeded = true;
 
                 console.log(`🔧 Restaurant agent using tool: ${toolCall.name}`);
                 toolsUsed.push(toolCall.name);
+                // Coordinates come from the user's profile or device, so the answer is about where they are
+                usedLocation ||= Boolean(toolCall.args?.latitude && toolCall.args?.longitude);
+                config?.writer?.({ type: "tool_start", tool: toolCall.name, args: toolCall.args });
 
                 // Find and invoke the appropriate tool
                 const tool = restaurantTools.find(t => t.name === toolCall.name);
@@ -192,15 +254,21 @@ Make responses helpful, engaging, and easy to interact with!`;
                 if (tool) {
                     // Add sessionId to tool arguments if needed
                     const toolArgs = { ...toolCall.args };
-                    if (['make_reservation', 'get_user_reservations'].includes(toolCall.name)) {
+                    if (['make_reservation', 'get_user_reservations', 'modify_reservation', 'cancel_reservation'].includes(toolCall.name)) {
                         toolArgs.sessionId = state.sessionId;
                     }
+                    // Searches remember their next page per conversation
+                    if (['semantic_search_restaurants', 'show_more_restaurants'].includes(toolCall.name)) {
+                        toolArgs.sessionId = state.sessionId;
+                        toolArgs.chatId = state.chatId;
+                    }
 
                     toolResult = await tool.invoke(toolArgs);
 
                     // Parse JSON response to extract restaurants for summary
                     try {
                         const parsedResult = JSON.parse(toolResult);
+                        toolSucceeded = parsedResult.success !== false;
                         if (parsedResult.type === "restaurant_search" && parsedResult.restaurants) {
                             foundRestaurants = parsedResult.restaurants;
                         } else if (parsedResult.type === "restaurant_details" && parsedResult.restaurant) {
@@ -210,6 +278,7 @@ Make responses helpful, engaging, and easy to interact with!`;
                         console.warn("Could not parse tool result as JSON:", parseError);
                     }
                 } else {
+                    toolSucceeded = false;
                     toolResult = JSON.stringify({
                         type: "error",
                         success: false,
@@ -217,6 +286,8 @@ Make responses helpful, engaging, and easy to interact with!`;
                     });
                 }
 
+                config?.writer?.({ type: "tool_end", tool: toolCall.name, success: toolSucceeded });
+
                 currentMessages.push({
                     role: "tool",
                     content: toolResult,
@@ -226,6 +297,9 @@ Make responses helpful, engaging, and easy to interact with!`;
         }
 
     } catch (error) {
+        if (config?.signal?.aborted) {
+            throw error;
+        }
         console.error("❌ Restaurant discovery agent error:", error);
         return {
             result: "I apologize, but I'm having trouble with your restaurant request right now. Please try asking about restaurant recommendations, making reservations, or general dining questions!",
@@ -239,12 +313,15 @@ Make responses helpful, engaging, and easy to interact with!`;
 /**
  * Node 3: Process Work Output with Caching
  *
- * Handles caching of responses for future use
+ * Handles caching of responses for future use. Each answer is stored in the narrowest scope it needs:
+ * private when it names the user or their account, segment when it relied on their location or diet,
+ * global otherwise, so a personalized answer is never replayed to someone else.
  */
 export const processWorkOutputWithCaching = async (state) => {
     const lastUserMessage = state.messages.findLast(m => m.getType() === "human");
-    const userQuery = lastUserMessage?.content || "";
+    const userQuery = state.cacheQuery || lastUserMessage?.content || "";
     const agentResponse = state.result;
+    const toolCategory = determineToolCategory(state.toolsUsed || []);
 
     console.log("💾 Processing work output and caching...");
 
@@ -252,6 +329,7 @@ export const processWorkOutputWithCaching = async (state) => {
         // Don't cache if there was an error
         if (state.toolsUsed?.includes("error")) {
             console.log("🚫 Skipping cache due to error in workflow");
+            await recordCacheEvent({ status: "skip", stage: "store", prompt: userQuery, toolCategory: "error" });
             return {
                 result: agentResponse,
                 sessionId: state.sessionId,
@@ -267,6 +345,7 @@ export const processWorkOutputWithCaching = async (state) => {
         // Don't cache if TTL is 0 (personal/dynamic operations)
         if (cacheTTL === 0) {
             console.log("🚫 Skipping cache for personal/dynamic operations");
+            await recordCacheEvent({ status: "skip", stage: "store", prompt: userQuery, toolCategory });
             return {
                 result: agentResponse,
                 sessionId: state.sessionId,
@@ -274,21 +353,44 @@ export const processWorkOutputWithCaching = async (state) => {
             };
         }
 
-        // Save to semantic cache
-        await saveToSemanticCache(userQuery, agentResponse, cacheTTL, state.sessionId);
+        const userProfile = await new UserService().getUserProfile(state.sessionId);
+        const scope = classifyCacheScope({
+            response: agentResponse,
+            query: userQuery,
+            profile: userProfile,
+            usedLocation: state.usedLocation,
+        });
 
-        console.log(`✅ Response cached for ${formatTTL(cacheTTL)}`);
+        // Save to semantic cache
+        const { entryId } = await saveToSemanticCache(userQuery, agentResponse, cacheTTL, {
+            ...buildScopeAttributes(scope, { sessionId: state.sessionId, profile: userProfile }),
+            toolCategory,
+        }, extractRestaurantIds(agentResponse, state.foundRestaurants));
+
+        console.log(`✅ Response cached (${scope}) for ${formatTTL(cacheTTL)}`);
+        await recordCacheEvent({
+            status: "saved",
+            stage: "store",
+            entryId,
+            prompt: userQuery,
+            ttlMillis: cacheTTL,
+            toolCategory,
+            tokensUsed: state.tokensUsed,
+            scope,
+        });
 
         return {
             result: agentResponse,
             sessionId: state.sessionId,
             toolsUsed: state.toolsUsed,
             foundRestaurants: state.foundRestaurants,
-            cacheStatus: "saved"
+            cacheStatus: "saved",
+            cacheScope: scope
         };
 
     } catch (error) {
         console.error("Error in caching process:", error);
+        await recordCacheEvent({ status: "error", stage: "store", prompt: userQuery, toolCategory });
 
         // Return the result even if caching fails
         return {
@@ -9,16 +9,28 @@ import { z } from "zod";
  *
  * @typedef {Object} RestaurantAgentState
  * @property {string} sessionId - Unique session ID for tracking the user's restaurant discovery session
+ * @property {string} [chatId] - Chat thread the conversation belongs to
+ * @property {boolean} [useSmartRecall] - Whether the semantic cache and long-term memory (profile preferences) are used
  * @property {string} [result] - Optional result string, typically the agent's final response
  * @property {"hit" | "miss" | "skip" | "saved" | "error"} [cacheStatus] - Cache status indicator
+ * @property {string} [cacheQuery] - Standalone rewrite of the latest user message used as the semantic cache key
+ * @property {"private" | "segment" | "global"} [cacheScope] - Who the answer may be served to: the user, users with the same city, locality and diet, or everyone
  * @property {Array<string>} [toolsUsed] - Names of the tools invoked by the agent during processing
  * @property {Array<Object>} [foundRestaurants] - Restaurants found during search operations
+ * @property {number} [tokensUsed] - Tokens the agent's model calls used, as reported by the model
+ * @property {boolean} [usedLocation] - Whether a tool searched around the user's coordinates
  */
 export const RestaurantAgentState = MessagesZodState.extend({
     sessionId: z.string(),
+    chatId: z.string().optional(),
+    useSmartRecall: z.boolean().optional(),
     result: z.string().optional(),
     cacheStatus: z.enum(["hit", "miss", "skip", "saved", "error"]).optional(),
+    cacheQuery: z.string().optional(),
+    cacheScope: z.enum(["private", "segment", "global"]).optional(),
     toolsUsed: z.array(z.string()).optional(),
+    tokensUsed: z.number().optional(),
+    usedLocation: z.boolean().optional(),
     foundRestaurants: z.array(z.object({
         id: z.string(),
         name: z.string(),
@@ -1,6 +1,5 @@
 import { tool } from "@langchain/core/tools";
 import { HumanMessage } from "@langchain/core/messages";
-import { ChatOpenAI } from "@langchain/openai";
 
 import { z } from "zod";
 
@@ -12,110 +11,153 @@ import { UserService } from '../../users/domain/user-service.js';
 // Import helper functions
 import { AppError, HttpStatusCode } from '../../../lib/errors.js';
 import { generateEmbedding } from '../helpers/embeddings.js';
-import CONFIG from '../../../config.js';
+import { createChatModel } from '../helpers/chat-models.js';
+import { encodeCursor, decodeCursor } from '../../../lib/pagination.js';
+import { saveSearchCursor, getSearchCursor } from '../../chat/domain/chat-service.js';
 
 const restaurantService = new RestaurantService();
 const reservationService = new ReservationService();
 const userService = new UserService();
 
+/**
+ * Run one page of a restaurant search
+ * @param {'hybrid' | 'location' | 'popular'} strategy - Search strategy
+ * @param {Object} params - Search parameters (query, coordinates and filters)
+ * @param {number} offset - Number of results to skip
+ * @param {number} limit - Page size
+ * @returns {Promise<{restaurants: Array, pagination: Object}>}
+ */
+async function runRestaurantSearch(strategy, params, offset, limit) {
+    const { query, latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating } = params;
+
+    switch (strategy) {
+        case "hybrid": {
+            // Keyword (BM25) and vector rankings fused together,
+            // so dish and restaurant names rank well alongside descriptive queries
+            const embedding = await generateEmbedding(query);
+            return restaurantService.hybridSearchRestaurants(query, embedding, {
+                latitude,
+                longitude,
+                radius,
+                cuisine,
+                city,
+                locality,
+                type,
+                maxPrice,
+                minRating,
+                limit,
+                offset,
+            });
+        }
+        case "location":
+            return restaurantService.findNearbyRestaurants({
+                latitude,
+                longitude,
+                radius,
+                cuisine,
+                city,
+                locality,
+                type,
+                maxPrice,
+                minRating,
+                limit,
+                offset,
+            });
+        default:
+            return restaurantService.getPopularRestaurants({ city, cuisine, limit, offset });
+    }
+}
+
+/**
+ * Format a page of search results for the agent and remember where the next page starts,
+ * so "show me more" continues the same search in this conversation
+ */
+async function respondWithSearchPage({ sessionId, chatId, strategy, params, limit, result }) {
+    const { restaurants, pagination } = result;
+
+    if (sessionId && chatId) {
+        await saveSearchCursor(
+            sessionId,
+            chatId,
+            pagination.hasMore ? encodeCursor(pagination.nextOffset, { strategy, params, limit }) : null,
+        );
+    }
+
+    const shownSoFar = pagination.offset + restaurants.length;
+
+    return JSON.stringify({
+        type: "restaurant_search",
+        success: restaurants.length > 0,
+        query: params.query,
+        searchStrategy: strategy,
+        totalFound: pagination.total,
+        page: { offset: pagination.offset, shown: restaurants.length, hasMore: pagination.hasMore },
+        restaurants,
+        searchParams: {
+            query: params.query,
+            location: Number.isFinite(params.latitude) && Number.isFinite(params.longitude),
+            filters: {
+                cuisine: params.cuisine,
+                city: params.city,
+                locality: params.locality,
+                type: params.type,
+                maxPrice: params.maxPrice,
+                minRating: params.minRating,
+            },
+        },
+        message: restaurants.length > 0
+            ? `Showing results ${pagination.offset + 1}-${shownSoFar} of ${pagination.total} restaurants matching your preferences.${pagination.hasMore ? " More are available with show_more_restaurants." : ""}`
+            : `No restaurants found matching your criteria. Try different keywords or filters.`,
+    });
+}
+
 /**
  * Tool: Unified Restaurant Search
  * Primary search tool that handles semantic search, location-based search, and all filters
  */
 export const semanticSearchRestaurantsTool = tool(
-    async ({ query, latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating, limit, useSemanticSearch = true }) => {
+    async ({ sessionId, chatId, query, latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating, limit, useSemanticSearch = true }) => {
         console.log(`🔍 Searching restaurants: "${query}"`);
 
         try {
             const maxResults = limit ? parseInt(limit) : 15;
 
-            let result;
-
-            // Primary search with all filters
-            if (query && useSemanticSearch) {
-                console.log(`Using semantic search with filters...`);
-                const embedding = await generateEmbedding(query);
-
-                result = await restaurantService.vectorSearchRestaurants(embedding, {
-                    latitude: latitude ? parseFloat(latitude) : undefined,
-                    longitude: longitude ? parseFloat(longitude) : undefined,
-                    radius: radius ? parseFloat(radius) : 15,
-                    cuisine,
-                    city,
-                    locality,
-                    type,
-                    maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-                    minRating: minRating ? parseFloat(minRating) : undefined,
-                    limit: maxResults * 2, // Get more results for filtering
-                });
-            } else if (latitude && longitude) {
-                console.log(`📍 Using location-based search...`);
-                result = await restaurantService.findNearbyRestaurants({
-                    latitude: parseFloat(latitude),
-                    longitude: parseFloat(longitude),
-                    radius: radius ? parseFloat(radius) : 15,
-                    cuisine,
-                    city,
-                    maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-                    minRating: minRating ? parseFloat(minRating) : undefined,
-                    limit: maxResults,
-                });
-            } else {
-                console.log(`🌟 Fallback to popular restaurants...`);
-                result = await restaurantService.getPopularRestaurants({ city, limit: maxResults, cuisine });
-            }
+            const params = {
+                query,
+                latitude: latitude ? parseFloat(latitude) : undefined,
+                longitude: longitude ? parseFloat(longitude) : undefined,
+                radius: radius ? parseFloat(radius) : 15,
+                cuisine,
+                city,
+                locality,
+                type,
+                maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
+                minRating: minRating ? parseFloat(minRating) : undefined,
+            };
+
+            let strategy = query && useSemanticSearch
+                ? "hybrid"
+                : (Number.isFinite(params.latitude) && Number.isFinite(params.longitude) ? "location" : "popular");
+
+            console.log(`Using ${strategy} search with filters...`);
+            let result = await runRestaurantSearch(strategy, params, 0, maxResults);
 
             // Retry logic - remove cuisine filter if no results
-            if (result.restaurants.length === 0 && cuisine) {
+            if (result.restaurants.length === 0 && cuisine && strategy !== "popular") {
                 console.log(`🔄 No results with cuisine "${cuisine}", retrying without cuisine filter...`);
-
-                if (query && useSemanticSearch) {
-                    const embedding = await generateEmbedding(query);
-                    result = await restaurantService.vectorSearchRestaurants(embedding, {
-                        latitude: latitude ? parseFloat(latitude) : undefined,
-                        longitude: longitude ? parseFloat(longitude) : undefined,
-                        radius: radius ? parseFloat(radius) : 15,
-                        city,
-                        locality,
-                        type,
-                        maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-                        minRating: minRating ? parseFloat(minRating) : undefined,
-                        limit: maxResults * 2,
-                    });
-                } else if (latitude && longitude) {
-                    result = await restaurantService.findNearbyRestaurants({
-                        latitude: parseFloat(latitude),
-                        longitude: parseFloat(longitude),
-                        radius: radius ? parseFloat(radius) : 15,
-                        city,
-                        maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-                        minRating: minRating ? parseFloat(minRating) : undefined,
-                        limit: maxResults,
-                    });
-                }
+                params.cuisine = undefined;
+                result = await runRestaurantSearch(strategy, params, 0, maxResults);
             }
 
             // Final fallback to popular restaurants
             if (result.restaurants.length === 0) {
                 console.log(`🔄 No specific results found, showing popular restaurants, limit is...`, maxResults);
-                result = await restaurantService.getPopularRestaurants({ city, limit: maxResults });
+                strategy = "popular";
+                params.cuisine = undefined;
+                result = await runRestaurantSearch(strategy, params, 0, maxResults);
             }
 
-            // Limit final results
-            const finalRestaurants = result.restaurants;
-
-            return JSON.stringify({
-                type: "restaurant_search",
-                success: finalRestaurants.length > 0,
-                query: query,
-                searchStrategy: query && useSemanticSearch ? "semantic" : (latitude && longitude ? "location" : "popular"),
-                totalFound: finalRestaurants.length,
-                restaurants: finalRestaurants,
-                searchParams: { query, location: !!(latitude && longitude), filters: { cuisine, city, locality, type, maxPrice, minRating } },
-                message: finalRestaurants.length > 0
-                    ? `Found ${finalRestaurants.length} restaurants matching your preferences.`
-                    : `No restaurants found matching your criteria. Try different keywords or filters.`,
-            });
+            return respondWithSearchPage({ sessionId, chatId, strategy, params, limit: maxResults, result });
 
         } catch (error) {
             console.error('Error in restaurant search:', error);
@@ -128,8 +170,10 @@ export const semanticSearchRestaurantsTool = tool(
     },
     {
         name: "semantic_search_restaurants",
-        description: "🍽️ UNIFIED RESTAURANT SEARCH - Primary search tool for all restaurant queries! Handles semantic search, location-based search, and filters. Use for ANY restaurant search query.",
+        description: "🍽️ UNIFIED RESTAURANT SEARCH - Primary search tool for all restaurant queries! Combines keyword matching on names and dishes with semantic search, and handles location-based search and filters. Each result has a scoreBreakdown (textRank, vectorRank, hybridScore). Returns the first page of results with the total number found. Use for ANY new restaurant search query.",
         schema: z.object({
+            sessionId: z.string().optional().describe("User session ID (filled in automatically)"),
+            chatId: z.string().optional().describe("Chat ID (filled in automatically)"),
             query: z.string().describe("Search query (e.g., 'romantic dinner with live music', 'Italian restaurant', 'good food')"),
             latitude: z.string().optional().describe("Latitude coordinate for location-based search"),
             longitude: z.string().optional().describe("Longitude coordinate for location-based search"),
@@ -141,7 +185,50 @@ export const semanticSearchRestaurantsTool = tool(
             maxPrice: z.string().optional().describe("Maximum price for 2 people"),
             minRating: z.string().optional().describe("Minimum rating filter (e.g., '4.0')"),
             limit: z.string().optional().describe("Maximum number of results (default: 5, max: 10)"),
-            useSemanticSearch: z.boolean().optional().describe("Use semantic search for descriptive queries (default: true)"),
+            useSemanticSearch: z.boolean().optional().describe("Use hybrid keyword + semantic search for the query (default: true)"),
+        })
+    }
+);
+
+/**
+ * Tool: Show More Restaurants
+ * Next page of the last restaurant search in this conversation
+ */
+export const showMoreRestaurantsTool = tool(
+    async ({ sessionId, chatId }) => {
+        console.log(`➕ Showing more restaurants for chat: ${chatId}`);
+
+        try {
+            const cursor = sessionId && chatId ? await getSearchCursor(sessionId, chatId) : null;
+
+            if (!cursor) {
+                return JSON.stringify({
+                    type: "restaurant_search",
+                    success: false,
+                    error: "There are no more results for the last search. Ask the user what they would like to search for next.",
+                });
+            }
+
+            const { offset, params: { strategy, params, limit } } = decodeCursor(cursor);
+            const result = await runRestaurantSearch(strategy, params, offset, limit);
+
+            return respondWithSearchPage({ sessionId, chatId, strategy, params, limit, result });
+
+        } catch (error) {
+            console.error('Error showing more restaurants:', error);
+            return JSON.stringify({
+                type: "restaurant_search",
+                success: false,
+                error: `Sorry, I had trouble loading more restaurants. Please try searching again.`,
+            });
+        }
+    },
+    {
+        name: "show_more_restaurants",
+        description: "➕ NEXT PAGE - Fetch the next page of the most recent restaurant search in this conversation, with the same query and filters. Use when the user asks for 'more', 'show me more', 'other options' or 'next'.",
+        schema: z.object({
+            sessionId: z.string().optional().describe("User session ID (filled in automatically)"),
+            chatId: z.string().optional().describe("Chat ID (filled in automatically)"),
         })
     }
 );
@@ -151,7 +238,7 @@ export const semanticSearchRestaurantsTool = tool(
  * Find restaurants near user's location from their profile
  */
 export const findNearbyRestaurantsTool = tool(
-    async ({ sessionId, radius, limit }) => {
+    async ({ sessionId, radius, cuisine, maxPrice, minRating, sortBy, limit }) => {
         console.log(`📍 Finding restaurants near user's location for session: ${sessionId}`);
 
         try {
@@ -169,12 +256,16 @@ export const findNearbyRestaurantsTool = tool(
             const radiusKm = radius ? parseFloat(radius) : 5;
             const maxResults = limit ? parseInt(limit) : 10;
 
-            const result = await restaurantService.getRestaurantsByLocation(
-                userLocation.latitude,
-                userLocation.longitude,
-                radiusKm,
-                maxResults,
-            );
+            const result = await restaurantService.findNearbyRestaurants({
+                latitude: userLocation.latitude,
+                longitude: userLocation.longitude,
+                radius: radiusKm,
+                cuisine,
+                maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
+                minRating: minRating ? parseFloat(minRating) : undefined,
+                sortBy: sortBy || 'distance',
+                limit: maxResults,
+            });
 
             return JSON.stringify({
                 type: "nearby_restaurants",
@@ -185,8 +276,9 @@ export const findNearbyRestaurantsTool = tool(
                     longitude: userLocation.longitude,
                     locality: userLocation.locality,
                 },
-                radiusKm: radiusKm,
-                message: `Found ${result.restaurants.length} restaurants within ${radiusKm}km of your location in ${userLocation.locality}.`,
+                radiusKm: result.radiusKm,
+                sortBy: result.sortBy,
+                message: `Found ${result.restaurants.length} restaurants within ${result.radiusKm}km of your location in ${userLocation.locality}. Each result includes its distanceKm.`,
             });
 
         } catch (error) {
@@ -204,6 +296,10 @@ export const findNearbyRestaurantsTool = tool(
         schema: z.object({
             sessionId: z.string().describe("User session ID to fetch location from profile"),
             radius: z.string().optional().describe("Search radius in kilometers (default: 5, max: 20)"),
+            cuisine: z.string().optional().describe("Cuisine filter (e.g., 'Italian', 'Chinese')"),
+            maxPrice: z.string().optional().describe("Maximum price for 2 people"),
+            minRating: z.string().optional().describe("Minimum rating filter (e.g., '4.0')"),
+            sortBy: z.enum(["distance", "rating", "best"]).optional().describe("'distance' for closest first (default), 'rating' for highest rated first, 'best' to balance rating and distance"),
             limit: z.string().optional().describe("Maximum number of results (default: 10, max: 20)"),
         })
     }
@@ -293,7 +389,7 @@ export const getRestaurantDetailsTool = tool(
  * Create a restaurant reservation using customer details from user profile
  */
 export const makeReservationTool = tool(
-    async ({ sessionId, restaurantId, date, time, guests, specialRequests }) => {
+    async ({ sessionId, restaurantId, date, time, guests, specialRequests, joinWaitlist }) => {
         console.log(`📅 Making reservation for restaurant: ${restaurantId}`);
 
         try {
@@ -304,28 +400,41 @@ export const makeReservationTool = tool(
                 time,
                 guests: parseInt(guests),
                 specialRequests,
+                joinWaitlist: joinWaitlist || false,
             });
 
+            const isWaitlisted = result.reservation.status === 'waitlisted';
+
             return JSON.stringify({
                 type: "reservation",
                 success: true,
                 reservation: result.reservation,
                 restaurant: result.restaurant,
-                message: `✅ Reservation confirmed at **${result.restaurant.name}** on ${date} at ${time} for ${guests} guests (ID: ${result.restaurant.id})`,
+                waitlistPosition: result.waitlistPosition,
+                message: isWaitlisted
+                    ? `🕒 Added to the waitlist at **${result.restaurant.name}** on ${date} at ${time} for ${guests} guests (position ${result.waitlistPosition}). The booking will be confirmed automatically if a table frees up. (ID: ${result.restaurant.id})`
+                    : `✅ Reservation confirmed at **${result.restaurant.name}** on ${date} at ${time} for ${guests} guests (ID: ${result.restaurant.id})`,
             });
 
         } catch (error) {
             console.error('Error making reservation:', error);
+            const alternatives = error.details?.alternatives || [];
+
             return JSON.stringify({
                 type: "reservation",
                 success: false,
+                reason: error.name,
+                alternatives,
                 error: `Sorry, I couldn't make the reservation. ${error.message || 'Please try again.'}`,
+                ...(alternatives.length > 0 && {
+                    message: `Available alternatives on ${date}: ${alternatives.map(slot => `${slot.time} (${slot.seatsAvailable} seats left)`).join(', ')}. Offer these to the user, or offer to join the waitlist for ${time}.`,
+                }),
             });
         }
     },
     {
         name: "make_reservation",
-        description: "📅 MAKE RESERVATION - Book a table at a restaurant using customer details from user profile. Use when user says 'book', 'reserve', 'make reservation'. Automatically uses their saved contact information.",
+        description: "📅 MAKE RESERVATION - Book a table at a restaurant using customer details from user profile. Use when user says 'book', 'reserve', 'make reservation'. Automatically uses their saved contact information. If the slot is full, returns alternative times to offer the user; set joinWaitlist only when the user explicitly asks to be waitlisted.",
         schema: z.object({
             sessionId: z.string().describe("User session ID to fetch customer details from profile"),
             restaurantId: z.string().describe("Restaurant ID from previous search (e.g., 'tonino-6fbacd23')"),
@@ -333,6 +442,7 @@ export const makeReservationTool = tool(
             time: z.string().describe("Reservation time in HH:MM format (e.g., '19:00')"),
             guests: z.string().describe("Number of guests (e.g., '2', '4')"),
             specialRequests: z.string().optional().describe("Special requests, dietary requirements, or occasion notes"),
+            joinWaitlist: z.boolean().optional().describe("Join the waitlist if the requested slot is full (default: false)"),
         })
     }
 );
@@ -351,7 +461,10 @@ export const getUserReservationsTool = tool(
             // Format reservations with restaurant IDs
             const formattedReservations = result.reservations.map(reservation => {
                 const restaurantName = reservation.restaurant ? reservation.restaurant.name : 'Unknown Restaurant';
-                return `**${restaurantName}** - ${reservation.date} at ${reservation.time} for ${reservation.guests} guests (ID: ${reservation.restaurantId})`;
+                const modifiedNote = reservation.changeHistory?.length > 0
+                    ? ` ✏️ modified ${reservation.changeHistory.length} time${reservation.changeHistory.length > 1 ? 's' : ''}`
+                    : '';
+                return `**${restaurantName}** - ${reservation.date} at ${reservation.time} for ${reservation.guests} guests${modifiedNote} (ID: ${reservation.restaurantId})`;
             }).join('\n');
 
             const message = result.summary.totalReservations > 0
@@ -384,23 +497,82 @@ export const getUserReservationsTool = tool(
     }
 );
 
+/**
+ * Tool: Modify Reservation
+ * Reschedule a reservation or change its party size / special requests
+ */
+export const modifyReservationTool = tool(
+    async ({ sessionId, reservationId, date, time, guests, specialRequests }) => {
+        console.log(`✏️ Modifying reservation: ${reservationId}`);
+
+        try {
+            const result = await reservationService.modifyReservation(reservationId, sessionId, {
+                date,
+                time,
+                guests: guests !== undefined ? parseInt(guests) : undefined,
+                specialRequests,
+            });
+
+            const changeSummary = Object.entries(result.changes)
+                .map(([field, { from, to }]) => `${field}: ${from ?? 'none'} → ${to ?? 'none'}`)
+                .join(', ');
+
+            return JSON.stringify({
+                type: "reservation_modification",
+                success: true,
+                reservation: result.reservation,
+                restaurant: result.restaurant,
+                changes: result.changes,
+                policy: result.policy,
+                message: `✏️ Your reservation at **${result.restaurant.name}** is now on ${result.reservation.date} at ${result.reservation.time} for ${result.reservation.guests} guests (${changeSummary}) (ID: ${result.restaurant.id})${result.policy?.feeApplies ? ` ${result.policy.reason}.` : ''}`,
+            });
+
+        } catch (error) {
+            console.error('Error modifying reservation:', error);
+            const alternatives = error.details?.alternatives || [];
+
+            return JSON.stringify({
+                type: "reservation_modification",
+                success: false,
+                reason: error.name,
+                alternatives,
+                policy: error.details?.policy || null,
+                error: `Sorry, I couldn't change your reservation. ${error.message || 'Please try again.'}`,
+            });
+        }
+    },
+    {
+        name: "modify_reservation",
+        description: "✏️ MODIFY RESERVATION - Reschedule an existing reservation or change its party size or special requests. Use when user says 'move my booking', 'change to 8:30', 'add two more people'. ALWAYS call get_user_reservations first to get the exact reservation ID. Moving a booking or reducing the party follows the restaurant's cancellation policy - explain the returned policy reason to the user.",
+        schema: z.object({
+            sessionId: z.string().describe("User session ID (for ownership check)"),
+            reservationId: z.string().describe("Exact reservation ID from previous reservation list (e.g., 'res_1731234567890_abc123def')"),
+            date: z.string().optional().describe("New reservation date in YYYY-MM-DD format"),
+            time: z.string().optional().describe("New reservation time in HH:MM format"),
+            guests: z.string().optional().describe("New number of guests (e.g., '4')"),
+            specialRequests: z.string().optional().describe("New special requests, replacing the existing ones"),
+        })
+    }
+);
+
 /**
  * Tool: Cancel Reservation
  * Cancel an existing reservation for the user
  */
 export const cancelReservationTool = tool(
-    async ({ reservationId }) => {
+    async ({ sessionId, reservationId }) => {
         console.log(`❌ Canceling reservation: ${reservationId}`);
 
         try {
-            const result = await reservationService.cancelReservation(reservationId);
+            const result = await reservationService.cancelReservation(reservationId, sessionId);
 
             return JSON.stringify({
                 type: "reservation_cancellation",
                 success: true,
                 reservation: result.reservation,
                 restaurant: result.restaurant,
-                message: `Your reservation at ${result.restaurant.name} on ${result.reservation.date} at ${result.reservation.time} has been successfully canceled.`
+                policy: result.policy,
+                message: `Your reservation at ${result.restaurant.name} on ${result.reservation.date} at ${result.reservation.time} has been successfully canceled.${result.policy.feeApplies ? ` ${result.policy.reason}.` : ''}`
             });
 
         } catch (error) {
@@ -408,14 +580,17 @@ export const cancelReservationTool = tool(
             return JSON.stringify({
                 type: "reservation_cancellation",
                 success: false,
+                reason: error.name,
+                policy: error.details?.policy || null,
                 error: `Sorry, I couldn't cancel your reservation. ${error.message || 'Please try again.'}`
             });
         }
     },
     {
         name: "cancel_reservation",
-        description: "❌ CANCEL RESERVATION - Cancel an existing reservation. Use ONLY with a valid reservation ID from a previous reservation list. ALWAYS call get_user_reservations first to get valid reservation IDs.",
+        description: "❌ CANCEL RESERVATION - Cancel an existing reservation. Use ONLY with a valid reservation ID from a previous reservation list. ALWAYS call get_user_reservations first to get valid reservation IDs. The restaurant's cancellation policy may refuse late cancellations or apply a fee - explain the returned policy reason to the user.",
         schema: z.object({
+            sessionId: z.string().describe("User session ID (for ownership check)"),
             reservationId: z.string().describe("Exact reservation ID from previous reservation list (e.g., 'reservation_abc123')")
         })
     }
@@ -431,11 +606,7 @@ export const directAnswerTool = tool(
 
         try {
             // Direct LLM call for general questions
-            const model = new ChatOpenAI({
-                temperature: 0.2,
-                model: CONFIG.modelName,
-                apiKey: CONFIG.openAiApiKey
-            });
+            const model = createChatModel("direct-answer", { temperature: 0.2 });
 
             const systemPrompt = `You are a knowledgeable restaurant and dining assistant. Answer questions about:
 - Restaurant recommendations and cuisine types
@@ -480,10 +651,12 @@ Keep responses helpful, informative, and concise. If the question requires speci
 // Export all tools as an array
 export const restaurantTools = [
     semanticSearchRestaurantsTool,
+    showMoreRestaurantsTool,
     getRestaurantDetailsTool,
     getPopularRestaurantsTool,
     makeReservationTool,
     getUserReservationsTool,
+    modifyReservationTool,
     cancelReservationTool,
     directAnswerTool,
 ];
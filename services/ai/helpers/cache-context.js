@@ -0,0 +1,227 @@
+/**
+ * Semantic cache key helpers
+ *
+ * Cached answers are looked up by a standalone version of the user's question plus
+ * attributes describing the context it was answered in, so a follow-up like
+ * "what about cheaper ones?" never matches an unrelated answer from someone else's conversation.
+ *
+ * Every answer is stored under one scope, and a lookup only sees entries of its own scopes:
+ * - global: nothing about the user went into the answer; shared by everyone
+ * - segment: the answer used the user's city, locality or diet; shared by users with exactly the same ones
+ * - private: the answer names the user, their account, their coordinates or preferences the segment does not capture;
+ *   only for them
+ */
+
+import { createChatModel } from "./chat-models.js";
+
+// Number of previous messages used to resolve references in a follow-up question
+const HISTORY_WINDOW = 6;
+
+// Scopes in lookup order, most specific first
+export const CACHE_SCOPES = ['private', 'segment', 'global'];
+
+// Phrases that tie an answer to the user's stated preferences
+const PREFERENCE_REFERENCE = /\b(based on your|since you (prefer|like|love|enjoy|mentioned)|as you (mentioned|said|prefer)|your (preferences?|favou?rites?|diet|dietary|allergy|allergies|profile|usual))\b/i;
+// Phrases that tie an answer to the user's location
+const LOCATION_REFERENCE = /\b((near|close to|around) (you|your)|your (location|area|neighbou?rhood|locality|city))\b/i;
+// Phrases about the user's own account and bookings
+const ACCOUNT_REFERENCE = /\b(your (reservations?|bookings?|table|account|email|phone( number)?)|you(?:'ve| have) (booked|reserved))\b/i;
+
+// Words too common to tie an answer to a preference
+const PREFERENCE_FILLER_WORDS = new Set(['love', 'loves', 'like', 'likes', 'prefer', 'prefers', 'enjoy', 'enjoys', 'with', 'food', 'places']);
+
+// Dietary keywords matched against profile preferences, most specific first
+const DIETARY_PATTERNS = [
+    ['jain', /\bjain\b|no onion|without onion|avoids onion/i],
+    ['vegan', /\bvegan\b/i],
+    ['non-vegetarian', /non[- ]?veg/i],
+    ['vegetarian', /\bveg(etarian)?\b/i],
+];
+
+/**
+ * Derive a normalized dietary attribute from profile preferences
+ * @param {Array<string>} preferences - Profile preferences
+ * @returns {string|null} Dietary attribute (e.g. 'vegetarian') or null if none is stated
+ */
+export function extractDietaryAttribute(preferences = []) {
+    const text = preferences.join(' ');
+    const match = DIETARY_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+/**
+ * Build the attributes a cache entry is stored and looked up with
+ * @param {Object|null} profile - User profile
+ * @returns {Object<string, string>} Attributes (only non-empty values)
+ */
+export function buildCacheAttributes(profile) {
+    const attributes = {
+        city: profile?.city,
+        locality: profile?.locality,
+        dietary: extractDietaryAttribute(profile?.preferences),
+    };
+
+    return Object.fromEntries(
+        Object.entries(attributes)
+            .filter(([, value]) => typeof value === 'string' && value.trim() && value !== 'Unknown')
+            .map(([key, value]) => [key, value.trim().toLowerCase()])
+    );
+}
+
+/**
+ * Build the attributes an entry of a scope is stored and looked up with
+ * @param {'global' | 'segment' | 'private'} scope
+ * @param {Object} context
+ * @param {string} context.sessionId
+ * @param {Object|null} context.profile - User profile
+ * @returns {Object<string, string>} Attributes
+ */
+export function buildScopeAttributes(scope, { sessionId, profile }) {
+    switch (scope) {
+        case 'private':
+            return { scope, sessionId };
+        case 'segment': {
+            // Lookups match any entry that has the requested attributes, so the whole segment is one value;
+            // otherwise a user without a diet would match vegetarian-only answers
+            const segmentAttributes = buildCacheAttributes(profile);
+            const segment = ['city', 'locality', 'dietary']
+                .map(name => `${name}=${segmentAttributes[name] || 'none'}`)
+                .join(';');
+            return { scope, segment, ...segmentAttributes };
+        }
+        default:
+            return { scope: 'global' };
+    }
+}
+
+/**
+ * Attributes to look a question up with, one set per scope in lookup order
+ * @param {string} sessionId
+ * @param {Object|null} profile - User profile
+ * @param {Array<string>} [scopes] - Scopes to search, defaults to all
+ * @returns {Array<{scope: string, attributes: Object<string, string>}>} Lookups, most specific first
+ */
+export function buildScopedLookups(sessionId, profile, scopes = CACHE_SCOPES) {
+    return CACHE_SCOPES
+        .filter(scope => scopes.includes(scope))
+        .map(scope => ({ scope, attributes: buildScopeAttributes(scope, { sessionId, profile }) }));
+}
+
+/**
+ * Decide who an answer may be replayed to
+ * @param {Object} answer
+ * @param {string} answer.response - Agent response
+ * @param {string} answer.query - Standalone question it answers
+ * @param {Object|null} answer.profile - Profile of the user it was written for
+ * @param {boolean} [answer.usedLocation] - Whether a tool searched around the user's coordinates
+ * @returns {'global' | 'segment' | 'private'} Scope
+ */
+export function classifyCacheScope({ response, query, profile, usedLocation = false }) {
+    const text = response || '';
+
+    const identifiers = [profile?.name?.split(/\s+/)[0], profile?.email, profile?.phone]
+        .filter(value => typeof value === 'string' && value.length > 2 && value !== 'Guest');
+    if (identifiers.some(value => mentions(text, value)) || ACCOUNT_REFERENCE.test(text)) {
+        return 'private';
+    }
+
+    // Results around the user's coordinates belong to that spot, which the segment (city and locality) does not pin down
+    if (usedLocation) {
+        return 'private';
+    }
+
+    if (PREFERENCE_REFERENCE.test(text)) {
+        const [dietary, other] = partition(profile?.preferences || [], preference => extractDietaryAttribute([preference]));
+        // Dietary preferences are part of the segment; anything else, even paraphrased, or a reference we cannot place, is the user's own
+        const mentionsOther = other.some(preference => preferenceKeywords(preference).some(word => mentions(text, word)));
+        return !mentionsOther && dietary.some(preference => mentions(text, extractDietaryAttribute([preference])))
+            ? 'segment'
+            : 'private';
+    }
+
+    const { locality, dietary } = buildCacheAttributes(profile);
+
+    // "Near you" only means the same thing to users of the same locality; without one the segment would be everyone's
+    if (LOCATION_REFERENCE.test(text)) {
+        return locality ? 'segment' : 'private';
+    }
+
+    // A locality or diet from the profile that the question never asked for came from the profile
+    if ([locality, dietary].some(value => value && mentions(text, value) && !mentions(query, value))) {
+        return 'segment';
+    }
+
+    return 'global';
+}
+
+// Words that carry a preference's meaning, e.g. "rooftop" and "seating" in "loves rooftop seating"
+function preferenceKeywords(preference) {
+    return preference.toLowerCase().split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 3 && !PREFERENCE_FILLER_WORDS.has(word));
+}
+
+function partition(values, predicate) {
+    return [values.filter(predicate), values.filter(value => !predicate(value))];
+}
+
+function mentions(text, value) {
+    const escaped = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text || '');
+}
+
+/**
+ * Rewrite the latest user message into a standalone question using the conversation history
+ * @param {Array} messages - LangChain messages, ending with the latest user message
+ * @param {Object|null} profile - User profile (locality and preferences are used as context)
+ * @returns {Promise<string>} Standalone question
+ */
+export async function condenseStandaloneQuestion(messages, profile) {
+    const latestIndex = messages.findLastIndex(m => m.getType() === "human");
+    const latestQuestion = messages[latestIndex]?.content || "";
+    const history = messages.slice(Math.max(latestIndex - HISTORY_WINDOW, 0), latestIndex);
+
+    // A first message has nothing to resolve against
+    if (history.length === 0) {
+        return latestQuestion;
+    }
+
+    const transcript = history
+        .map(m => `${m.getType() === "human" ? "User" : "Assistant"}: ${m.content}`)
+        .join("\n");
+
+    const model = createChatModel("standalone-question");
+
+    const response = await model.invoke([
+        {
+            role: "system",
+            content: `Rewrite the user's latest message as a single standalone question that can be understood without the conversation.
+- Resolve references like "cheaper ones", "that place", "there" or "the second one" using the conversation
+- Mention the user's locality (${profile?.locality || "unknown"}) only if the question depends on location, e.g. "near me"
+- Mention the user's preferences (${(profile?.preferences || []).join(", ") || "none"}) only if the question relies on them implicitly
+- Keep restaurant names, cuisines, prices and dates from the conversation that the question refers to
+- Do not answer the question. Return only the rewritten question.`
+        },
+        {
+            role: "user",
+            content: `Conversation:\n${transcript}\n\nLatest message: ${latestQuestion}`
+        }
+    ]);
+
+    const standalone = typeof response.content === "string" ? response.content.trim() : "";
+    return standalone || latestQuestion;
+}
+
+/**
+ * Build the semantic cache key (standalone question + scoped attributes) for the latest user message
+ * @param {Array} messages - LangChain messages, ending with the latest user message
+ * @param {string} sessionId
+ * @param {Object|null} profile - User profile
+ * @returns {Promise<{query: string, lookups: Array<{scope: string, attributes: Object<string, string>}>}>} Cache key
+ */
+export async function buildSemanticCacheContext(messages, sessionId, profile) {
+    const query = await condenseStandaloneQuestion(messages, profile);
+    return {
+        query,
+        lookups: buildScopedLookups(sessionId, profile),
+    };
+}
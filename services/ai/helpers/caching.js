@@ -2,52 +2,68 @@
  * Restaurant workflow caching utilities
  */
 
+// Don't cache personal/dynamic operations
+// (show_more_restaurants depends on the conversation's previous search)
+const PERSONAL_TOOLS = [
+    'make_reservation',
+    'get_user_reservations',
+    'modify_reservation',
+    'cancel_reservation',
+    'show_more_restaurants'
+];
+
+const STATIC_TOOLS = [
+    'get_popular_restaurants',  // Popular restaurants don't change often
+    'direct_answer'            // General knowledge is static
+];
+
+const SEARCH_TOOLS = [
+    'semantic_search_restaurants'
+];
+
+const DETAIL_TOOLS = [
+    'get_restaurant_details'
+];
+
+/**
+ * Classify a response by the tools that produced it, in the same order TTLs are chosen
+ * @param {Array} toolsUsed - Array of tool names that were executed
+ * @returns {'personal' | 'static' | 'search' | 'details' | 'general'} Tool category, stored with cache entries
+ */
+export function determineToolCategory(toolsUsed) {
+    if (PERSONAL_TOOLS.some(tool => toolsUsed.includes(tool))) return 'personal';
+    if (STATIC_TOOLS.some(tool => toolsUsed.includes(tool))) return 'static';
+    if (SEARCH_TOOLS.some(tool => toolsUsed.includes(tool))) return 'search';
+    if (DETAIL_TOOLS.some(tool => toolsUsed.includes(tool))) return 'details';
+    return 'general';
+}
+
 /**
  * Determine cache TTL based on tools used (more reliable than text parsing)
  * @param {Array} toolsUsed - Array of tool names that were executed
  * @returns {number} TTL in milliseconds (0 = don't cache)
  */
 export function determineToolBasedCacheTTL(toolsUsed) {
-    // Don't cache personal/dynamic operations
-    const personalTools = [
-        'make_reservation',
-        'get_user_reservations',
-        'cancel_reservation'
-    ];
-
-    if (personalTools.some(tool => toolsUsed.includes(tool))) {
-        console.log(`🚫 Personal operation detected: ${toolsUsed.filter(t => personalTools.includes(t)).join(', ')}`);
+    if (PERSONAL_TOOLS.some(tool => toolsUsed.includes(tool))) {
+        console.log(`🚫 Personal operation detected: ${toolsUsed.filter(t => PERSONAL_TOOLS.includes(t)).join(', ')}`);
         return 0; // Don't cache
     }
 
     // Long TTL for static/popular content (changes rarely)
-    const staticTools = [
-        'get_popular_restaurants',  // Popular restaurants don't change often
-        'direct_answer'            // General knowledge is static
-    ];
-
-    if (staticTools.some(tool => toolsUsed.includes(tool))) {
-        console.log(`📚 Static content detected: ${toolsUsed.filter(t => staticTools.includes(t)).join(', ')}`);
+    if (STATIC_TOOLS.some(tool => toolsUsed.includes(tool))) {
+        console.log(`📚 Static content detected: ${toolsUsed.filter(t => STATIC_TOOLS.includes(t)).join(', ')}`);
         return 7 * 24 * 60 * 60 * 1000; // 7 days
     }
 
     // Medium TTL for restaurant searches (restaurants don't change frequently)
-    const searchTools = [
-        'semantic_search_restaurants'
-    ];
-
-    if (searchTools.some(tool => toolsUsed.includes(tool))) {
-        console.log(`🔍 Restaurant search detected: ${toolsUsed.filter(t => searchTools.includes(t)).join(', ')}`);
+    if (SEARCH_TOOLS.some(tool => toolsUsed.includes(tool))) {
+        console.log(`🔍 Restaurant search detected: ${toolsUsed.filter(t => SEARCH_TOOLS.includes(t)).join(', ')}`);
         return 24 * 60 * 60 * 1000; // 24 hours
     }
 
     // Short TTL for specific restaurant details (hours/menu might change)
-    const detailTools = [
-        'get_restaurant_details'
-    ];
-
-    if (detailTools.some(tool => toolsUsed.includes(tool))) {
-        console.log(`🏪 Restaurant details detected: ${toolsUsed.filter(t => detailTools.includes(t)).join(', ')}`);
+    if (DETAIL_TOOLS.some(tool => toolsUsed.includes(tool))) {
+        console.log(`🏪 Restaurant details detected: ${toolsUsed.filter(t => DETAIL_TOOLS.includes(t)).join(', ')}`);
         return 6 * 60 * 60 * 1000; // 6 hours
     }
 
@@ -56,6 +72,17 @@ export function determineToolBasedCacheTTL(toolsUsed) {
     return 12 * 60 * 60 * 1000; // 12 hours default
 }
 
+/**
+ * Collect the restaurants a response depends on: those the tools returned and those it links as "(ID: ...)"
+ * @param {string} response - Agent response
+ * @param {Array<{id: string}>} [foundRestaurants] - Restaurants returned by the tools
+ * @returns {Array<string>} Unique restaurant IDs
+ */
+export function extractRestaurantIds(response, foundRestaurants = []) {
+    const linked = [...(response || '').matchAll(/\(ID: ([^)]+)\)/g)].map(match => match[1].trim());
+    return [...new Set([...foundRestaurants.map(restaurant => restaurant.id), ...linked])];
+}
+
 /**
  * Convert milliseconds to human-readable format
  * @param {number} ms - Milliseconds
@@ -0,0 +1,32 @@
+import { ChatOpenAI } from "@langchain/openai";
+import CONFIG from '../../../config.js';
+import { ScriptedChatModel, loadChatFixtures } from './scripted-chat-model.js';
+
+const fixtures = CONFIG.chatModel.provider === 'local' ? loadChatFixtures(CONFIG.chatModel.fixturesPath) : [];
+
+if (CONFIG.chatModel.provider === 'local') {
+    console.warn(`⚠️  Using the scripted local chat model${fixtures.length > 0 ? ` with ${fixtures.length} fixtures` : ''}. Set CHAT_MODEL_PROVIDER=openai for real answers.`);
+}
+
+/**
+ * Create the chat model named in config
+ * @param {'agent' | 'direct-answer' | 'standalone-question' | 'structured'} purpose - What the model is used for;
+ * the local model picks its scripted behaviour from it
+ * @param {Object} [options]
+ * @param {number} [options.temperature=0]
+ * @returns {import("@langchain/core/language_models/chat_models").BaseChatModel}
+ */
+export function createChatModel(purpose, { temperature = 0 } = {}) {
+    switch (CONFIG.chatModel.provider) {
+        case 'openai':
+            return new ChatOpenAI({
+                temperature,
+                model: CONFIG.modelName,
+                apiKey: CONFIG.openAiApiKey
+            });
+        case 'local':
+            return new ScriptedChatModel({ purpose, fixtures });
+        default:
+            throw new Error(`Unknown CHAT_MODEL_PROVIDER "${CONFIG.chatModel.provider}"; use openai or local`);
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * Chat title helpers
+ *
+ * Once the first turn of a thread is answered, a short title is generated for the
+ * chat sidebar. Titles the user set themselves are never replaced.
+ */
+
+import { z } from "zod";
+import { setGeneratedChatTitle } from "../../chat/domain/chat-service.js";
+import { createChatModel } from "./chat-models.js";
+
+const ChatTitleSchema = z.object({
+    title: z.string().describe("A 2-6 word title for the conversation, e.g. 'Vegan brunch in Indiranagar'"),
+});
+
+/**
+ * Generate a short title from the opening turn of a conversation
+ * @param {string} question - First user message
+ * @param {string} answer - Assistant reply to it
+ * @returns {Promise<string>} Title
+ */
+export async function generateChatTitle(question, answer) {
+    const model = createChatModel("structured").withStructuredOutput(ChatTitleSchema, { name: "title_chat" });
+
+    const { title } = await model.invoke([
+        {
+            role: "system",
+            content: `Write a short title for a restaurant discovery conversation, shown in a list of past chats.
+- 2 to 6 words, no quotes, no trailing punctuation
+- Name what the user is looking for (cuisine, dish, place, occasion), not the assistant`
+        },
+        {
+            role: "user",
+            content: `User: ${question}\nAssistant: ${answer.slice(0, 500)}`
+        }
+    ]);
+
+    return title.replace(/^["']|["'.]$/g, "").trim().slice(0, 60);
+}
+
+/**
+ * Generate and store a title for a thread after its first turn
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @param {string} question - First user message
+ * @param {string} answer - Assistant reply to it
+ */
+export async function titleChatThread(sessionId, chatId, question, answer) {
+    const title = await generateChatTitle(question, answer);
+
+    if (title) {
+        await setGeneratedChatTitle(sessionId, chatId, title);
+    }
+}
@@ -0,0 +1,131 @@
+import OpenAI from 'openai';
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} id - Provider, model and dimensions; stored embeddings from a different id must be regenerated
+ * @property {number} dimensions - Length of every vector returned by embed
+ * @property {(texts: string[]) => Promise<number[][]>} embed - Embed a batch of texts, in order
+ */
+
+/**
+ * OpenAI embeddings API
+ */
+export class OpenAIEmbeddingProvider {
+    constructor({ apiKey, model, dimensions, baseUrl }) {
+        this.client = new OpenAI({ apiKey, ...(baseUrl && { baseURL: baseUrl }) });
+        this.model = model;
+        this.dimensions = dimensions;
+        this.id = `openai:${model}:${dimensions}`;
+    }
+
+    async embed(texts) {
+        const response = await this.client.embeddings.create({
+            model: this.model,
+            input: texts,
+            // text-embedding-3 models can shorten their vectors to the configured dimension
+            ...(this.model.startsWith('text-embedding-3') && { dimensions: this.dimensions }),
+        });
+
+        return response.data.map(item => item.embedding);
+    }
+}
+
+/**
+ * A local server with an OpenAI-compatible /v1/embeddings endpoint (Ollama, LM Studio, vLLM, llama.cpp, ...)
+ */
+export class LocalEmbeddingProvider {
+    constructor({ baseUrl, apiKey, model, dimensions }) {
+        if (!baseUrl) {
+            throw new Error('EMBEDDING_BASE_URL is required for the local embedding provider (e.g. http://localhost:11434/v1)');
+        }
+
+        // Local servers ignore the key, but the client library requires one
+        this.client = new OpenAI({ baseURL: baseUrl, apiKey: apiKey || 'local' });
+        this.model = model;
+        this.dimensions = dimensions;
+        this.id = `local:${model}:${dimensions}`;
+    }
+
+    async embed(texts) {
+        const response = await this.client.embeddings.create({
+            model: this.model,
+            input: texts,
+        });
+
+        return response.data.map(item => item.embedding);
+    }
+}
+
+/**
+ * Deterministic in-process embedder for offline development and CI.
+ * Words, word pairs and character trigrams are hashed into signed buckets (feature hashing) and the vector
+ * is L2-normalized, so texts that share words and word fragments land close together. No network, no model files.
+ */
+export class HashingEmbeddingProvider {
+    constructor({ dimensions }) {
+        this.dimensions = dimensions;
+        this.id = `hashing:v1:${dimensions}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+        const addFeature = (feature, weight) => {
+            const hash = fnv1a(feature);
+            const sign = hash & 1 ? 1 : -1;
+            vector[(hash >>> 1) % this.dimensions] += sign * weight;
+        };
+
+        words.forEach((word, index) => {
+            addFeature(`w:${word}`, 1);
+            if (index > 0) {
+                addFeature(`b:${words[index - 1]} ${word}`, 0.5);
+            }
+
+            // Trigrams let plurals and spelling variants ("pizza", "pizzas") share most features
+            const padded = `^${word}$`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                addFeature(`t:${padded.slice(i, i + 3)}`, 0.25);
+            }
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+}
+
+/**
+ * Create the embedding provider named in config
+ * @param {Object} config - CONFIG.embeddings
+ * @returns {EmbeddingProvider}
+ */
+export function createEmbeddingProvider(config) {
+    switch (config.provider) {
+        case 'openai':
+            if (!config.apiKey) {
+                throw new Error('OPENAI_API_KEY (or EMBEDDING_API_KEY) is required for the openai embedding provider');
+            }
+            return new OpenAIEmbeddingProvider(config);
+        case 'local':
+            return new LocalEmbeddingProvider(config);
+        case 'hashing':
+            return new HashingEmbeddingProvider(config);
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER "${config.provider}"; use openai, local or hashing`);
+    }
+}
+
+// 32-bit FNV-1a
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
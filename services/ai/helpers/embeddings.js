@@ -1,13 +1,18 @@
-import OpenAI from 'openai';
 import CONFIG from '../../../config.js';
+import { createEmbeddingProvider } from './embedding-providers.js';
 
-let openai = null;
+const provider = createEmbeddingProvider(CONFIG.embeddings);
 
-// Only initialize OpenAI if API key is available
-if (CONFIG.openAiApiKey) {
-    openai = new OpenAI({
-        apiKey: CONFIG.openAiApiKey,
-    });
+if (CONFIG.embeddings.provider === 'hashing') {
+    console.warn('⚠️  Using the offline hashing embedder. Set EMBEDDING_PROVIDER=openai or local for model-quality semantic search.');
+}
+
+/**
+ * Identifies the provider, model and dimension behind stored embeddings
+ * @returns {string} Embedding model id
+ */
+export function getEmbeddingModelId() {
+    return provider.id;
 }
 
 /**
@@ -16,18 +21,14 @@ if (CONFIG.openAiApiKey) {
  * @returns {Promise<Array<number[]>>} Array of embedding vectors
  */
 export async function generateEmbeddings(texts) {
-    if (!CONFIG.openAiApiKey || !openai) {
-        console.warn('⚠️  OpenAI API key not configured. Using mock embeddings for development.');
-        // Return mock embeddings for development
-        return texts.map(() => Array(1536).fill(0).map(() => Math.random() - 0.5));
-    }
+    const embeddings = await provider.embed(texts);
 
-    const response = await openai.embeddings.create({
-        model: "text-embedding-3-small", // More cost-effective
-        input: texts,
-    });
+    const wrongDimension = embeddings.find(embedding => embedding.length !== CONFIG.embeddings.dimensions);
+    if (wrongDimension) {
+        throw new Error(`${provider.id} returned ${wrongDimension.length}-dimension embeddings; set EMBEDDING_DIM=${wrongDimension.length} and recreate the index`);
+    }
 
-    return response.data.map(item => item.embedding);
+    return embeddings;
 }
 
 /**
@@ -0,0 +1,88 @@
+/**
+ * Long-term memory helpers
+ *
+ * After each turn the latest user message is checked for durable facts about the user
+ * (allergies, diet, where they live, budget...). New facts are merged into the profile
+ * preferences, which the restaurant agent already reads for personalization.
+ */
+
+import { z } from "zod";
+import { MemoryService } from "../../users/domain/memory-service.js";
+import { createChatModel } from "./chat-models.js";
+
+// Number of previous messages given to the extractor to resolve references
+const HISTORY_WINDOW = 4;
+
+const MEMORY_CATEGORIES = ["dietary", "allergy", "cuisine", "location", "budget", "ambience", "other"];
+
+const ExtractedFactsSchema = z.object({
+    facts: z.array(z.object({
+        text: z.string().describe("The fact as a short profile preference, e.g. 'allergic to peanuts' or 'lives in Koramangala'"),
+        category: z.enum(MEMORY_CATEGORIES),
+        supersedes: z.string().nullable().describe("Exact text of an existing preference this fact replaces, or null"),
+    })),
+});
+
+/**
+ * Extract durable user facts from the latest user message
+ * @param {Array} messages - LangChain messages, ending with the latest user message
+ * @param {Array<string>} existingPreferences - Preferences already stored in the profile
+ * @returns {Promise<Array<{text: string, category: string, supersedes: string|null}>>} Extracted facts
+ */
+export async function extractDurableFacts(messages, existingPreferences = []) {
+    const latestIndex = messages.findLastIndex(m => m.getType() === "human");
+    const latestMessage = messages[latestIndex]?.content || "";
+    if (!latestMessage.trim()) {
+        return [];
+    }
+
+    const transcript = messages
+        .slice(Math.max(latestIndex - HISTORY_WINDOW, 0), latestIndex)
+        .map(m => `${m.getType() === "human" ? "User" : "Assistant"}: ${m.content}`)
+        .join("\n");
+
+    const model = createChatModel("structured").withStructuredOutput(ExtractedFactsSchema, { name: "extract_user_facts" });
+
+    const { facts } = await model.invoke([
+        {
+            role: "system",
+            content: `You maintain a diner's long-term profile. Extract durable facts the user states about themselves in their latest message.
+- Only extract lasting facts: diet, allergies, favourite or disliked cuisines, where they live or work, usual budget, ambience preferences, accessibility needs
+- Ignore one-off requests ("book a table for 4 tonight", "show me Italian places") and anything the assistant said
+- Phrase each fact as a short third-person preference, e.g. "allergic to peanuts", "lives in Koramangala", "prefers quiet places"
+- If a fact replaces one of the existing preferences (e.g. the user moved, or is no longer vegetarian), set supersedes to that preference's exact text
+- Do not repeat existing preferences unless the user changed them
+- Return an empty list when there is nothing durable
+
+Existing preferences: ${existingPreferences.length > 0 ? existingPreferences.map(p => `"${p}"`).join(", ") : "none"}`
+        },
+        {
+            role: "user",
+            content: `${transcript ? `Conversation so far:\n${transcript}\n\n` : ""}Latest user message: ${latestMessage}`
+        }
+    ]);
+
+    return facts.filter(fact => fact.text.trim());
+}
+
+/**
+ * Learn durable facts from the latest turn and store them in the user's profile
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID the turn belongs to
+ * @param {Array} messages - LangChain messages, ending with the latest user message
+ * @returns {Promise<{added: string[], updated: string[], confirmed: string[]}>} What changed
+ */
+export async function updateLongTermMemory(sessionId, chatId, messages) {
+    const memoryService = new MemoryService();
+    const profile = await memoryService.userService.getUserProfile(sessionId);
+    const facts = await extractDurableFacts(messages, profile?.preferences || []);
+
+    const latestMessage = messages.findLast(m => m.getType() === "human")?.content || "";
+    const changes = await memoryService.rememberFacts(sessionId, facts, { chatId, message: latestMessage });
+
+    if (changes.added.length > 0 || changes.updated.length > 0) {
+        console.log(`🧠 Long-term memory updated for ${sessionId}:`, changes);
+    }
+
+    return changes;
+}
@@ -0,0 +1,241 @@
+/**
+ * Scripted chat model for local mode
+ *
+ * A LangChain chat model that needs no network: it answers from fixtures and built-in rules,
+ * emits tool calls the agent loop executes for real, and summarizes tool results into a reply.
+ * Replies stream word by word, so the SSE path behaves as it does with a real model.
+ */
+
+import { readFileSync } from "fs";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+import { RunnableLambda } from "@langchain/core/runnables";
+
+/**
+ * @typedef {Object} ChatFixture
+ * @property {string} match - Case-insensitive regular expression tested against the latest user message
+ * @property {string} [response] - Reply text
+ * @property {Array<{name: string, args: Object}>} [toolCalls] - Tool calls to emit instead of a reply;
+ * "$message" in a string argument is replaced by the user message
+ */
+
+// Built-in rules, tried after the fixtures; the first rule whose tool is bound wins
+const BUILT_IN_RULES = [
+    { match: /\b(more|next|other options)\b/i, tool: "show_more_restaurants", args: () => ({}) },
+    { match: /\b(my|upcoming)\s+(reservations?|bookings?)\b|\bcancel\b|\breservations?\s+do\s+i\b/i, tool: "get_user_reservations", args: () => ({}) },
+    { match: /\b(popular|trending|top[- ]rated|best rated)\b/i, tool: "get_popular_restaurants", args: () => ({}) },
+    { match: /\b(etiquette|tipping|how (do|should) (i|you)|difference between)\b/i, tool: "direct_answer", args: (message) => ({ question: message }) },
+    { match: /.*/, tool: "semantic_search_restaurants", args: (message) => ({ query: message }) },
+];
+
+// Statements the local memory extractor recognizes in a user message
+const FACT_RULES = [
+    { match: /\b(?:i'?m|i am)\s+allergic to\s+([\w\s-]+?)(?:[.,!]|$)/i, category: "allergy", text: (m) => `allergic to ${m[1].trim()}` },
+    { match: /\b(?:i'?m|i am)\s+(?:a\s+)?(vegetarian|vegan|pescatarian)\b/i, category: "dietary", text: (m) => m[1].toLowerCase() },
+    { match: /\bi\s+(?:live|work)\s+in\s+([\w\s-]+?)(?:[.,!]|$)/i, category: "location", text: (m) => `lives in ${m[1].trim()}` },
+    { match: /\bi\s+(?:love|prefer|really like)\s+([\w\s-]+?)\s+food\b/i, category: "cuisine", text: (m) => `likes ${m[1].trim()} food` },
+];
+
+/**
+ * Load fixtures from a JSON file
+ * @param {string} [path] - Path to a JSON array of ChatFixture
+ * @returns {Array<ChatFixture>}
+ */
+export function loadChatFixtures(path) {
+    if (!path) {
+        return [];
+    }
+
+    const fixtures = JSON.parse(readFileSync(path, "utf-8"));
+    if (!Array.isArray(fixtures)) {
+        throw new Error(`Chat fixtures in ${path} must be a JSON array`);
+    }
+    return fixtures;
+}
+
+export class ScriptedChatModel extends BaseChatModel {
+    /**
+     * @param {Object} fields
+     * @param {string} fields.purpose - What the model is used for: agent, direct-answer or standalone-question
+     * @param {Array<ChatFixture>} [fields.fixtures] - Fixtures tried before the built-in rules
+     * @param {Array<string>} [fields.toolNames] - Names of the bound tools
+     */
+    constructor({ purpose, fixtures = [], toolNames = [] }) {
+        super({});
+        this.purpose = purpose;
+        this.fixtures = fixtures;
+        this.toolNames = toolNames;
+    }
+
+    _llmType() {
+        return "scripted";
+    }
+
+    bindTools(tools) {
+        return new ScriptedChatModel({
+            purpose: this.purpose,
+            fixtures: this.fixtures,
+            toolNames: tools.map(t => t.name),
+        });
+    }
+
+    withStructuredOutput(schema, { name } = {}) {
+        return RunnableLambda.from(async (messages) => this._structuredResponse(name, messages));
+    }
+
+    async _generate(messages) {
+        const message = this._respond(messages);
+        return { generations: [{ text: message.content, message }] };
+    }
+
+    async *_streamResponseChunks(messages) {
+        const message = this._respond(messages);
+
+        if (message.tool_calls?.length > 0) {
+            yield new ChatGenerationChunk({
+                text: "",
+                message: new AIMessageChunk({
+                    content: "",
+                    tool_call_chunks: message.tool_calls.map((call, index) => ({
+                        type: "tool_call_chunk",
+                        name: call.name,
+                        args: JSON.stringify(call.args),
+                        id: call.id,
+                        index,
+                    })),
+                }),
+            });
+            return;
+        }
+
+        for (const token of message.content.match(/\S+\s*|\s+/g) || []) {
+            yield new ChatGenerationChunk({ text: token, message: new AIMessageChunk({ content: token }) });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _respond(messages) {
+        const last = messages[messages.length - 1];
+        const userMessage = textOf(messages.findLast(m => m.getType() === "human"));
+
+        switch (this.purpose) {
+            case "agent":
+                return last.getType() === "tool"
+                    ? new AIMessage(this._summarizeToolResults(messages))
+                    : this._agentTurn(userMessage);
+            case "standalone-question":
+                return new AIMessage(userMessage.match(/Latest message: ([\s\S]*)$/)?.[1]?.trim() || userMessage);
+            case "direct-answer":
+                return new AIMessage(`(Local mode) I can't look up general dining knowledge without a language model, but I can search restaurants and manage your reservations. You asked: "${userMessage}"`);
+            default:
+                return new AIMessage(userMessage);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _agentTurn(message) {
+        const fixture = this.fixtures.find(candidate => new RegExp(candidate.match, "i").test(message));
+
+        if (fixture?.toolCalls) {
+            return toolCallMessage(fixture.toolCalls.map(call => ({
+                name: call.name,
+                args: fillArgs(call.args || {}, message),
+            })));
+        }
+        if (fixture?.response) {
+            return new AIMessage(fixture.response);
+        }
+
+        const rule = BUILT_IN_RULES.find(candidate => this.toolNames.includes(candidate.tool) && candidate.match.test(message));
+        if (!rule) {
+            return new AIMessage("(Local mode) I don't have a rule for that request.");
+        }
+        return toolCallMessage([{ name: rule.tool, args: rule.args(message) }]);
+    }
+
+    /**
+     * Turn the tool results of the last round into a reply, in the format the chat UI links up
+     * @private
+     */
+    _summarizeToolResults(messages) {
+        const firstResult = messages.findLastIndex(m => m.getType() !== "tool") + 1;
+
+        return messages.slice(firstResult).map(m => {
+            let result;
+            try {
+                result = JSON.parse(textOf(m));
+            } catch {
+                return textOf(m);
+            }
+
+            if (result.success === false) {
+                return result.error || result.message || "That didn't work.";
+            }
+            if (Array.isArray(result.restaurants)) {
+                const lines = result.restaurants.map(restaurant =>
+                    `**${restaurant.name}** - ${[restaurant.cuisine, restaurant.locality, restaurant.rating && `⭐ ${restaurant.rating}`].filter(Boolean).join(" • ")} (ID: ${restaurant.id})`
+                );
+                return `${result.message || ""}\n\n${lines.join("\n")}\n\nWant to make a reservation at any of these places?`.trim();
+            }
+            if (result.restaurant) {
+                const { restaurant } = result;
+                return `**${restaurant.name}** - ${[restaurant.cuisine, restaurant.address, restaurant.rating && `⭐ ${restaurant.rating}`].filter(Boolean).join(" • ")} (ID: ${restaurant.id})`;
+            }
+            return result.message || result.answer || "Done.";
+        }).join("\n\n");
+    }
+
+    /**
+     * @private
+     */
+    _structuredResponse(name, messages) {
+        const userMessage = textOf(messages.findLast(m => (m.getType?.() ?? m.role) === "human" || m.role === "user"));
+
+        switch (name) {
+            case "title_chat": {
+                const question = userMessage.match(/^User: (.*)$/m)?.[1] || userMessage;
+                const title = question.replace(/[^\p{L}\p{N}\s'-]/gu, "").trim().split(/\s+/).slice(0, 6).join(" ");
+                return { title: title.charAt(0).toUpperCase() + title.slice(1) || "New chat" };
+            }
+            case "extract_user_facts": {
+                const latest = userMessage.match(/Latest user message: ([\s\S]*)$/)?.[1] || userMessage;
+                const facts = FACT_RULES
+                    .map(rule => ({ rule, match: latest.match(rule.match) }))
+                    .filter(({ match }) => match)
+                    .map(({ rule, match }) => ({ text: rule.text(match), category: rule.category, supersedes: null }));
+                return { facts };
+            }
+            default:
+                throw new Error(`Local mode has no structured output for "${name}"`);
+        }
+    }
+}
+
+function textOf(message) {
+    if (!message) return "";
+    return typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+}
+
+function toolCallMessage(calls) {
+    return new AIMessage({
+        content: "",
+        tool_calls: calls.map((call, index) => ({
+            type: "tool_call",
+            id: `call_local_${Date.now()}_${index}`,
+            name: call.name,
+            args: call.args,
+        })),
+    });
+}
+
+function fillArgs(args, message) {
+    return Object.fromEntries(Object.entries(args).map(([key, value]) => [
+        key,
+        typeof value === "string" ? value.replace("$message", message) : value,
+    ]));
+}
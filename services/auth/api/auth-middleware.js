@@ -0,0 +1,94 @@
+import { timingSafeEqual } from 'node:crypto';
+import { AuthService } from '../domain/auth-service.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const authService = new AuthService();
+
+export const AUTH_COOKIE_NAME = 'relish_session';
+
+export const AUTH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    signed: true,
+    sameSite: 'lax',
+    secure: CONFIG.nodeEnv === 'production',
+    maxAge: CONFIG.authSessionTtlSeconds * 1000,
+};
+
+/**
+ * Resolve the logged-in user from the signed session cookie and set `req.sessionId`
+ * Never fails: anonymous requests simply have no sessionId
+ */
+export async function authenticate(req, res, next) {
+    try {
+        req.sessionId = await authService.getSessionId(req.signedCookies?.[AUTH_COOKIE_NAME]);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Reject API requests that are not logged in
+ */
+export function requireAuth(req, res, next) {
+    if (!req.sessionId) {
+        return next(new AppError(
+            'NOT_AUTHENTICATED',
+            'You need to log in first',
+            HttpStatusCode.UNAUTHORIZED,
+        ));
+    }
+    next();
+}
+
+/**
+ * Reject requests without the admin API key in the X-Admin-Key header
+ */
+export function requireAdmin(req, res, next) {
+    if (!CONFIG.adminApiKey) {
+        return next(new AppError(
+            'ADMIN_DISABLED',
+            'Admin endpoints are disabled; set ADMIN_API_KEY to enable them',
+            HttpStatusCode.FORBIDDEN,
+        ));
+    }
+
+    const expected = Buffer.from(CONFIG.adminApiKey);
+    const given = Buffer.from(req.get('x-admin-key') || '');
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return next(new AppError(
+            'NOT_AUTHORIZED',
+            'Missing or wrong admin key',
+            HttpStatusCode.UNAUTHORIZED,
+        ));
+    }
+    next();
+}
+
+/**
+ * Redirect page requests that are not logged in to the login page
+ */
+export function requirePageAuth(req, res, next) {
+    if (!req.sessionId) {
+        return res.redirect('/login');
+    }
+    next();
+}
+
+/**
+ * `router.param` handler for `:sessionId` route parameters
+ * Accepts `me` or the logged-in user's own sessionId, and rejects anyone else's.
+ * Handlers should then read `req.sessionId` rather than the parameter.
+ */
+export function authorizeSessionParam(req, res, next, sessionId) {
+    if (sessionId !== 'me' && sessionId !== req.sessionId) {
+        return next(new AppError(
+            'FORBIDDEN',
+            'You can only access your own data',
+            HttpStatusCode.FORBIDDEN,
+        ));
+    }
+
+    next();
+}
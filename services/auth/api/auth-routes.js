@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import { AuthService } from '../domain/auth-service.js';
+import { AUTH_COOKIE_NAME, AUTH_COOKIE_OPTIONS, requireAuth } from './auth-middleware.js';
+import { HttpStatusCode } from '../../../lib/errors.js';
+const router = Router();
+const authService = new AuthService();
+
+/**
+ * POST /api/auth/signup - Create an account and log in
+ * Body parameters:
+ * - username: 3-32 lowercase letters, digits, _ or - (required)
+ * - password: At least 8 characters (required)
+ * - name: Display name (optional)
+ */
+router.post('/signup', async (req, res, next) => {
+    try {
+        const { username, password, name } = req.body;
+
+        const { token, sessionId } = await authService.signup(username, password, name);
+
+        res.cookie(AUTH_COOKIE_NAME, token, AUTH_COOKIE_OPTIONS);
+        res.status(HttpStatusCode.CREATED).json({
+            success: true,
+            data: { sessionId },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/login - Log in and receive a signed session cookie
+ * Body parameters:
+ * - username (required)
+ * - password (required)
+ */
+router.post('/login', async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+
+        const { token, sessionId } = await authService.login(username, password);
+
+        res.cookie(AUTH_COOKIE_NAME, token, AUTH_COOKIE_OPTIONS);
+        res.json({
+            success: true,
+            data: { sessionId },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/logout - End the current login session
+ */
+router.post('/logout', async (req, res, next) => {
+    try {
+        await authService.logout(req.signedCookies?.[AUTH_COOKIE_NAME]);
+
+        const { maxAge, ...clearOptions } = AUTH_COOKIE_OPTIONS;
+        res.clearCookie(AUTH_COOKIE_NAME, clearOptions);
+        res.json({
+            success: true,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/auth/me - Get the logged-in user
+ */
+router.get('/me', requireAuth, async (req, res, next) => {
+    try {
+        res.json({
+            success: true,
+            data: { sessionId: req.sessionId },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import { createClient } from 'redis';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+/**
+ * Auth Repository - Data access layer for credentials and login sessions
+ * Credentials are stored as a hash per username; login sessions map a random token to a username and expire on their own
+ */
+export class AuthRepository {
+    constructor() {
+        this.credentialsPrefix = 'auth:credentials:';
+        this.sessionsPrefix = 'auth:sessions:';
+    }
+
+    /**
+     * Get the stored credentials of a user
+     * @param {string} username - Username (also the user's sessionId)
+     * @returns {Promise<{username: string, passwordHash: string, createdAt: string}|null>} Credentials or null
+     */
+    async getCredentials(username) {
+        try {
+            const credentials = await client.hGetAll(`${this.credentialsPrefix}${username}`);
+            return Object.keys(credentials).length > 0 ? credentials : null;
+        } catch (error) {
+            console.error('Error getting credentials:', error);
+            throw new AppError(
+                'CREDENTIALS_FETCH_ERROR',
+                'Failed to fetch credentials',
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Store credentials for a new user, failing if the username is taken
+     * @param {string} username - Username
+     * @param {string} passwordHash - Encoded password hash
+     * @returns {Promise<boolean>} True if stored, false if the username already has credentials
+     */
+    async createCredentials(username, passwordHash) {
+        const key = `${this.credentialsPrefix}${username}`;
+
+        try {
+            // HSETNX on the username field makes concurrent signups for the same name safe
+            const created = await client.hSetNX(key, 'username', username);
+            if (!created) {
+                return false;
+            }
+
+            await client.hSet(key, {
+                passwordHash,
+                createdAt: new Date().toISOString(),
+            });
+            return true;
+        } catch (error) {
+            console.error('Error creating credentials:', error);
+            throw new AppError(
+                'CREDENTIALS_CREATE_ERROR',
+                'Failed to create account',
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Delete a user's credentials
+     * @param {string} username - Username
+     */
+    async deleteCredentials(username) {
+        await client.del(`${this.credentialsPrefix}${username}`);
+    }
+
+    /**
+     * Create a login session
+     * @param {string} token - Random session token
+     * @param {string} username - Username the session belongs to
+     * @param {number} ttlSeconds - Session lifetime
+     */
+    async createSession(token, username, ttlSeconds) {
+        try {
+            await client.set(`${this.sessionsPrefix}${token}`, username, { EX: ttlSeconds });
+        } catch (error) {
+            console.error('Error creating login session:', error);
+            throw new AppError(
+                'SESSION_CREATE_ERROR',
+                'Failed to log in',
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Get the username a login session belongs to
+     * @param {string} token - Session token
+     * @returns {Promise<string|null>} Username or null if the session does not exist or expired
+     */
+    async getSessionUsername(token) {
+        try {
+            return await client.get(`${this.sessionsPrefix}${token}`);
+        } catch (error) {
+            console.error('Error getting login session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a login session
+     * @param {string} token - Session token
+     */
+    async deleteSession(token) {
+        await client.del(`${this.sessionsPrefix}${token}`);
+    }
+}
@@ -0,0 +1,145 @@
+import { randomBytes } from 'node:crypto';
+import { AuthRepository } from '../data/auth-repository.js';
+import { hashPassword, verifyPassword } from './passwords.js';
+import { UserService } from '../../users/domain/user-service.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Auth Service - Signup, login and login sessions
+ * The username doubles as the sessionId used to key a user's profile, chats and reservations
+ */
+export class AuthService {
+    constructor() {
+        this.authRepository = new AuthRepository();
+        this.userService = new UserService();
+    }
+
+    /**
+     * Create an account and log in
+     * @param {string} username - Username (3-32 lowercase letters, digits, _ or -)
+     * @param {string} password - Password (at least 8 characters)
+     * @param {string} [name] - Display name for a new profile
+     * @returns {Promise<{token: string, sessionId: string}>} Login session
+     */
+    async signup(username, password, name) {
+        const normalizedUsername = this._normalizeUsername(username);
+
+        if (!USERNAME_PATTERN.test(normalizedUsername)) {
+            throw new AppError(
+                'INVALID_USERNAME',
+                'Username must be 3-32 characters: lowercase letters, digits, _ or -',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AppError(
+                'INVALID_PASSWORD',
+                `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)) {
+            throw new AppError(
+                'INVALID_NAME',
+                `Name must be at most ${MAX_NAME_LENGTH} characters`,
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        // A profile without credentials predates logins; signing up as it would hand over its chats and reservations
+        const existingProfile = await this.userService.getUserProfile(normalizedUsername);
+        const created = !existingProfile
+            && await this.authRepository.createCredentials(normalizedUsername, await hashPassword(password));
+
+        if (!created) {
+            throw new AppError(
+                'USERNAME_TAKEN',
+                'That username is already taken',
+                HttpStatusCode.CONFLICT,
+            );
+        }
+
+        try {
+            await this.userService.replaceProfile(normalizedUsername, {
+                name: name?.trim() || normalizedUsername.charAt(0).toUpperCase() + normalizedUsername.slice(1),
+            });
+        } catch (error) {
+            // Free the username again rather than leave an account without a profile
+            await this.authRepository.deleteCredentials(normalizedUsername);
+            throw error;
+        }
+
+        return this._startSession(normalizedUsername);
+    }
+
+    /**
+     * Log in with a username and password
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<{token: string, sessionId: string}>} Login session
+     */
+    async login(username, password) {
+        const normalizedUsername = this._normalizeUsername(username);
+        const credentials = USERNAME_PATTERN.test(normalizedUsername)
+            ? await this.authRepository.getCredentials(normalizedUsername)
+            : null;
+
+        const valid = credentials && typeof password === 'string'
+            && await verifyPassword(password, credentials.passwordHash);
+
+        if (!valid) {
+            throw new AppError(
+                'INVALID_CREDENTIALS',
+                'Invalid username or password',
+                HttpStatusCode.UNAUTHORIZED,
+            );
+        }
+
+        return this._startSession(normalizedUsername);
+    }
+
+    /**
+     * End a login session
+     * @param {string} token - Session token
+     */
+    async logout(token) {
+        if (token) {
+            await this.authRepository.deleteSession(token);
+        }
+    }
+
+    /**
+     * Resolve the sessionId a login session belongs to
+     * @param {string} token - Session token from the signed cookie
+     * @returns {Promise<string|null>} SessionId or null if not logged in
+     */
+    async getSessionId(token) {
+        if (!token) {
+            return null;
+        }
+        return this.authRepository.getSessionUsername(token);
+    }
+
+    /**
+     * @private
+     */
+    async _startSession(username) {
+        const token = randomBytes(32).toString('hex');
+        await this.authRepository.createSession(token, username, CONFIG.authSessionTtlSeconds);
+        return { token, sessionId: username };
+    }
+
+    /**
+     * @private
+     */
+    _normalizeUsername(username) {
+        return typeof username === 'string' ? username.trim().toLowerCase() : '';
+    }
+}
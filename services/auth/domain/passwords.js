@@ -0,0 +1,34 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash (`scrypt$<salt>$<hash>`)
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} encodedHash - Hash created by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, encodedHash = '') {
+    const [algorithm, salt, hash] = encodedHash.split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt, expected.length);
+    return timingSafeEqual(expected, actual);
+}
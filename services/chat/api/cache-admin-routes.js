@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import { invalidateSemanticCache } from '../domain/chat-service.js';
+import {
+    getCacheStats,
+    getTopCachedPrompts,
+    getRecentCacheEvents,
+    deleteCacheEntry,
+} from '../domain/cache-telemetry-service.js';
+import { requireAdmin } from '../../auth/api/auth-middleware.js';
+import { parseQuery } from '../../../lib/validation.js';
+
+const router = Router();
+
+const STATS_PARAMS = {
+    hours: { type: 'integer', min: 1, max: 24 * 30, default: 24, description: 'Hours to report, up to the current one' },
+};
+
+const TOP_PARAMS = {
+    limit: { type: 'integer', min: 1, max: 100, default: 10, description: 'Maximum entries' },
+};
+
+const EVENT_PARAMS = {
+    count: { type: 'integer', min: 1, max: 500, default: 50, description: 'Maximum events' },
+    status: { type: 'string', enum: ['hit', 'miss', 'skip', 'saved', 'error'], description: 'Only events with this status' },
+};
+
+router.use(requireAdmin);
+
+// GET /admin/cache/stats - Hit ratio, event counts, similarity and tokens saved per hour, with totals and per tool category
+router.get('/stats', async (req, res, next) => {
+    try {
+        const stats = await getCacheStats(parseQuery(req.query, STATS_PARAMS));
+
+        res.json({
+            success: true,
+            data: stats,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /admin/cache/top-prompts - Cached entries ranked by hits
+router.get('/top-prompts', async (req, res, next) => {
+    try {
+        const entries = await getTopCachedPrompts(parseQuery(req.query, TOP_PARAMS));
+
+        res.json({
+            success: true,
+            data: entries,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /admin/cache/events - Most recent cache events (hit, miss, skip, saved, error)
+router.get('/events', async (req, res, next) => {
+    try {
+        const events = await getRecentCacheEvents(parseQuery(req.query, EVENT_PARAMS));
+
+        res.json({
+            success: true,
+            data: events,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /admin/cache/entries/:entryId - Delete one cached answer
+router.delete('/entries/:entryId', async (req, res, next) => {
+    try {
+        const result = await deleteCacheEntry(req.params.entryId);
+
+        res.json({
+            success: true,
+            data: result,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /admin/cache/flush - Delete cached answers by tag
+// Body: { "tags": ["restaurant:<id>", "dataset:<version>"] } (or a single "tag")
+router.post('/flush', async (req, res, next) => {
+    try {
+        const { tag, tags } = req.body || {};
+        const results = await invalidateSemanticCache(tags ?? (tag ? [tag] : []));
+
+        res.json({
+            success: true,
+            data: { results },
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
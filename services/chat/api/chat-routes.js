@@ -3,22 +3,34 @@ import {
     processRestaurantInquiry,
     endUserSession,
     getChatHistory,
-    checkSemanticCache,
+    checkSemanticCacheForUser,
     saveToSemanticCache,
+    listChats,
+    createChat,
+    renameChat,
+    deleteChat,
 } from '../domain/chat-service.js';
+import { requireAuth } from '../../auth/api/auth-middleware.js';
+import { HttpStatusCode } from '../../../lib/errors.js';
+import { CACHE_SCOPES } from '../../ai/helpers/cache-context.js';
 
 const router = Router();
 
+// Every chat route acts on the logged-in user's own session
+router.use(requireAuth);
+
 // POST /chat - Main chat endpoint
+// useSmartRecall turns on the semantic cache and long-term memory; responseMode reports which mode served the reply
 router.post('/chat', async (req, res, next) => {
     try {
-        const { message, sessionId, chatId, useSmartRecall } = req.body;
+        const { message, chatId, useSmartRecall } = req.body;
+        const { sessionId } = req;
 
         // Validate required fields
-        if (!message || !sessionId) {
+        if (!message) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: message and sessionId are required',
+                error: 'Missing required field: message',
             });
         }
 
@@ -37,6 +49,7 @@ router.post('/chat', async (req, res, next) => {
             success: true,
             content: reply.content,
             isCachedResponse: reply.isCachedResponse,
+            responseMode: reply.responseMode,
         });
 
     } catch (error) {
@@ -44,19 +57,79 @@ router.post('/chat', async (req, res, next) => {
     }
 });
 
-// POST /chat/end-session - End user session
-router.post('/chat/end-session', async (req, res, next) => {
+// POST /chat/stream - Chat endpoint that streams workflow progress as Server-Sent Events
+// Events: cache_check, tool_start, tool_end, token, done, error
+// The workflow is aborted, and nothing is saved, when the client disconnects before the reply is done
+router.post('/chat/stream', async (req, res) => {
+    const { message, chatId, useSmartRecall } = req.body;
+    const { sessionId } = req;
+
+    if (!message) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required field: message',
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // The response closes before it has ended only when the client goes away
+    // (req's 'close' fires as soon as the request body has been read)
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
     try {
-        const { sessionId } = req.body;
+        const effectiveChatId = chatId || 'default';
 
-        if (!sessionId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required field: sessionId',
-            });
+        const reply = await processRestaurantInquiry(
+            sessionId,
+            effectiveChatId,
+            message,
+            useSmartRecall || false,
+            ({ type, ...data }) => sendEvent(type, data),
+            abortController.signal,
+        );
+
+        sendEvent('done', {
+            success: true,
+            content: reply.content,
+            isCachedResponse: reply.isCachedResponse,
+            responseMode: reply.responseMode,
+        });
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('🔌 Client disconnected - chat workflow aborted');
+            return;
         }
+        console.error('Error streaming chat response:', error);
+        sendEvent('error', {
+            success: false,
+            error: 'Failed to process chat message',
+        });
+    } finally {
+        res.end();
+    }
+});
 
-        const result = await endUserSession(sessionId);
+// POST /chat/end-session - End user session: deletes all chats, keeps the profile
+router.post('/chat/end-session', async (req, res, next) => {
+    try {
+        const result = await endUserSession(req.sessionId);
         res.json(result);
 
     } catch (error) {
@@ -67,17 +140,10 @@ router.post('/chat/end-session', async (req, res, next) => {
 // GET /chat/history - Get chat history
 router.get('/chat/history', async (req, res, next) => {
     try {
-        const { sessionId, chatId } = req.query;
-
-        if (!sessionId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameter: sessionId',
-            });
-        }
+        const { chatId } = req.query;
 
         const effectiveChatId = chatId || 'default';
-        const history = await getChatHistory(sessionId, effectiveChatId);
+        const history = await getChatHistory(req.sessionId, effectiveChatId);
 
         res.json({
             success: true,
@@ -89,10 +155,73 @@ router.get('/chat/history', async (req, res, next) => {
     }
 });
 
-// GET /chat/cache-check - Check semantic cache
+// GET /chats - List chat threads with title, preview, message count and last-updated time
+router.get('/chats', async (req, res, next) => {
+    try {
+        const chats = await listChats(req.sessionId);
+
+        res.json({
+            success: true,
+            data: chats,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /chats - Start a new chat thread
+// Optional title in the body; otherwise one is generated after the first reply
+router.post('/chats', async (req, res, next) => {
+    try {
+        const chat = await createChat(req.sessionId, req.body?.title);
+
+        res.status(HttpStatusCode.CREATED).json({
+            success: true,
+            data: chat,
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PATCH /chats/:chatId - Rename a chat thread
+router.patch('/chats/:chatId', async (req, res, next) => {
+    try {
+        const chat = await renameChat(req.sessionId, req.params.chatId, req.body?.title);
+
+        res.json({
+            success: true,
+            data: chat,
+            message: 'Chat renamed',
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /chats/:chatId - Delete a chat thread and its messages
+router.delete('/chats/:chatId', async (req, res, next) => {
+    try {
+        await deleteChat(req.sessionId, req.params.chatId);
+
+        res.json({
+            success: true,
+            message: 'Chat deleted',
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /chat/cache-check - Check semantic cache as the logged-in user would hit it
+// Optional scope (private, segment or global) and toolCategory query parameters restrict matches to those entries
 router.get('/chat/cache-check', async (req, res, next) => {
     try {
-        const { query, sessionId } = req.query;
+        const { query, scope, toolCategory } = req.query;
 
         if (!query) {
             return res.status(400).json({
@@ -101,12 +230,25 @@ router.get('/chat/cache-check', async (req, res, next) => {
             });
         }
 
-        const cachedResponse = await checkSemanticCache(query, sessionId);
+        if (scope && !CACHE_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid scope: use one of ${CACHE_SCOPES.join(', ')}`,
+            });
+        }
+
+        const hit = await checkSemanticCacheForUser(req.sessionId, query, {
+            scopes: scope ? [scope] : undefined,
+            toolCategory,
+        });
 
         res.json({
             success: true,
-            cached: !!cachedResponse,
-            response: cachedResponse,
+            cached: !!hit,
+            response: hit?.response || null,
+            entryId: hit?.entryId || null,
+            scope: hit?.scope || null,
+            similarity: hit?.similarity ?? null,
         });
 
     } catch (error) {
@@ -0,0 +1,169 @@
+import { createClient } from 'redis';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+// Raw events, newest last; trimmed to roughly the last EVENT_STREAM_LENGTH
+const EVENTS_KEY = 'cache:telemetry:events';
+const EVENT_STREAM_LENGTH = 10000;
+// Per-hour counters, for ratios over time
+const HOUR_KEY_PREFIX = 'cache:telemetry:hour:';
+// Entries ranked by hits, with per-entry stats
+const TOP_ENTRIES_KEY = 'cache:telemetry:top-entries';
+const ENTRY_KEY_PREFIX = 'cache:telemetry:entry:';
+const TOP_ENTRIES_KEPT = 1000;
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * @typedef {Object} CacheEvent
+ * @property {'hit' | 'miss' | 'skip' | 'saved' | 'error'} status - cacheStatus reported by the workflow
+ * @property {'lookup' | 'store'} stage - Whether the event comes from the cache check or from storing the answer
+ * @property {string} [entryId] - Matched (hit) or written (saved) entry
+ * @property {string} [prompt] - Standalone query
+ * @property {number} [similarity] - Similarity of a hit
+ * @property {number} [ttlMillis] - TTL of a saved entry
+ * @property {string} [toolCategory] - Tool category of the answer
+ * @property {'private' | 'segment' | 'global'} [scope] - Scope the entry was matched in (hit) or stored under (saved)
+ * @property {number} [tokensUsed] - Tokens spent generating a saved answer
+ * @property {number} [tokensSaved] - Tokens a hit did not spend
+ * @property {number} [costSaved] - Money a hit did not spend
+ */
+
+/**
+ * Cache Telemetry Repository - per-request semantic cache events in a Redis stream,
+ * rolled up into hourly counters and per-entry hit stats
+ */
+export default class CacheTelemetryRepository {
+
+    /**
+     * Record one event
+     * @param {CacheEvent} event
+     * @param {Date} [at]
+     */
+    async recordEvent(event, at = new Date()) {
+        const hourKey = `${HOUR_KEY_PREFIX}${toHour(at)}`;
+        const multi = client.multi();
+
+        multi.xAdd(EVENTS_KEY, '*', toStreamFields(event), {
+            TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: EVENT_STREAM_LENGTH },
+        });
+
+        multi.hIncrBy(hourKey, event.status, 1);
+        if (event.toolCategory) {
+            multi.hIncrBy(hourKey, `category:${event.toolCategory}:${event.status}`, 1);
+        }
+        if (event.status === 'hit') {
+            multi.hIncrByFloat(hourKey, 'similaritySum', event.similarity ?? 0);
+            multi.hIncrBy(hourKey, 'similarityCount', event.similarity == null ? 0 : 1);
+            multi.hIncrBy(hourKey, 'tokensSaved', event.tokensSaved || 0);
+            multi.hIncrByFloat(hourKey, 'costSaved', event.costSaved || 0);
+        }
+        multi.expire(hourKey, RETENTION_SECONDS);
+
+        if (event.entryId && event.status === 'saved') {
+            const entryKey = `${ENTRY_KEY_PREFIX}${event.entryId}`;
+            multi.hSet(entryKey, {
+                prompt: event.prompt || '',
+                toolCategory: event.toolCategory || '',
+                tokensUsed: event.tokensUsed || 0,
+                savedAt: at.toISOString(),
+            });
+            multi.expire(entryKey, RETENTION_SECONDS);
+        }
+
+        if (event.entryId && event.status === 'hit') {
+            const entryKey = `${ENTRY_KEY_PREFIX}${event.entryId}`;
+            multi.hIncrBy(entryKey, 'hits', 1);
+            multi.hIncrBy(entryKey, 'tokensSaved', event.tokensSaved || 0);
+            multi.hSet(entryKey, { lastHitAt: at.toISOString(), ...(event.prompt && { prompt: event.prompt }) });
+            multi.expire(entryKey, RETENTION_SECONDS);
+            multi.zIncrBy(TOP_ENTRIES_KEY, 1, event.entryId);
+            // Keep only the most hit entries
+            multi.zRemRangeByRank(TOP_ENTRIES_KEY, 0, -(TOP_ENTRIES_KEPT + 1));
+        }
+
+        await multi.exec();
+    }
+
+    /**
+     * Stats stored for an entry
+     * @param {string} entryId
+     * @returns {Promise<Object<string, string>>} Empty when nothing is recorded
+     */
+    async getEntryStats(entryId) {
+        return client.hGetAll(`${ENTRY_KEY_PREFIX}${entryId}`);
+    }
+
+    /**
+     * Hourly counters, oldest first
+     * @param {number} hours - Number of hours up to and including the current one
+     * @param {Date} [until]
+     * @returns {Promise<Array<{hour: string, counters: Object<string, string>}>>}
+     */
+    async getHourlyCounters(hours, until = new Date()) {
+        const hourKeys = Array.from({ length: hours }, (_, index) =>
+            toHour(new Date(until.getTime() - (hours - 1 - index) * 60 * 60 * 1000))
+        );
+
+        const multi = client.multi();
+        hourKeys.forEach(hour => multi.hGetAll(`${HOUR_KEY_PREFIX}${hour}`));
+        const results = await multi.exec();
+
+        return hourKeys.map((hour, index) => ({ hour, counters: results[index] || {} }));
+    }
+
+    /**
+     * Entries with the most hits
+     * @param {number} limit
+     * @returns {Promise<Array<{entryId: string, hits: number, stats: Object<string, string>}>>}
+     */
+    async getTopEntries(limit) {
+        const ranked = await client.zRangeWithScores(TOP_ENTRIES_KEY, 0, limit - 1, { REV: true });
+        if (ranked.length === 0) {
+            return [];
+        }
+
+        const multi = client.multi();
+        ranked.forEach(({ value }) => multi.hGetAll(`${ENTRY_KEY_PREFIX}${value}`));
+        const stats = await multi.exec();
+
+        return ranked.map(({ value, score }, index) => ({ entryId: value, hits: score, stats: stats[index] || {} }));
+    }
+
+    /**
+     * Most recent events, newest first
+     * @param {number} count
+     * @returns {Promise<Array<{id: string, message: Object<string, string>}>>}
+     */
+    async getRecentEvents(count) {
+        return client.xRevRange(EVENTS_KEY, '+', '-', { COUNT: count });
+    }
+
+    /**
+     * Forget the stats of a deleted entry
+     * @param {string} entryId
+     */
+    async deleteEntryStats(entryId) {
+        await client.multi()
+            .zRem(TOP_ENTRIES_KEY, entryId)
+            .del(`${ENTRY_KEY_PREFIX}${entryId}`)
+            .exec();
+    }
+}
+
+// UTC hour bucket, e.g. 2025-01-31T09
+function toHour(date) {
+    return date.toISOString().slice(0, 13);
+}
+
+// Stream fields are strings; unset values are left out
+function toStreamFields(event) {
+    return Object.fromEntries(
+        Object.entries(event)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([name, value]) => [name, String(value)])
+    );
+}
@@ -1,6 +1,6 @@
 import { createClient } from 'redis';
-import { LangCache } from "@redis-ai/langcache";
-import { SearchStrategy } from '@redis-ai/langcache/models/searchstrategy.js';
+import { createSemanticCache } from './semantic-cache.js';
+import { generateEmbedding, getEmbeddingModelId } from '../../ai/helpers/embeddings.js';
 
 import CONFIG from '../../../config.js';
 
@@ -9,11 +9,11 @@ const client = await createClient({
 }).on('error', (err) => console.log('Redis Client Error', err))
   .connect();
 
-// Initialize LangCache client
-const langCache = new LangCache({
-    serverURL: CONFIG.langcacheApiBaseUrl,
-    cacheId: CONFIG.langcacheCacheId,
-    apiKey: CONFIG.langcacheApiKey,
+// Hosted LangCache, or vector search on this Redis
+const semanticCache = createSemanticCache(CONFIG, {
+    client,
+    embed: generateEmbedding,
+    embeddingModelId: getEmbeddingModelId(),
 });
 
 /**
@@ -22,6 +22,13 @@ const langCache = new LangCache({
  * @property {string} content
  */
 
+/**
+ * @typedef {Object} ChatThread
+ * @property {string} title - Thread title
+ * @property {'auto' | 'user'} titleSource - Whether the title was generated or set by the user
+ * @property {string} createdAt
+ */
+
 export default class ChatRepository {
 
     /**
@@ -38,19 +45,24 @@ export default class ChatRepository {
 
         if (!chatHistory) { // if user session itself does not exist
             // Create a new session with enhanced profile structure
+            // Contact details stay empty until the user fills them in on their profile
             const capitalizedName = sessionId.charAt(0).toUpperCase() + sessionId.slice(1);
             await client.json.set(userKey, '$', {
                 sessionId: sessionId,
                 chat: {
                     [chatId]: [],
                 },
+                chatThreads: {
+                    [chatId]: { title: null, titleSource: 'auto', createdAt: new Date().toISOString() },
+                },
                 profile: {
                     name: capitalizedName,
-                    email: `${sessionId}@example.com`,
-                    phone: "+91-0000000000",
+                    email: null,
+                    phone: null,
+                    city: null,
                     locality: "Unknown",
-                    latitude: 0,
-                    longitude: 0,
+                    latitude: null,
+                    longitude: null,
                     preferences: []
                 },
                 createdAt: new Date().toISOString(),
@@ -59,6 +71,11 @@ export default class ChatRepository {
             return [];
         } else if (chatHistory.length === 0) { // if user session exists but chatId does not
             await client.json.set(userKey, `$.chat.${chatId}`, []);
+            await this.saveChatThread(sessionId, chatId, {
+                title: null,
+                titleSource: 'auto',
+                createdAt: new Date().toISOString(),
+            });
             return [];
         } else {
             return chatHistory[0];
@@ -86,55 +103,139 @@ export default class ChatRepository {
         await client.json.set(userKey, '$.updatedAt', new Date().toISOString());
     }
 
+    /**
+     * Get every chat of a session along with thread metadata
+     * Chats created before threads had metadata have no entry in `threads`
+     * @param {string} sessionId
+     * @returns {Promise<{chats: Object<string, ChatMessage[]>, threads: Object<string, ChatThread>}>}
+     */
+    async getChatThreads(sessionId) {
+        const userKey = `users:${sessionId}`;
+        const result = await client.json.get(userKey, {
+            path: ['$.chat', '$.chatThreads'],
+        });
+
+        return {
+            chats: result?.['$.chat']?.[0] || {},
+            threads: result?.['$.chatThreads']?.[0] || {},
+        };
+    }
+
+    /**
+     * Create or replace the metadata of a chat thread
+     * @param {string} sessionId
+     * @param {string} chatId
+     * @param {ChatThread} thread
+     */
+    async saveChatThread(sessionId, chatId, thread) {
+        const userKey = `users:${sessionId}`;
+
+        // Documents created before threads existed have no chatThreads object yet
+        await client.json.set(userKey, '$.chatThreads', {}, { NX: true });
+        await client.json.set(userKey, `$.chatThreads.${chatId}`, thread);
+    }
+
+    /**
+     * Delete a chat thread and its messages
+     * @param {string} sessionId
+     * @param {string} chatId
+     * @returns {Promise<boolean>} True if the chat existed
+     */
+    async deleteChatThread(sessionId, chatId) {
+        const userKey = `users:${sessionId}`;
+        const deleted = await client.json.del(userKey, { path: `$.chat.${chatId}` });
+        await client.json.del(userKey, { path: `$.chatThreads.${chatId}` });
+        return deleted > 0;
+    }
+
+    /**
+     * Remember where the next page of a conversation's last restaurant search starts
+     * @param {string} sessionId
+     * @param {string} chatId
+     * @param {string|null} cursor - Pagination cursor, or null when there are no more results
+     * @param {number} ttlSeconds
+     */
+    async saveSearchCursor(sessionId, chatId, cursor, ttlSeconds) {
+        const key = `search_cursors:${sessionId}:${chatId}`;
+
+        if (cursor) {
+            await client.set(key, cursor, { EX: ttlSeconds });
+        } else {
+            await client.del(key);
+        }
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {string} chatId
+     * @returns {Promise<string|null>} Pagination cursor of the last restaurant search, if it has more results
+     */
+    async getSearchCursor(sessionId, chatId) {
+        return client.get(`search_cursors:${sessionId}:${chatId}`);
+    }
+
     /**
      * Search user query in semantic cache
      * @param {string} query
-     * @param {string} [sessionId] - Optional session identifier to scope the search
+     * @param {Object<string, string>} [attributes] - Optional attributes that matching entries must have
+     * @returns {Promise<import('./semantic-cache.js').SemanticCacheHit|null>} Matched entry, or null
      */
-    async findFromSemanticCache(query, sessionId) {
-        const searchParams = {
-            prompt: query,
-            searchStrategies: [SearchStrategy.Exact, SearchStrategy.Semantic],
-        };
+    async findFromSemanticCache(query, attributes = {}) {
+        const searchParams = { prompt: query };
 
-        // Only add sessionId to attributes if it's provided
-        if (sessionId) {
-            searchParams.attributes = {
-                "sessionId": sessionId,
-            };
+        // Only add attributes if any are provided
+        if (Object.keys(attributes).length > 0) {
+            searchParams.attributes = attributes;
         }
 
-        const result = await langCache.search(searchParams);
-        return result.data?.[0]?.response || null;
+        return semanticCache.search(searchParams);
     }
 
     /**
-     * Save results in Redis LangCache
-     * @param {string} query - The original user query to store as the semantic prompt
+     * Save results in the semantic cache
+     * @param {string} query - The standalone user query to store as the semantic prompt
      * @param {string} aiReplyMessage - The AI-generated response to be cached
      * @param {number} ttlMillis - Time-to-live in milliseconds for the cached entry
-     * @param {string} [sessionId] - Optional unique identifier for the user session
+     * @param {Object<string, string>} [attributes] - Optional attributes describing the context of the entry
+     * @param {Array<string>} [tags] - Data the response depends on, for invalidation (see deleteFromSemanticCacheByTag)
      */
-    async saveResponseInSemanticCache(query, aiReplyMessage, ttlMillis, sessionId) {
+    async saveResponseInSemanticCache(query, aiReplyMessage, ttlMillis, attributes = {}, tags = []) {
         const cacheParams = {
             prompt: query,
             response: aiReplyMessage,
             ttlMillis,
+            tags,
         };
 
-        // Only add sessionId to attributes if it's provided
-        if (sessionId) {
-            cacheParams.attributes = {
-                "sessionId": sessionId,
-            };
+        // Only add attributes if any are provided
+        if (Object.keys(attributes).length > 0) {
+            cacheParams.attributes = attributes;
         }
 
-        const result = await langCache.set(cacheParams);
+        const result = await semanticCache.set(cacheParams);
         return result;
     }
 
     /**
-     * Delete all chats for a user session
+     * Delete every semantic cache entry stored with a tag
+     * @param {string} tag - "restaurant:<id>" or "dataset:<version>"
+     * @returns {Promise<{deleted: number|null}>} Number of deleted entries, if the backend reports it
+     */
+    async deleteFromSemanticCacheByTag(tag) {
+        return semanticCache.deleteByTag(tag);
+    }
+
+    /**
+     * Delete one semantic cache entry
+     * @param {string} entryId
+     * @returns {Promise<{deleted: number}>}
+     */
+    async deleteFromSemanticCache(entryId) {
+        return semanticCache.deleteById(entryId);
+    }
+
+    /**
+     * Delete all chats and saved search pages for a user session, keeping the user's profile
      * @param {string} sessionId
      */
     async deleteChats(sessionId) {
@@ -143,8 +244,15 @@ export default class ChatRepository {
         try {
             const exists = await client.exists(userKey);
             if (exists) {
-                await client.del(userKey);
-                return { success: true, message: 'Session data deleted successfully' };
+                await client.json.set(userKey, '$.chat', {});
+                await client.json.set(userKey, '$.chatThreads', {});
+
+                for await (const keys of client.scanIterator({ MATCH: `search_cursors:${sessionId}:*`, COUNT: 1000 })) {
+                    if (keys.length > 0) {
+                        await client.del(keys);
+                    }
+                }
+                return { success: true, message: 'Chats deleted successfully' };
             } else {
                 return { success: true, message: 'No session data found to delete' };
             }
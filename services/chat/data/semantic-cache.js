@@ -0,0 +1,330 @@
+import { createHash } from 'node:crypto';
+import { SCHEMA_FIELD_TYPE, SCHEMA_VECTOR_FIELD_ALGORITHM } from 'redis';
+import { LangCache } from "@redis-ai/langcache";
+import { SearchStrategy } from '@redis-ai/langcache/models/searchstrategy.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+
+// Part of the index and key names; bump it when the entry schema changes so a fresh index is built
+const SCHEMA_VERSION = 2;
+const DELETE_BATCH_SIZE = 500;
+
+/**
+ * @typedef {Object} SemanticCacheHit
+ * @property {string} entryId - Id of the matched entry
+ * @property {string} prompt - Prompt the entry was stored with
+ * @property {string} response - Cached response
+ * @property {number|null} similarity - 1 for an exact match; null when the backend does not report it
+ * @property {'exact' | 'semantic'} [match] - How the entry matched
+ */
+
+/**
+ * @typedef {Object} SemanticCache
+ * @property {(params: {prompt: string, attributes?: Object<string, string>}) => Promise<SemanticCacheHit|null>} search -
+ * Best entry for the prompt among entries stored with all the given attributes, or null
+ * @property {(params: {prompt: string, response: string, ttlMillis: number, attributes?: Object<string, string>, tags?: Array<string>}) => Promise<{entryId: string}>} set -
+ * Store an entry; tags ("restaurant:<id>", "dataset:<version>") name the data the response depends on
+ * @property {(tag: string) => Promise<{deleted: number|null}>} deleteByTag - Delete every entry with the tag
+ * @property {(entryId: string) => Promise<{deleted: number}>} deleteById - Delete one entry
+ */
+
+/**
+ * Hosted Redis LangCache
+ */
+export class LangCacheSemanticCache {
+    constructor({ serverURL, cacheId, apiKey }) {
+        this.langCache = new LangCache({ serverURL, cacheId, apiKey });
+    }
+
+    async search({ prompt, attributes }) {
+        const result = await this.langCache.search({
+            prompt,
+            searchStrategies: [SearchStrategy.Exact, SearchStrategy.Semantic],
+            ...(attributes && { attributes }),
+        });
+
+        const entry = result.data?.[0];
+        if (!entry?.response) {
+            return null;
+        }
+        return { entryId: entry.id, prompt: entry.prompt, response: entry.response, similarity: entry.similarity ?? null };
+    }
+
+    async deleteById(entryId) {
+        await this.langCache.deleteById({ entryId });
+        return { deleted: 1 };
+    }
+
+    /**
+     * LangCache attributes hold one value each, so entries cannot list the restaurants they mention;
+     * only dataset tags, which map to the datasetVersion attribute, can be deleted
+     */
+    async deleteByTag(tag) {
+        const [kind, value] = splitTag(tag);
+        if (kind !== 'dataset') {
+            throw new AppError(
+                'CACHE_TAG_UNSUPPORTED',
+                `LangCache entries cannot be deleted by tag ${tag}`,
+                HttpStatusCode.BAD_REQUEST,
+                'The LangCache backend can only delete entries by dataset tag; use SEMANTIC_CACHE_PROVIDER=redis for restaurant tags',
+            );
+        }
+
+        const result = await this.langCache.deleteQuery({ attributes: { datasetVersion: value } });
+        return { deleted: result?.deletedEntriesCount ?? null };
+    }
+
+    async set({ prompt, response, ttlMillis, attributes }) {
+        const result = await this.langCache.set({
+            prompt,
+            response,
+            ttlMillis,
+            ...(attributes && { attributes }),
+        });
+        return { entryId: result.entryId };
+    }
+}
+
+/**
+ * Semantic cache on the app's own Redis: JSON entries with a prompt embedding, indexed for vector search.
+ * A lookup first tries an exact match on the normalized prompt, which needs no embedding, and then the nearest
+ * entry within the distance threshold. Entries expire with their TTL.
+ * Each embedding model gets its own index and key prefix, so changing models never compares mismatched vectors;
+ * entries of the old model simply expire.
+ */
+export class RedisVectorSemanticCache {
+    /**
+     * @param {import('redis').RedisClientType} client
+     * @param {Object} options
+     * @param {(text: string) => Promise<number[]>} options.embed - Embeds a prompt
+     * @param {string} options.embeddingModelId - Id of the embedding model, see getEmbeddingModelId
+     * @param {number} options.dimensions - Embedding length
+     * @param {number} options.distanceThreshold - Largest cosine distance (0 = same direction, 2 = opposite) that counts as a match
+     */
+    constructor(client, { embed, embeddingModelId, dimensions, distanceThreshold }) {
+        this.client = client;
+        this.embed = embed;
+        this.dimensions = dimensions;
+        this.distanceThreshold = distanceThreshold;
+
+        const model = createHash('sha256').update(`${SCHEMA_VERSION}|${embeddingModelId}`).digest('hex').slice(0, 8);
+        this.indexName = `semantic_cache:idx:${model}`;
+        this.keyPrefix = `semantic_cache:${model}:`;
+        this.indexReady = null;
+        // Embeddings being computed, by prompt; lookups of one prompt in several scopes run in parallel and share one
+        this.pendingEmbeddings = new Map();
+    }
+
+    async search({ prompt, attributes = {} }) {
+        await this._ensureIndex();
+        const filter = this._attributeFilter(attributes);
+
+        const exact = await this.client.ft.search(this.indexName, `@promptHash:{${hashPrompt(prompt)}} ${filter}`.trim(), {
+            LIMIT: { from: 0, size: 1 },
+            RETURN: ['promptHash'],
+            DIALECT: 2,
+        });
+        if (exact.documents.length > 0) {
+            return this._hit(exact.documents[0].id, 1, 'exact');
+        }
+
+        const embedding = await this._embed(prompt);
+        const nearest = await this.client.ft.search(this.indexName, `(${filter || '*'})=>[KNN 1 @embedding $query_vector AS distance]`, {
+            PARAMS: {
+                query_vector: Buffer.from(new Float32Array(embedding).buffer)
+            },
+            LIMIT: { from: 0, size: 1 },
+            RETURN: ['distance'],
+            DIALECT: 2,
+        });
+
+        const candidate = nearest.documents[0];
+        const distance = Number(candidate?.value.distance);
+        if (!candidate || !(distance <= this.distanceThreshold)) {
+            return null;
+        }
+        return this._hit(candidate.id, 1 - distance, 'semantic');
+    }
+
+    async set({ prompt, response, ttlMillis, attributes = {}, tags = [] }) {
+        await this._ensureIndex();
+
+        const promptHash = hashPrompt(prompt);
+        const attributeTags = toAttributeTags(attributes);
+        // The same prompt saved again in the same context replaces its entry
+        const entryId = createHash('sha256').update(`${promptHash}\n${attributeTags.join('\n')}`).digest('hex').slice(0, 32);
+        const key = `${this.keyPrefix}${entryId}`;
+
+        const entry = {
+            prompt,
+            promptHash,
+            response,
+            attributes,
+            attributeTags,
+            tags: [...new Set(tags)],
+            createdAt: new Date().toISOString(),
+            ttlMillis,
+            embedding: await this.embed(prompt),
+        };
+
+        await this.client.multi()
+            .json.set(key, '$', entry)
+            .pExpire(key, ttlMillis)
+            .exec();
+
+        return { entryId };
+    }
+
+    async deleteById(entryId) {
+        return { deleted: await this.client.del(`${this.keyPrefix}${entryId}`) };
+    }
+
+    async deleteByTag(tag) {
+        await this._ensureIndex();
+        let deleted = 0;
+
+        while (true) {
+            const { documents } = await this.client.ft.search(this.indexName, `@tags:{${escapeTag(tag)}}`, {
+                LIMIT: { from: 0, size: DELETE_BATCH_SIZE },
+                RETURN: ['promptHash'],
+                DIALECT: 2,
+            });
+            if (documents.length === 0) {
+                return { deleted };
+            }
+
+            deleted += await this.client.del(documents.map(document => document.id));
+        }
+    }
+
+    /**
+     * Create the index on first use
+     * @private
+     */
+    _ensureIndex() {
+        if (!this.indexReady) {
+            this.indexReady = this.client.ft.create(this.indexName, {
+                '$.prompt': {
+                    type: SCHEMA_FIELD_TYPE.TEXT,
+                    AS: 'prompt',
+                },
+                '$.promptHash': {
+                    type: SCHEMA_FIELD_TYPE.TAG,
+                    AS: 'promptHash',
+                },
+                '$.attributeTags[*]': {
+                    type: SCHEMA_FIELD_TYPE.TAG,
+                    AS: 'attributes',
+                },
+                '$.tags[*]': {
+                    type: SCHEMA_FIELD_TYPE.TAG,
+                    AS: 'tags',
+                },
+                '$.embedding': {
+                    type: SCHEMA_FIELD_TYPE.VECTOR,
+                    TYPE: 'FLOAT32',
+                    AS: 'embedding',
+                    ALGORITHM: SCHEMA_VECTOR_FIELD_ALGORITHM.HNSW,
+                    DISTANCE_METRIC: 'COSINE',
+                    DIM: this.dimensions,
+                },
+            }, {
+                ON: 'JSON',
+                PREFIX: this.keyPrefix,
+            }).catch(error => {
+                if (/index already exists/i.test(error.message)) {
+                    return;
+                }
+                this.indexReady = null;
+                throw error;
+            });
+        }
+        return this.indexReady;
+    }
+
+    /**
+     * @private
+     */
+    _embed(prompt) {
+        if (!this.pendingEmbeddings.has(prompt)) {
+            const embedding = Promise.resolve(this.embed(prompt))
+                .finally(() => this.pendingEmbeddings.delete(prompt));
+            this.pendingEmbeddings.set(prompt, embedding);
+        }
+        return this.pendingEmbeddings.get(prompt);
+    }
+
+    /**
+     * Every attribute must match; entries may carry more attributes than the lookup asks for
+     * @private
+     */
+    _attributeFilter(attributes) {
+        return toAttributeTags(attributes)
+            .map(tag => `@attributes:{${escapeTag(tag)}}`)
+            .join(' ');
+    }
+
+    /**
+     * @private
+     */
+    async _hit(key, similarity, match) {
+        // The entry may expire between the search and this read
+        const fields = await this.client.json.get(key, { path: ['$.prompt', '$.response'] });
+        const [prompt] = fields?.['$.prompt'] || [];
+        const [response] = fields?.['$.response'] || [];
+        if (typeof response !== 'string') {
+            return null;
+        }
+        return { entryId: key.slice(this.keyPrefix.length), prompt, response, similarity, match };
+    }
+}
+
+/**
+ * Create the semantic cache named in config
+ * @param {Object} config - CONFIG
+ * @param {Object} dependencies
+ * @param {import('redis').RedisClientType} dependencies.client - Redis client for the redis provider
+ * @param {(text: string) => Promise<number[]>} dependencies.embed - Prompt embedder for the redis provider
+ * @param {string} dependencies.embeddingModelId - Id of the embedding model behind embed
+ * @returns {SemanticCache}
+ */
+export function createSemanticCache(config, { client, embed, embeddingModelId }) {
+    switch (config.semanticCache.provider) {
+        case 'langcache':
+            return new LangCacheSemanticCache({
+                serverURL: config.langcacheApiBaseUrl,
+                cacheId: config.langcacheCacheId,
+                apiKey: config.langcacheApiKey,
+            });
+        case 'redis':
+            return new RedisVectorSemanticCache(client, {
+                embed,
+                embeddingModelId,
+                dimensions: config.embeddings.dimensions,
+                distanceThreshold: config.semanticCache.distanceThreshold,
+            });
+        default:
+            throw new Error(`Unknown SEMANTIC_CACHE_PROVIDER "${config.semanticCache.provider}"; use langcache or redis`);
+    }
+}
+
+// Case, punctuation and spacing do not make prompts different
+function hashPrompt(prompt) {
+    const normalized = prompt.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+    return createHash('sha256').update(normalized).digest('hex');
+}
+
+function toAttributeTags(attributes) {
+    return Object.keys(attributes)
+        .filter(name => attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== '')
+        .sort()
+        .map(name => `${name}=${String(attributes[name]).toLowerCase()}`);
+}
+
+function splitTag(tag) {
+    const separator = tag.indexOf(':');
+    return [tag.slice(0, separator), tag.slice(separator + 1)];
+}
+
+function escapeTag(value) {
+    return value.replace(/[,.<>{}\[\]"':;!@#$%^&*()\-+=~|/\\\s]/g, '\\$&');
+}
@@ -0,0 +1,166 @@
+import CacheTelemetryRepository from '../data/cache-telemetry-repository.js';
+import ChatRepository from '../data/chat-repository.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const telemetryRepository = new CacheTelemetryRepository();
+const chatRepository = new ChatRepository();
+
+const CACHE_STATUSES = ['hit', 'miss', 'skip', 'saved', 'error'];
+const MAX_PROMPT_LENGTH = 200;
+// Entry IDs are hex digests (redis backend) or UUIDs (LangCache)
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Record a semantic cache event. A hit is credited with the tokens its entry cost to generate.
+ * Telemetry never fails the request it describes, so errors are logged and swallowed.
+ * @param {import('../data/cache-telemetry-repository.js').CacheEvent} event
+ */
+export async function recordCacheEvent(event) {
+    try {
+        const recorded = { ...event, prompt: event.prompt?.slice(0, MAX_PROMPT_LENGTH) };
+
+        if (event.status === 'hit' && event.entryId) {
+            const stats = await telemetryRepository.getEntryStats(event.entryId);
+            const tokensSaved = Number(stats.tokensUsed) || 0;
+            recorded.toolCategory = recorded.toolCategory || stats.toolCategory || undefined;
+            recorded.tokensSaved = tokensSaved;
+            recorded.costSaved = tokensSaved * CONFIG.semanticCache.costPerMillionTokens / 1_000_000;
+        }
+
+        await telemetryRepository.recordEvent(recorded);
+    } catch (error) {
+        console.warn('⚠️ Could not record cache telemetry:', error.message);
+    }
+}
+
+/**
+ * Hit ratio and event counts per hour, with totals
+ * @param {Object} [options]
+ * @param {number} [options.hours=24] - Hours to report, up to the current one
+ * @returns {Promise<Object>} Hourly buckets (oldest first), totals and event counts per tool category
+ */
+export async function getCacheStats({ hours = 24 } = {}) {
+    const hourly = await telemetryRepository.getHourlyCounters(hours);
+
+    const totals = emptyCounts();
+    const byToolCategory = {};
+
+    const buckets = hourly.map(({ hour, counters }) => {
+        const counts = emptyCounts();
+
+        Object.entries(counters).forEach(([field, value]) => {
+            const [, category, status] = field.match(/^category:(.+):(\w+)$/) || [];
+            if (category) {
+                byToolCategory[category] = byToolCategory[category] || emptyStatusCounts();
+                byToolCategory[category][status] += Number(value);
+            } else if (field in counts) {
+                counts[field] = Number(value);
+            }
+        });
+
+        Object.keys(totals).forEach(field => { totals[field] += counts[field]; });
+        return { hour: `${hour}:00:00Z`, ...summarize(counts) };
+    });
+
+    return {
+        hours,
+        buckets,
+        totals: summarize(totals),
+        // Misses happen before the answer has a tool category, so categories only count hits, saves, skips and errors
+        byToolCategory,
+    };
+}
+
+/**
+ * Cached entries ranked by hits
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Array<Object>>} Entry ID, prompt, hits, tool category and tokens saved
+ */
+export async function getTopCachedPrompts({ limit = 10 } = {}) {
+    const entries = await telemetryRepository.getTopEntries(limit);
+
+    return entries.map(({ entryId, hits, stats }) => ({
+        entryId,
+        prompt: stats.prompt || null,
+        hits,
+        toolCategory: stats.toolCategory || null,
+        tokensSaved: Number(stats.tokensSaved) || 0,
+        savedAt: stats.savedAt || null,
+        lastHitAt: stats.lastHitAt || null,
+    }));
+}
+
+/**
+ * Most recent cache events
+ * @param {Object} [options]
+ * @param {number} [options.count=50]
+ * @param {string} [options.status] - Only events with this status
+ * @returns {Promise<Array<Object>>} Events, newest first
+ */
+export async function getRecentCacheEvents({ count = 50, status } = {}) {
+    // Read extra events when filtering, so a page of one status is usually full
+    const events = await telemetryRepository.getRecentEvents(status ? count * 5 : count);
+
+    return events
+        .map(({ id, message }) => ({
+            id,
+            at: new Date(Number(id.split('-')[0])).toISOString(),
+            ...message,
+            ...(message.similarity && { similarity: Number(message.similarity) }),
+            ...(message.ttlMillis && { ttlMillis: Number(message.ttlMillis) }),
+            ...(message.tokensUsed && { tokensUsed: Number(message.tokensUsed) }),
+            ...(message.tokensSaved && { tokensSaved: Number(message.tokensSaved) }),
+            ...(message.costSaved && { costSaved: Number(message.costSaved) }),
+        }))
+        .filter(event => !status || event.status === status)
+        .slice(0, count);
+}
+
+/**
+ * Delete one cached answer and its stats
+ * @param {string} entryId
+ */
+export async function deleteCacheEntry(entryId) {
+    if (!ENTRY_ID_PATTERN.test(entryId)) {
+        throw new AppError(
+            'INVALID_CACHE_ENTRY_ID',
+            `Invalid cache entry ID: ${entryId}`,
+            HttpStatusCode.BAD_REQUEST,
+        );
+    }
+
+    const { deleted } = await chatRepository.deleteFromSemanticCache(entryId);
+    await telemetryRepository.deleteEntryStats(entryId);
+
+    if (deleted === 0) {
+        throw new AppError(
+            'CACHE_ENTRY_NOT_FOUND',
+            `Cache entry ${entryId} not found`,
+            HttpStatusCode.NOT_FOUND,
+        );
+    }
+
+    return { entryId, deleted };
+}
+
+function emptyStatusCounts() {
+    return Object.fromEntries(CACHE_STATUSES.map(status => [status, 0]));
+}
+
+function emptyCounts() {
+    return { ...emptyStatusCounts(), similaritySum: 0, similarityCount: 0, tokensSaved: 0, costSaved: 0 };
+}
+
+function summarize({ similaritySum, similarityCount, ...counts }) {
+    return {
+        ...counts,
+        hitRatio: ratio(counts.hit, counts.hit + counts.miss),
+        averageSimilarity: ratio(similaritySum, similarityCount),
+    };
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+}
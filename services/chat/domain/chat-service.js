@@ -1,31 +1,60 @@
-import OpenAI from 'openai';
 import ChatRepository from '../data/chat-repository.js';
 import { runRestaurantAgentWorkflow } from '../../ai/agentic-restaurant-workflow/index.js';
-import CONFIG from '../../../config.js';
-
-const openaiClient = new OpenAI({
-    apiKey: CONFIG.openAiApiKey,
-});
+import { RestaurantService } from '../../restaurants/domain/restaurant-service.js';
+import { UserService } from '../../users/domain/user-service.js';
+import { buildScopedLookups } from '../../ai/helpers/cache-context.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
 
 const chatRepository = new ChatRepository();
+const restaurantService = new RestaurantService();
+const userService = new UserService();
+
+// chatIds are interpolated into JSON paths, so keep them to a safe character set
+const CHAT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_TITLE_LENGTH = 80;
+const PREVIEW_LENGTH = 100;
+const DEFAULT_CHAT_TITLE = 'New chat';
+// "Show me more" only continues searches from the last day
+const SEARCH_CURSOR_TTL_SECONDS = 24 * 60 * 60;
+// Semantic cache tags name the data a cached answer depends on
+const CACHE_TAG_PATTERN = /^(restaurant|dataset):\S{1,128}$/;
+
+/**
+ * @typedef {Object} ChatThreadSummary
+ * @property {string} id - Chat ID
+ * @property {string} title - Thread title
+ * @property {'auto' | 'user'} titleSource - Whether the title was generated or set by the user
+ * @property {string|null} preview - Start of the latest message
+ * @property {number} messageCount - Number of messages in the thread
+ * @property {string|null} createdAt
+ * @property {string|null} updatedAt - Time of the latest message, or creation time for empty threads
+ */
 
 /**
  * Get reply from Restaurant AI agent
  * @param {string} sessionId - User session ID
  * @param {string} chatId - Chat ID
  * @param {string} message - User message
- * @param {boolean} useSmartRecall - Whether to use smart recall caching
+ * @param {boolean} useSmartRecall - Whether to use the semantic cache and long-term memory
+ * @param {(event: Object) => void} [onEvent] - Optional listener for streamed workflow events
+ * @param {AbortSignal} [signal] - Aborts the workflow; the inquiry then rejects and nothing is saved
  */
-export async function processRestaurantInquiry(sessionId, chatId, message, useSmartRecall) {
+export async function processRestaurantInquiry(sessionId, chatId, message, useSmartRecall, onEvent, signal) {
+    validateChatId(chatId);
+
     try {
         // Use the agentic restaurant workflow
-        return await runRestaurantAgentWorkflow(sessionId, chatId, message, useSmartRecall);
+        return await runRestaurantAgentWorkflow(sessionId, chatId, message, useSmartRecall, onEvent, signal);
     } catch (error) {
+        if (signal?.aborted) {
+            throw error;
+        }
         console.error('❌ Error in restaurant inquiry processing:', error);
 
         // Fallback to simple response
         return {
             isCachedResponse: false,
+            responseMode: useSmartRecall ? "smart_recall" : "standard",
             content: "I apologize, but I'm having trouble processing your restaurant request right now. Please try asking about restaurant recommendations, making reservations, or general dining questions.",
         };
     }
@@ -33,23 +62,29 @@ export async function processRestaurantInquiry(sessionId, chatId, message, useSm
 
 /**
  * Save response to semantic cache
- * @param {string} query - Original user query
+ * @param {string} query - Standalone user query used as the cache key
  * @param {string} response - Response to cache
  * @param {number} ttlMillis - Time to live in milliseconds
- * @param {string} [sessionId] - Optional user session ID
+ * @param {Object<string, string>} [attributes] - Context attributes to scope the entry (e.g. sessionId, locality, dietary)
+ * @param {Array<string>} [restaurantIds] - Restaurants the response mentions, stored as "restaurant:<id>" tags
  */
-export async function saveToSemanticCache(query, response, ttlMillis, sessionId) {
-    await chatRepository.saveResponseInSemanticCache(
+export async function saveToSemanticCache(query, response, ttlMillis, attributes = {}, restaurantIds = []) {
+    // Entries only match lookups against the same restaurant data, so a reload retires every older answer
+    const datasetVersion = String(await restaurantService.getDatasetVersion());
+
+    const { entryId } = await chatRepository.saveResponseInSemanticCache(
         query,
         response,
         ttlMillis,
-        sessionId,
+        { ...attributes, datasetVersion },
+        [`dataset:${datasetVersion}`, ...restaurantIds.map(id => `restaurant:${id}`)],
     );
     
     const ttlDays = Math.round(ttlMillis / (24 * 60 * 60 * 1000));
     
     return {
         success: true,
+        entryId,
         ttlDays: ttlDays,
         message: "Response cached successfully for future queries.",
     };
@@ -57,14 +92,73 @@ export async function saveToSemanticCache(query, response, ttlMillis, sessionId)
 
 /**
  * Check semantic cache for similar queries
- * @param {string} query - User query to check
- * @param {string} [sessionId] - Optional user session ID for scoped search
+ * @param {string} query - Standalone user query to check
+ * @param {Object<string, string>} [attributes] - Only entries stored with the same attribute values can match
+ * @returns {Promise<{entryId: string, prompt: string, response: string, similarity: number|null}|null>} Matched entry, or null
+ */
+export async function checkSemanticCache(query, attributes = {}) {
+    const datasetVersion = String(await restaurantService.getDatasetVersion());
+    return chatRepository.findFromSemanticCache(query, { ...attributes, datasetVersion });
+}
+
+/**
+ * Check the semantic cache in several scopes at once; the most specific scope with a match wins
+ * @param {string} query - Standalone user query to check
+ * @param {Array<{scope: string, attributes: Object<string, string>}>} lookups - Attributes per scope, most specific first
+ * @returns {Promise<{scope: string, entryId: string, prompt: string, response: string, similarity: number|null}|null>} Matched entry, or null
+ */
+export async function checkScopedSemanticCache(query, lookups) {
+    const hits = await Promise.all(lookups.map(({ attributes }) => checkSemanticCache(query, attributes)));
+    const index = hits.findIndex(Boolean);
+    return index === -1 ? null : { scope: lookups[index].scope, ...hits[index] };
+}
+
+/**
+ * Check the semantic cache as a user: their private answers, answers for their segment and global answers
+ * @param {string} sessionId
+ * @param {string} query - Standalone user query to check
+ * @param {Object} [options]
+ * @param {Array<string>} [options.scopes] - Only these scopes
+ * @param {string} [options.toolCategory] - Only entries answered with tools of this category
+ * @returns {Promise<Object|null>} Matched entry with its scope, or null
  */
-export async function checkSemanticCache(query, sessionId) {
-    return chatRepository.findFromSemanticCache(query, sessionId);
+export async function checkSemanticCacheForUser(sessionId, query, { scopes, toolCategory } = {}) {
+    const profile = await userService.getUserProfile(sessionId);
+    const lookups = buildScopedLookups(sessionId, profile, scopes).map(({ scope, attributes }) => ({
+        scope,
+        attributes: toolCategory ? { ...attributes, toolCategory } : attributes,
+    }));
+    return checkScopedSemanticCache(query, lookups);
 }
 
 /**
+ * Delete cached answers that depend on changed data
+ * @param {Array<string>} tags - "restaurant:<id>" for answers mentioning a restaurant, "dataset:<version>" for
+ * answers given from a version of the restaurant data
+ * @returns {Promise<Array<{tag: string, deleted: number|null}>>} Deleted entries per tag, if the backend reports it
+ */
+export async function invalidateSemanticCache(tags) {
+    const invalid = Array.isArray(tags) ? tags.filter(tag => typeof tag !== 'string' || !CACHE_TAG_PATTERN.test(tag)) : [tags];
+    if (!Array.isArray(tags) || tags.length === 0 || invalid.length > 0) {
+        throw new AppError(
+            'INVALID_CACHE_TAG',
+            `Invalid cache tags: ${invalid.join(', ') || 'none given'}`,
+            HttpStatusCode.BAD_REQUEST,
+            'Provide tags of the form "restaurant:<id>" or "dataset:<version>"',
+            { invalid },
+        );
+    }
+
+    const results = [];
+    for (const tag of tags) {
+        const { deleted } = await chatRepository.deleteFromSemanticCacheByTag(tag);
+        console.log(`🧹 Removed ${deleted ?? 'all'} cached answers tagged ${tag}`);
+        results.push({ tag, deleted });
+    }
+    return results;
+}
+
+ * End user session and clear chat data; the profile is kept
  * End user session and clear chat data
  * @param {string} sessionId - User session ID
  */
@@ -78,5 +172,212 @@ export async function endUserSession(sessionId) {
  * @param {string} chatId - Chat ID
  */
 export async function getChatHistory(sessionId, chatId) {
+    validateChatId(chatId);
     return chatRepository.getOrCreateChatHistory(sessionId, chatId);
 }
+
+/**
+ * Remember the next page of the last restaurant search in a chat
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @param {string|null} cursor - Pagination cursor, or null when the search has no more results
+ */
+export async function saveSearchCursor(sessionId, chatId, cursor) {
+    return chatRepository.saveSearchCursor(sessionId, chatId, cursor, SEARCH_CURSOR_TTL_SECONDS);
+}
+
+/**
+ * Get the next page cursor of the last restaurant search in a chat
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<string|null>}
+ */
+export async function getSearchCursor(sessionId, chatId) {
+    return chatRepository.getSearchCursor(sessionId, chatId);
+}
+
+/**
+ * List a user's chat threads, most recently updated first
+ * @param {string} sessionId - User session ID
+ * @returns {Promise<ChatThreadSummary[]>}
+ */
+export async function listChats(sessionId) {
+    const { chats, threads } = await chatRepository.getChatThreads(sessionId);
+
+    return Object.entries(chats)
+        .map(([chatId, messages]) => toThreadSummary(chatId, messages, threads[chatId]))
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Start a new, empty chat thread
+ * @param {string} sessionId - User session ID
+ * @param {string} [title] - Optional title; generated from the first message when omitted
+ * @returns {Promise<ChatThreadSummary>}
+ */
+export async function createChat(sessionId, title) {
+    const chatId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const normalizedTitle = title === undefined || title === null ? null : normalizeTitle(title);
+
+    await chatRepository.getOrCreateChatHistory(sessionId, chatId);
+
+    const thread = {
+        title: normalizedTitle,
+        titleSource: normalizedTitle ? 'user' : 'auto',
+        createdAt: new Date().toISOString(),
+    };
+    await chatRepository.saveChatThread(sessionId, chatId, thread);
+
+    return toThreadSummary(chatId, [], thread);
+}
+
+/**
+ * Rename a chat thread. Renamed threads keep their title instead of getting a generated one.
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @param {string} title - New title
+ * @returns {Promise<ChatThreadSummary>}
+ */
+export async function renameChat(sessionId, chatId, title) {
+    const { messages, thread } = await getExistingThread(sessionId, chatId);
+
+    const renamed = {
+        ...thread,
+        title: normalizeTitle(title),
+        titleSource: 'user',
+    };
+    await chatRepository.saveChatThread(sessionId, chatId, renamed);
+
+    return toThreadSummary(chatId, messages, renamed);
+}
+
+/**
+ * Set a generated title, unless the user has already named the thread
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ * @param {string} title - Generated title
+ */
+export async function setGeneratedChatTitle(sessionId, chatId, title) {
+    const { thread } = await getExistingThread(sessionId, chatId);
+
+    if (thread.titleSource === 'user') {
+        return;
+    }
+
+    await chatRepository.saveChatThread(sessionId, chatId, {
+        ...thread,
+        title: normalizeTitle(title),
+        titleSource: 'auto',
+    });
+}
+
+/**
+ * Delete a chat thread and its messages
+ * @param {string} sessionId - User session ID
+ * @param {string} chatId - Chat ID
+ */
+export async function deleteChat(sessionId, chatId) {
+    validateChatId(chatId);
+
+    const deleted = await chatRepository.deleteChatThread(sessionId, chatId);
+
+    if (!deleted) {
+        throw chatNotFoundError(chatId);
+    }
+}
+
+/**
+ * @param {string} chatId
+ */
+function validateChatId(chatId) {
+    if (typeof chatId !== 'string' || !CHAT_ID_PATTERN.test(chatId)) {
+        throw new AppError(
+            'INVALID_CHAT_ID',
+            'chatId must be 1-64 letters, digits, _ or -',
+            HttpStatusCode.BAD_REQUEST,
+        );
+    }
+}
+
+/**
+ * @param {string} chatId
+ */
+function chatNotFoundError(chatId) {
+    return new AppError(
+        'CHAT_NOT_FOUND',
+        `Chat ${chatId} not found`,
+        HttpStatusCode.NOT_FOUND,
+        'Chat not found',
+        { chatId },
+    );
+}
+
+/**
+ * Load a thread that must already exist. Chats from before thread metadata get a default entry.
+ * @param {string} sessionId
+ * @param {string} chatId
+ */
+async function getExistingThread(sessionId, chatId) {
+    validateChatId(chatId);
+
+    const { chats, threads } = await chatRepository.getChatThreads(sessionId);
+    const messages = chats[chatId];
+
+    if (!messages) {
+        throw chatNotFoundError(chatId);
+    }
+
+    return {
+        messages,
+        thread: threads[chatId] || { title: null, titleSource: 'auto', createdAt: messages[0]?.timestamp || null },
+    };
+}
+
+/**
+ * @param {unknown} title
+ */
+function normalizeTitle(title) {
+    const normalized = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+
+    if (!normalized || normalized.length > MAX_TITLE_LENGTH) {
+        throw new AppError(
+            'INVALID_CHAT_TITLE',
+            `Chat title must be 1-${MAX_TITLE_LENGTH} characters`,
+            HttpStatusCode.BAD_REQUEST,
+        );
+    }
+
+    return normalized;
+}
+
+/**
+ * @param {string} text
+ * @param {number} length
+ */
+function truncate(text, length) {
+    const singleLine = String(text).replace(/\s+/g, ' ').trim();
+    return singleLine.length > length ? `${singleLine.slice(0, length - 1)}…` : singleLine;
+}
+
+/**
+ * @param {string} chatId
+ * @param {Array<{role: string, content: string, timestamp?: string}>} messages
+ * @param {Object} [thread]
+ * @returns {ChatThreadSummary}
+ */
+function toThreadSummary(chatId, messages, thread) {
+    const firstUserMessage = messages.find((message) => message.role === 'user');
+    const lastMessage = messages[messages.length - 1];
+    const createdAt = thread?.createdAt || messages[0]?.timestamp || null;
+
+    return {
+        id: chatId,
+        // Until a title is generated, fall back to the opening question
+        title: thread?.title || (firstUserMessage ? truncate(firstUserMessage.content, 40) : DEFAULT_CHAT_TITLE),
+        titleSource: thread?.titleSource || 'auto',
+        preview: lastMessage ? truncate(lastMessage.content, PREVIEW_LENGTH) : null,
+        messageCount: messages.length,
+        createdAt,
+        updatedAt: lastMessage?.timestamp || createdAt,
+    };
+}
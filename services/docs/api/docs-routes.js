@@ -0,0 +1,54 @@
+import { Router } from 'express';
+import { restaurantPaths, restaurantComponents } from '../../restaurants/api/restaurant-openapi.js';
+
+const router = Router();
+
+const openApiDocument = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Relish Restaurant API',
+        version: '1.0.0',
+        description: 'Restaurant search, discovery and availability. Every response is { success, data } or { success: false, error, code, details }.',
+    },
+    paths: {
+        ...restaurantPaths,
+    },
+    components: {
+        schemas: {
+            ...restaurantComponents.schemas,
+            Error: {
+                type: 'object',
+                required: ['success', 'error'],
+                properties: {
+                    success: { type: 'boolean', enum: [false] },
+                    error: { type: 'string' },
+                    code: { type: 'string', example: 'INVALID_QUERY' },
+                    details: { type: 'object', additionalProperties: true },
+                },
+            },
+        },
+        responses: {
+            BadRequest: {
+                description: 'Invalid request; for query validation, details.errors lists each invalid parameter',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+            },
+            NotFound: {
+                description: 'Not found',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+            },
+            ServerError: {
+                description: 'Unexpected server error',
+                content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+            },
+        },
+    },
+};
+
+/**
+ * GET /api/docs - OpenAPI 3 description of the API, for generating clients
+ */
+router.get('/', (req, res) => {
+    res.json(openApiDocument);
+});
+
+export default router;
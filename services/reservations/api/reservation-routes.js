@@ -1,44 +1,73 @@
 import { Router } from 'express';
 import { ReservationService } from '../domain/reservation-service.js';
-import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import { HttpStatusCode } from '../../../lib/errors.js';
+import { requireAuth, requireAdmin } from '../../auth/api/auth-middleware.js';
 const router = Router();
 const reservationService = new ReservationService();
 
+/**
+ * PUT /api/reservations/:reservationId/no-show - Mark a reservation as a no-show
+ * Only allowed once the restaurant's no-show grace period has passed. Recorded by restaurant staff rather than
+ * the guest, so it takes the X-Admin-Key header instead of a login.
+ */
+router.put('/:reservationId/no-show', requireAdmin, async (req, res, next) => {
+    try {
+        const { reservationId } = req.params;
+
+        const reservation = await reservationService.markNoShow(reservationId);
+
+        res.json({
+            success: true,
+            data: reservation,
+            message: 'Reservation marked as a no-show',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Reservations always belong to the logged-in user
+router.use(requireAuth);
+
 /**
  * POST /api/reservations/book - Create a new reservation
  * Body parameters:
- * - sessionId: User session ID (required) - used to fetch customer details from profile
  * - restaurantId: Restaurant ID (required)
  * - date: Reservation date YYYY-MM-DD (required)
  * - time: Reservation time HH:MM (required)
  * - guests: Number of guests (required, 1-20)
  * - specialRequests: Special requests (optional)
- * Note: Customer details (name, phone, email) are automatically fetched from user profile
+ * - joinWaitlist: Join the waitlist instead of failing when the slot is full (optional)
+ * Responds with 409 SLOT_UNAVAILABLE and `details.alternatives` when the slot is full
+ * Note: Customer details (name, phone, email) are automatically fetched from the logged-in user's profile
  */
 router.post('/book', async (req, res, next) => {
     try {
         const {
-            sessionId,
             restaurantId,
             date,
             time,
             guests,
             specialRequests,
+            joinWaitlist,
         } = req.body;
 
         const result = await reservationService.createReservation({
-            sessionId,
+            sessionId: req.sessionId,
             restaurantId,
             date,
             time,
             guests: parseInt(guests),
             specialRequests,
+            joinWaitlist: joinWaitlist === true || joinWaitlist === 'true',
         });
 
         res.status(HttpStatusCode.CREATED).json({
             success: true,
             data: result,
-            message: `Reservation confirmed for ${guests} guests on ${date} at ${time}`,
+            message: result.reservation.status === 'waitlisted'
+                ? `Added to the waitlist (position ${result.waitlistPosition}) for ${guests} guests on ${date} at ${time}`
+                : `Reservation confirmed for ${guests} guests on ${date} at ${time}`,
         });
     } catch (error) {
         next(error);
@@ -46,13 +75,11 @@ router.post('/book', async (req, res, next) => {
 });
 
 /**
- * GET /api/reservations/:sessionId - Get reservations for a session
+ * GET /api/reservations/me - Get reservations for the logged-in user
  */
-router.get('/:sessionId', async (req, res, next) => {
+router.get('/me', async (req, res, next) => {
     try {
-        const { sessionId } = req.params;
-
-        const result = await reservationService.getSessionReservations(sessionId);
+        const result = await reservationService.getSessionReservations(req.sessionId);
 
         res.json({
             success: true,
@@ -70,7 +97,7 @@ router.get('/reservation/:reservationId', async (req, res, next) => {
     try {
         const { reservationId } = req.params;
 
-        const result = await reservationService.getReservationById(reservationId);
+        const result = await reservationService.getReservationById(reservationId, req.sessionId);
 
         res.json({
             success: true,
@@ -82,29 +109,54 @@ router.get('/reservation/:reservationId', async (req, res, next) => {
 });
 
 /**
- * PUT /api/reservations/:reservationId/cancel - Cancel a reservation
+ * PATCH /api/reservations/:reservationId - Modify a reservation
  * Body parameters:
- * - sessionId: User session ID (required for authorization)
+ * - date: New date YYYY-MM-DD (optional)
+ * - time: New time HH:MM (optional)
+ * - guests: New number of guests, 1-20 (optional)
+ * - specialRequests: New special requests (optional)
+ * At least one field must change. Every change is recorded in the reservation's changeHistory.
+ * Moving the booking or reducing the party follows the restaurant's cancellation policy: refusals respond with 409
+ * and `details.policy`, late fees are reported in `data.policy`. Started reservations cannot be changed.
  */
-router.put('/:reservationId/cancel', async (req, res, next) => {
+router.patch('/:reservationId', async (req, res, next) => {
     try {
         const { reservationId } = req.params;
-        const { sessionId } = req.body;
+        const { date, time, guests, specialRequests } = req.body;
+
+        const result = await reservationService.modifyReservation(reservationId, req.sessionId, {
+            date,
+            time,
+            guests: guests !== undefined ? parseInt(guests) : undefined,
+            specialRequests,
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: `Reservation updated: ${Object.keys(result.changes).join(', ')}${result.policy?.feeApplies ? `. ${result.policy.reason}` : ''}`,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (!sessionId) {
-            throw new AppError(
-                'MISSING_SESSION_ID',
-                'Session ID is required for authorization',
-                HttpStatusCode.BAD_REQUEST,
-            );
-        }
+/**
+ * PUT /api/reservations/:reservationId/cancel - Cancel one of the logged-in user's reservations
+ * The restaurant's cancellation policy is applied; refusals respond with 409 and `details.policy`
+ */
+router.put('/:reservationId/cancel', async (req, res, next) => {
+    try {
+        const { reservationId } = req.params;
 
-        const result = await reservationService.cancelReservation(reservationId, sessionId);
+        const result = await reservationService.cancelReservation(reservationId, req.sessionId);
 
         res.json({
             success: true,
             data: result,
-            message: 'Reservation cancelled successfully',
+            message: result.policy.feeApplies
+                ? `Reservation cancelled. ${result.policy.reason}`
+                : 'Reservation cancelled successfully',
         });
     } catch (error) {
         next(error);
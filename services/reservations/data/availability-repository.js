@@ -0,0 +1,205 @@
+import { createClient } from 'redis';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+// Atomically add guests to a slot only if the slot stays within capacity.
+// Returns the new booked count, or -1 when the slot cannot take the party.
+const RESERVE_SEATS_SCRIPT = `
+local booked = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+local guests = tonumber(ARGV[2])
+local capacity = tonumber(ARGV[3])
+if booked + guests > capacity then
+    return -1
+end
+return redis.call('HINCRBY', KEYS[1], ARGV[1], guests)
+`;
+
+// Atomically remove guests from a slot, never going below zero.
+const RELEASE_SEATS_SCRIPT = `
+local booked = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+local remaining = math.max(booked - tonumber(ARGV[2]), 0)
+redis.call('HSET', KEYS[1], ARGV[1], remaining)
+return remaining
+`;
+
+/**
+ * @typedef {Object} RestaurantCapacity
+ * @property {number} seatsPerSlot - Seats that can be booked for a single time slot
+ * @property {number} slotMinutes - Length of a booking slot in minutes
+ * @property {{open: string, close: string}} openingHours - Opening and closing time (HH:MM)
+ * @property {Array<number>} closedDays - Days of the week the restaurant is closed (0 = Sunday)
+ */
+
+/**
+ * Availability Repository - Data access layer for restaurant capacity and slot bookings
+ * Capacity is stored as JSON per restaurant; booked seats are stored as one hash per restaurant and date
+ */
+export class AvailabilityRepository {
+    constructor() {
+        this.capacityPrefix = 'capacity:';
+        this.bookingsPrefix = 'availability:';
+    }
+
+    /**
+     * Get capacity settings for a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @returns {Promise<RestaurantCapacity|null>} Capacity settings or null if not configured
+     */
+    async getCapacity(restaurantId) {
+        try {
+            return await client.json.get(`${this.capacityPrefix}${restaurantId}`);
+        } catch (error) {
+            console.error('Error getting restaurant capacity:', error);
+            throw new AppError(
+                'CAPACITY_FETCH_ERROR',
+                `Failed to fetch capacity for restaurant: ${restaurantId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Store capacity settings for a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @param {RestaurantCapacity} capacity - Capacity settings
+     * @returns {Promise<RestaurantCapacity>} Stored capacity settings
+     */
+    async setCapacity(restaurantId, capacity) {
+        try {
+            await client.json.set(`${this.capacityPrefix}${restaurantId}`, '$', capacity);
+            return capacity;
+        } catch (error) {
+            console.error('Error setting restaurant capacity:', error);
+            throw new AppError(
+                'CAPACITY_UPDATE_ERROR',
+                `Failed to update capacity for restaurant: ${restaurantId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Get booked seat counts for every slot of a day
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Promise<Object<string, number>>} Map of slot time (HH:MM) to booked seats
+     */
+    async getBookedSeats(restaurantId, date) {
+        try {
+            const bookings = await client.hGetAll(this._bookingsKey(restaurantId, date));
+            return Object.fromEntries(
+                Object.entries(bookings).map(([time, seats]) => [time, parseInt(seats) || 0])
+            );
+        } catch (error) {
+            console.error('Error getting booked seats:', error);
+            throw new AppError(
+                'AVAILABILITY_FETCH_ERROR',
+                `Failed to fetch availability for restaurant: ${restaurantId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Atomically reserve seats in a slot if capacity allows
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {number} guests - Number of seats to reserve
+     * @param {number} seatsPerSlot - Slot capacity
+     * @returns {Promise<boolean>} True if the seats were reserved
+     */
+    async reserveSeats(restaurantId, date, time, guests, seatsPerSlot) {
+        try {
+            const booked = await client.eval(RESERVE_SEATS_SCRIPT, {
+                keys: [this._bookingsKey(restaurantId, date)],
+                arguments: [time, String(guests), String(seatsPerSlot)],
+            });
+            return booked !== -1;
+        } catch (error) {
+            console.error('Error reserving seats:', error);
+            throw new AppError(
+                'SEAT_RESERVATION_ERROR',
+                'Failed to reserve seats',
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Atomically release previously reserved seats in a slot
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {number} guests - Number of seats to release
+     * @returns {Promise<number>} Seats still booked in the slot
+     */
+    async releaseSeats(restaurantId, date, time, guests) {
+        try {
+            return await client.eval(RELEASE_SEATS_SCRIPT, {
+                keys: [this._bookingsKey(restaurantId, date)],
+                arguments: [time, String(guests)],
+            });
+        } catch (error) {
+            console.error('Error releasing seats:', error);
+            throw new AppError(
+                'SEAT_RELEASE_ERROR',
+                'Failed to release seats',
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Add a reservation to the waitlist of a slot
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {string} reservationId - Waitlisted reservation ID
+     * @returns {Promise<number>} Position in the waitlist (1-based)
+     */
+    async addToWaitlist(restaurantId, date, time, reservationId) {
+        return client.rPush(this._waitlistKey(restaurantId, date, time), reservationId);
+    }
+
+    /**
+     * Get waitlisted reservation IDs for a slot in FIFO order
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @returns {Promise<Array<string>>} Reservation IDs
+     */
+    async getWaitlist(restaurantId, date, time) {
+        return client.lRange(this._waitlistKey(restaurantId, date, time), 0, -1);
+    }
+
+    /**
+     * Remove a reservation from the waitlist of a slot
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {string} reservationId - Reservation ID
+     */
+    async removeFromWaitlist(restaurantId, date, time, reservationId) {
+        await client.lRem(this._waitlistKey(restaurantId, date, time), 0, reservationId);
+    }
+
+    /**
+     * @private
+     */
+    _bookingsKey(restaurantId, date) {
+        return `${this.bookingsPrefix}${restaurantId}:${date}`;
+    }
+
+    /**
+     * @private
+     */
+    _waitlistKey(restaurantId, date, time) {
+        return `${this.bookingsPrefix}${restaurantId}:${date}:${time}:waitlist`;
+    }
+}
@@ -0,0 +1,55 @@
+import { createClient } from 'redis';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+/**
+ * Cancellation Policy Repository - Data access layer for per-restaurant cancellation policies
+ */
+export class CancellationPolicyRepository {
+    constructor() {
+        this.keyPrefix = 'policies:cancellation:';
+    }
+
+    /**
+     * Get the cancellation policy of a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @returns {Promise<Object|null>} Policy or null if the restaurant uses the default policy
+     */
+    async getPolicy(restaurantId) {
+        try {
+            return await client.json.get(`${this.keyPrefix}${restaurantId}`);
+        } catch (error) {
+            console.error('Error getting cancellation policy:', error);
+            throw new AppError(
+                'CANCELLATION_POLICY_FETCH_ERROR',
+                `Failed to fetch cancellation policy for restaurant: ${restaurantId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Store the cancellation policy of a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @param {Object} policy - Policy to store
+     * @returns {Promise<Object>} Stored policy
+     */
+    async setPolicy(restaurantId, policy) {
+        try {
+            await client.json.set(`${this.keyPrefix}${restaurantId}`, '$', policy);
+            return policy;
+        } catch (error) {
+            console.error('Error setting cancellation policy:', error);
+            throw new AppError(
+                'CANCELLATION_POLICY_UPDATE_ERROR',
+                `Failed to update cancellation policy for restaurant: ${restaurantId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+}
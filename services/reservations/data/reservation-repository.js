@@ -28,20 +28,13 @@ export class ReservationRepository {
             const reservation = {
                 id: reservationId,
                 ...reservationData,
-                status: 'confirmed',
+                status: reservationData.status || 'confirmed',
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
             };
 
             // Store reservation using HSET - ensure all values are strings
-            const flatReservation = {};
-            for (const [key, value] of Object.entries(reservation)) {
-                // Convert all values to strings for Redis HSET
-                flatReservation[key] = typeof value === 'object' && value !== null
-                    ? JSON.stringify(value)
-                    : String(value);
-            }
-            await client.hSet(`${this.keyPrefix}${reservationId}`, flatReservation);
+            await client.hSet(`${this.keyPrefix}${reservationId}`, this._flattenReservation(reservation));
 
             // Add to session reservations
             await client.sAdd(`${this.sessionPrefix}${reservationData.sessionId}:reservations`, reservationId);
@@ -66,7 +59,7 @@ export class ReservationRepository {
     async getReservationById(reservationId) {
         try {
             const reservation = await client.hGetAll(`${this.keyPrefix}${reservationId}`);
-            return Object.keys(reservation).length > 0 ? reservation : null;
+            return Object.keys(reservation).length > 0 ? this._parseReservation(reservation) : null;
         } catch (error) {
             console.error('Error getting reservation:', error);
             throw new AppError(
@@ -85,12 +78,12 @@ export class ReservationRepository {
      */
     async updateReservation(reservationId, reservationData) {
         try {
-            const flatData = {
+            const updatedReservation = {
                 ...reservationData,
                 updatedAt: new Date().toISOString()
             };
-            await client.hSet(`${this.keyPrefix}${reservationId}`, flatData);
-            return flatData;
+            await client.hSet(`${this.keyPrefix}${reservationId}`, this._flattenReservation(updatedReservation));
+            return updatedReservation;
         } catch (error) {
             console.error('Error updating reservation:', error);
             throw new AppError(
@@ -118,15 +111,7 @@ export class ReservationRepository {
             for (const id of reservationIds) {
                 const reservation = await client.hGetAll(`${this.keyPrefix}${id}`);
                 if (reservation && Object.keys(reservation).length > 0) {
-                    // Parse any JSON-stringified fields back to proper types
-                    const parsedReservation = { ...reservation };
-
-                    // Convert string numbers back to numbers
-                    if (parsedReservation.guests) {
-                        parsedReservation.guests = parseInt(parsedReservation.guests);
-                    }
-
-                    reservations.push(parsedReservation);
+                    reservations.push(this._parseReservation(reservation));
                 }
             }
 
@@ -145,7 +130,7 @@ export class ReservationRepository {
     /**
      * Update reservation status
      * @param {string} reservationId - Reservation ID
-     * @param {string} status - New status (confirmed, cancelled, completed)
+     * @param {string} status - New status (confirmed, waitlisted, cancelled, completed)
      * @returns {Promise<Object>} Updated reservation
      */
     async updateReservationStatus(reservationId, status) {
@@ -168,13 +153,7 @@ export class ReservationRepository {
             };
 
             // Store updated reservation using HSET - ensure all values are strings
-            const flatReservation = {};
-            for (const [key, value] of Object.entries(updatedReservation)) {
-                flatReservation[key] = typeof value === 'object' && value !== null
-                    ? JSON.stringify(value)
-                    : String(value);
-            }
-            await client.hSet(`${this.keyPrefix}${reservationId}`, flatReservation);
+            await client.hSet(`${this.keyPrefix}${reservationId}`, this._flattenReservation(updatedReservation));
 
             return updatedReservation;
 
@@ -219,6 +198,44 @@ export class ReservationRepository {
         }
     }
 
+    /**
+     * Convert all values to strings for Redis HSET, JSON-encoding objects and arrays
+     * @private
+     */
+    _flattenReservation(reservation) {
+        const flatReservation = {};
+        for (const [key, value] of Object.entries(reservation)) {
+            flatReservation[key] = typeof value === 'object' && value !== null
+                ? JSON.stringify(value)
+                : String(value);
+        }
+        return flatReservation;
+    }
+
+    /**
+     * Parse string fields read with HGETALL back to proper types
+     * @private
+     */
+    _parseReservation(reservation) {
+        const parsedReservation = { ...reservation };
+
+        // Convert string numbers back to numbers
+        if (parsedReservation.guests) {
+            parsedReservation.guests = parseInt(parsedReservation.guests);
+        }
+
+        // Parse JSON-stringified change history
+        if (parsedReservation.changeHistory) {
+            try {
+                parsedReservation.changeHistory = JSON.parse(parsedReservation.changeHistory);
+            } catch {
+                parsedReservation.changeHistory = [];
+            }
+        }
+
+        return parsedReservation;
+    }
+
     /**
      * Generate unique reservation ID
      * @private
@@ -0,0 +1,324 @@
+import { AvailabilityRepository } from '../data/availability-repository.js';
+import { RestaurantService } from '../../restaurants/domain/restaurant-service.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+
+// Seats per slot used when a restaurant has no capacity configured yet, by restaurant type
+const DEFAULT_SEATS_BY_TYPE = {
+    'Fast Food': 20,
+    'Food Truck': 10,
+    'Cafe': 30,
+    'Dessert/Bakery': 20,
+    'Breakfast/Brunch': 30,
+    'Casual Dining': 50,
+    'Fast Casual': 40,
+    'Fine Dining': 40,
+    '5 Star/Luxury': 60,
+    'Bar/Lounge': 50,
+    'Restobar/Pub': 60,
+    'Club/Nightlife': 80,
+    'Buffet': 80,
+    'Food Court': 100,
+};
+
+const DEFAULT_CAPACITY = {
+    seatsPerSlot: 40,
+    slotMinutes: 30,
+    openingHours: { open: '12:00', close: '23:00' },
+    closedDays: [],
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Availability Service - Business logic for restaurant capacity, opening hours and slot availability
+ * Seats are reserved atomically per slot so concurrent bookings cannot overbook a restaurant
+ */
+export class AvailabilityService {
+    constructor() {
+        this.availabilityRepository = new AvailabilityRepository();
+        this.restaurantService = new RestaurantService();
+    }
+
+    /**
+     * Get capacity settings for a restaurant, storing defaults on first access
+     * @param {string} restaurantId - Restaurant ID
+     * @returns {Promise<Object>} Capacity settings
+     */
+    async getCapacity(restaurantId) {
+        const capacity = await this.availabilityRepository.getCapacity(restaurantId);
+        if (capacity) {
+            return capacity;
+        }
+
+        const restaurant = await this.restaurantService.getRestaurantById(restaurantId);
+        const defaultCapacity = {
+            ...DEFAULT_CAPACITY,
+            seatsPerSlot: DEFAULT_SEATS_BY_TYPE[restaurant.type] || DEFAULT_CAPACITY.seatsPerSlot,
+        };
+
+        return this.availabilityRepository.setCapacity(restaurantId, defaultCapacity);
+    }
+
+    /**
+     * Update capacity settings for a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @param {Object} capacity - Partial capacity settings to merge with the current ones
+     * @returns {Promise<Object>} Updated capacity settings
+     */
+    async updateCapacity(restaurantId, capacity = {}) {
+        const current = await this.getCapacity(restaurantId);
+        const updated = {
+            ...current,
+            ...capacity,
+            openingHours: { ...current.openingHours, ...capacity.openingHours },
+        };
+
+        this._validateCapacity(updated);
+
+        return this.availabilityRepository.setCapacity(restaurantId, updated);
+    }
+
+    /**
+     * List every slot of a day with the number of free seats
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {number} [guests] - Party size; slots that cannot seat it are marked unavailable
+     * @returns {Promise<Object>} Availability for the day
+     */
+    async getAvailability(restaurantId, date, guests = 1) {
+        this._validateDate(date);
+
+        const capacity = await this.getCapacity(restaurantId);
+        const isOpen = !capacity.closedDays.includes(this._dayOfWeek(date));
+
+        if (!isOpen) {
+            return {
+                restaurantId,
+                date,
+                isOpen,
+                openingHours: capacity.openingHours,
+                slotMinutes: capacity.slotMinutes,
+                seatsPerSlot: capacity.seatsPerSlot,
+                slots: [],
+            };
+        }
+
+        const booked = await this.availabilityRepository.getBookedSeats(restaurantId, date);
+        const now = new Date();
+
+        const slots = this._slotTimes(capacity).map(time => {
+            const seatsAvailable = Math.max(capacity.seatsPerSlot - (booked[time] || 0), 0);
+            const isPast = new Date(`${date}T${time}`) <= now;
+            return {
+                time,
+                seatsAvailable,
+                available: !isPast && seatsAvailable >= guests,
+            };
+        });
+
+        return {
+            restaurantId,
+            date,
+            isOpen,
+            openingHours: capacity.openingHours,
+            slotMinutes: capacity.slotMinutes,
+            seatsPerSlot: capacity.seatsPerSlot,
+            slots,
+        };
+    }
+
+    /**
+     * Atomically reserve seats for a party in a slot
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {number} guests - Party size
+     * @returns {Promise<boolean>} True if seats were reserved, false if the slot is full
+     * @throws {AppError} If the slot is outside opening hours or not a valid slot start
+     */
+    async reserveSeats(restaurantId, date, time, guests) {
+        const capacity = await this.getCapacity(restaurantId);
+        await this._validateSlot(restaurantId, capacity, date, time, guests);
+
+        return this.availabilityRepository.reserveSeats(restaurantId, date, time, guests, capacity.seatsPerSlot);
+    }
+
+    /**
+     * Release seats held by a party in a slot
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Slot time (HH:MM)
+     * @param {number} guests - Party size
+     */
+    async releaseSeats(restaurantId, date, time, guests) {
+        await this.availabilityRepository.releaseSeats(restaurantId, date, time, guests);
+    }
+
+    /**
+     * Find the available slots on the same day closest to the requested time
+     * @param {string} restaurantId - Restaurant ID
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Requested time (HH:MM)
+     * @param {number} guests - Party size
+     * @param {number} [limit] - Maximum number of alternatives (default: 3)
+     * @returns {Promise<Array<{time: string, seatsAvailable: number}>>} Alternative slots
+     */
+    async findAlternativeSlots(restaurantId, date, time, guests, limit = 3) {
+        const availability = await this.getAvailability(restaurantId, date, guests);
+        const requestedMinutes = this._toMinutes(time);
+
+        return availability.slots
+            .filter(slot => slot.available && slot.time !== time)
+            .sort((a, b) => Math.abs(this._toMinutes(a.time) - requestedMinutes) - Math.abs(this._toMinutes(b.time) - requestedMinutes))
+            .slice(0, limit)
+            .map(({ time, seatsAvailable }) => ({ time, seatsAvailable }));
+    }
+
+    /**
+     * Add a reservation to the waitlist of a full slot
+     * @returns {Promise<number>} Position in the waitlist (1-based)
+     */
+    async addToWaitlist(restaurantId, date, time, reservationId) {
+        return this.availabilityRepository.addToWaitlist(restaurantId, date, time, reservationId);
+    }
+
+    /**
+     * Get waitlisted reservation IDs for a slot in FIFO order
+     */
+    async getWaitlist(restaurantId, date, time) {
+        return this.availabilityRepository.getWaitlist(restaurantId, date, time);
+    }
+
+    /**
+     * Remove a reservation from the waitlist of a slot
+     */
+    async removeFromWaitlist(restaurantId, date, time, reservationId) {
+        await this.availabilityRepository.removeFromWaitlist(restaurantId, date, time, reservationId);
+    }
+
+    /**
+     * Ensure a requested slot is bookable
+     * @private
+     */
+    async _validateSlot(restaurantId, capacity, date, time, guests) {
+        this._validateDate(date);
+
+        if (!TIME_PATTERN.test(time || '')) {
+            throw new AppError(
+                'INVALID_TIME',
+                'Time must be in HH:MM format',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (new Date(`${date}T${time}`) <= new Date()) {
+            throw new AppError(
+                'RESERVATION_IN_PAST',
+                'Reservations must be made for a future date and time',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (guests > capacity.seatsPerSlot) {
+            throw new AppError(
+                'PARTY_TOO_LARGE',
+                `This restaurant can seat at most ${capacity.seatsPerSlot} guests per time slot`,
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (capacity.closedDays.includes(this._dayOfWeek(date))) {
+            throw new AppError(
+                'RESTAURANT_CLOSED',
+                `The restaurant is closed on ${date}`,
+                HttpStatusCode.CONFLICT,
+            );
+        }
+
+        if (!this._slotTimes(capacity).includes(time)) {
+            const alternatives = await this.findAlternativeSlots(restaurantId, date, time, guests);
+            throw new AppError(
+                'INVALID_SLOT',
+                `${time} is not a bookable slot. The restaurant takes bookings every ${capacity.slotMinutes} minutes between ${capacity.openingHours.open} and ${capacity.openingHours.close}`,
+                HttpStatusCode.BAD_REQUEST,
+                null,
+                { alternatives },
+            );
+        }
+    }
+
+    /**
+     * @private
+     */
+    _validateDate(date) {
+        if (!DATE_PATTERN.test(date || '') || isNaN(new Date(`${date}T00:00`).getTime())) {
+            throw new AppError(
+                'INVALID_DATE',
+                'Date must be in YYYY-MM-DD format',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+    }
+
+    /**
+     * @private
+     */
+    _validateCapacity(capacity) {
+        const { seatsPerSlot, slotMinutes, openingHours, closedDays } = capacity;
+
+        if (!Number.isInteger(seatsPerSlot) || seatsPerSlot < 1) {
+            throw new AppError('INVALID_CAPACITY', 'seatsPerSlot must be a positive integer', HttpStatusCode.BAD_REQUEST);
+        }
+        if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 240) {
+            throw new AppError('INVALID_CAPACITY', 'slotMinutes must be between 15 and 240', HttpStatusCode.BAD_REQUEST);
+        }
+        if (!TIME_PATTERN.test(openingHours.open || '') || !TIME_PATTERN.test(openingHours.close || '')
+            || this._toMinutes(openingHours.open) >= this._toMinutes(openingHours.close)) {
+            throw new AppError('INVALID_CAPACITY', 'openingHours must have HH:MM open and close times, with open before close', HttpStatusCode.BAD_REQUEST);
+        }
+        if (!Array.isArray(closedDays) || closedDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new AppError('INVALID_CAPACITY', 'closedDays must be a list of weekdays (0 = Sunday to 6 = Saturday)', HttpStatusCode.BAD_REQUEST);
+        }
+    }
+
+    /**
+     * Slot start times from opening until the last seating (one slot before closing)
+     * @private
+     */
+    _slotTimes(capacity) {
+        const open = this._toMinutes(capacity.openingHours.open);
+        const lastSeating = this._toMinutes(capacity.openingHours.close) - capacity.slotMinutes;
+        const times = [];
+
+        for (let minutes = open; minutes <= lastSeating; minutes += capacity.slotMinutes) {
+            times.push(this._fromMinutes(minutes));
+        }
+
+        return times;
+    }
+
+    /**
+     * @private
+     */
+    _dayOfWeek(date) {
+        return new Date(`${date}T00:00`).getDay();
+    }
+
+    /**
+     * @private
+     */
+    _toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * @private
+     */
+    _fromMinutes(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    }
+}
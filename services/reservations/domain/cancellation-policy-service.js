@@ -0,0 +1,143 @@
+import { CancellationPolicyRepository } from '../data/cancellation-policy-repository.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+
+/**
+ * @typedef {Object} CancellationPolicy
+ * @property {number} cutoffHours - Free cancellation is allowed until this many hours before the reservation
+ * @property {boolean} lateCancellationFee - When true, cancellations inside the cutoff are allowed but flagged
+ *                                           for a fee; when false they are refused
+ * @property {number} lateCancellationFeeAmount - Fee (₹) recorded on late cancellations
+ * @property {number} noShowGraceMinutes - Minutes after the reservation time after which it counts as a no-show
+ */
+
+/** @type {CancellationPolicy} */
+export const DEFAULT_CANCELLATION_POLICY = {
+    cutoffHours: 2,
+    lateCancellationFee: false,
+    lateCancellationFeeAmount: 0,
+    noShowGraceMinutes: 15,
+};
+
+/**
+ * @typedef {Object} CancellationDecision
+ * @property {'allowed' | 'late_fee' | 'too_late' | 'no_show'} outcome - What the policy allows
+ * @property {string} reason - Human readable explanation of the outcome
+ * @property {number} hoursUntilReservation - Hours left until the reservation (negative once it has started)
+ * @property {number} cutoffHours - Cutoff window of the applied policy
+ * @property {boolean} feeApplies - Whether a late cancellation fee applies
+ * @property {number} feeAmount - Late cancellation fee (₹), 0 when no fee applies
+ */
+
+/**
+ * Cancellation Policy Service - Per-restaurant cancellation rules and their evaluation
+ */
+export class CancellationPolicyService {
+    constructor() {
+        this.policyRepository = new CancellationPolicyRepository();
+    }
+
+    /**
+     * Get the cancellation policy of a restaurant, falling back to the default policy
+     * @param {string} restaurantId - Restaurant ID
+     * @returns {Promise<CancellationPolicy>} Policy
+     */
+    async getPolicy(restaurantId) {
+        const policy = await this.policyRepository.getPolicy(restaurantId);
+        return { ...DEFAULT_CANCELLATION_POLICY, ...policy };
+    }
+
+    /**
+     * Update the cancellation policy of a restaurant
+     * @param {string} restaurantId - Restaurant ID
+     * @param {Partial<CancellationPolicy>} changes - Policy fields to change
+     * @returns {Promise<CancellationPolicy>} Updated policy
+     */
+    async updatePolicy(restaurantId, changes = {}) {
+        const policy = { ...(await this.getPolicy(restaurantId)), ...changes };
+        this._validatePolicy(policy);
+        return this.policyRepository.setPolicy(restaurantId, policy);
+    }
+
+    /**
+     * Decide whether a reservation may be cancelled now under a policy
+     * @param {Object} reservation - Reservation (needs date, time and status)
+     * @param {CancellationPolicy} policy - Policy to apply
+     * @param {Date} [now] - Evaluation time
+     * @returns {CancellationDecision} Decision
+     */
+    evaluateCancellation(reservation, policy, now = new Date()) {
+        const reservationDateTime = new Date(`${reservation.date}T${reservation.time}`);
+        const hoursUntilReservation = (reservationDateTime - now) / (1000 * 60 * 60);
+        const decision = {
+            hoursUntilReservation: Math.round(hoursUntilReservation * 100) / 100,
+            cutoffHours: policy.cutoffHours,
+            feeApplies: false,
+            feeAmount: 0,
+        };
+
+        // Waitlisted reservations hold no table, so they can always be withdrawn
+        if (reservation.status === 'waitlisted') {
+            return { ...decision, outcome: 'allowed', reason: 'Waitlisted reservations can be cancelled at any time' };
+        }
+
+        if (hoursUntilReservation * 60 < -policy.noShowGraceMinutes) {
+            return {
+                ...decision,
+                outcome: 'no_show',
+                reason: `The reservation started more than ${policy.noShowGraceMinutes} minutes ago, so it counts as a no-show and can no longer be cancelled`,
+            };
+        }
+
+        if (hoursUntilReservation >= policy.cutoffHours) {
+            return { ...decision, outcome: 'allowed', reason: `Cancelled more than ${policy.cutoffHours} hours in advance` };
+        }
+
+        if (policy.lateCancellationFee) {
+            return {
+                ...decision,
+                outcome: 'late_fee',
+                feeApplies: true,
+                feeAmount: policy.lateCancellationFeeAmount,
+                reason: `Cancelled less than ${policy.cutoffHours} hours in advance - a late cancellation fee of ₹${policy.lateCancellationFeeAmount} applies`,
+            };
+        }
+
+        return {
+            ...decision,
+            outcome: 'too_late',
+            reason: `Reservations must be cancelled at least ${policy.cutoffHours} hours in advance`,
+        };
+    }
+
+    /**
+     * Whether a confirmed reservation has passed the no-show grace period
+     * @param {Object} reservation - Reservation (needs date, time and status)
+     * @param {CancellationPolicy} policy - Policy to apply
+     * @param {Date} [now] - Evaluation time
+     * @returns {boolean} True if the reservation can be marked as a no-show
+     */
+    isNoShow(reservation, policy, now = new Date()) {
+        return reservation.status === 'confirmed'
+            && this.evaluateCancellation(reservation, policy, now).outcome === 'no_show';
+    }
+
+    /**
+     * @private
+     */
+    _validatePolicy(policy) {
+        const { cutoffHours, lateCancellationFee, lateCancellationFeeAmount, noShowGraceMinutes } = policy;
+
+        if (typeof cutoffHours !== 'number' || isNaN(cutoffHours) || cutoffHours < 0 || cutoffHours > 168) {
+            throw new AppError('INVALID_CANCELLATION_POLICY', 'cutoffHours must be between 0 and 168', HttpStatusCode.BAD_REQUEST);
+        }
+        if (typeof lateCancellationFee !== 'boolean') {
+            throw new AppError('INVALID_CANCELLATION_POLICY', 'lateCancellationFee must be true or false', HttpStatusCode.BAD_REQUEST);
+        }
+        if (typeof lateCancellationFeeAmount !== 'number' || isNaN(lateCancellationFeeAmount) || lateCancellationFeeAmount < 0) {
+            throw new AppError('INVALID_CANCELLATION_POLICY', 'lateCancellationFeeAmount must be a non-negative number', HttpStatusCode.BAD_REQUEST);
+        }
+        if (!Number.isInteger(noShowGraceMinutes) || noShowGraceMinutes < 0 || noShowGraceMinutes > 240) {
+            throw new AppError('INVALID_CANCELLATION_POLICY', 'noShowGraceMinutes must be between 0 and 240', HttpStatusCode.BAD_REQUEST);
+        }
+    }
+}
@@ -1,4 +1,6 @@
 import { ReservationRepository } from '../data/reservation-repository.js';
+import { AvailabilityService } from './availability-service.js';
+import { CancellationPolicyService } from './cancellation-policy-service.js';
 import { UserService } from '../../users/domain/user-service.js';
 import { RestaurantService } from '../../restaurants/domain/restaurant-service.js';
 import { AppError, HttpStatusCode } from '../../../lib/errors.js';
@@ -12,21 +14,24 @@ export class ReservationService {
         this.reservationRepository = new ReservationRepository();
         this.userService = new UserService();
         this.restaurantService = new RestaurantService();
+        this.availabilityService = new AvailabilityService();
+        this.cancellationPolicyService = new CancellationPolicyService();
     }
 
     /**
      * Create a new reservation with validation
+     * Seats are reserved atomically; if the slot is full the booking is rejected with
+     * alternative slots, or waitlisted when the caller opts in.
      * @param {Object} reservationData - Reservation data
      * @param {string} reservationData.sessionId - User session ID
      * @param {string} reservationData.restaurantId - Restaurant ID
      * @param {string} reservationData.date - Reservation date (YYYY-MM-DD)
      * @param {string} reservationData.time - Reservation time (HH:MM)
      * @param {number} reservationData.guests - Number of guests
-     * @param {string} reservationData.customerName - Customer name
-     * @param {string} reservationData.customerPhone - Customer phone
-     * @param {string} reservationData.customerEmail - Customer email (optional)
      * @param {string} reservationData.specialRequests - Special requests (optional)
+     * @param {boolean} reservationData.joinWaitlist - Waitlist the booking instead of rejecting it when the slot is full (optional)
      * @returns {Promise<Object>} Created reservation with restaurant details
+     * @throws {AppError} SLOT_UNAVAILABLE with `details.alternatives` when the slot is full
      */
     async createReservation(reservationData) {
         const {
@@ -36,31 +41,75 @@ export class ReservationService {
             time,
             guests,
             specialRequests,
+            joinWaitlist = false,
         } = reservationData;
 
+        if (!Number.isInteger(guests) || guests < 1 || guests > 20) {
+            throw new AppError(
+                'INVALID_GUEST_COUNT',
+                'Number of guests must be between 1 and 20',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        // Make sure the restaurant exists before holding any seats
+        const restaurant = await this.restaurantService.getRestaurantById(restaurantId);
+
         // Get customer details from user profile
         const customerDetails = await this.userService.getUserContactDetails(sessionId);
 
+        if (!customerDetails?.phone) {
+            throw new AppError(
+                'PROFILE_INCOMPLETE',
+                'Add a phone number to your profile before making a reservation',
+                HttpStatusCode.BAD_REQUEST,
+                null,
+                { missingFields: ['phone'] },
+            );
+        }
 
+        const seatsReserved = await this.availabilityService.reserveSeats(restaurantId, date, time, guests);
 
-        // Create reservation
-        const reservation = await this.reservationRepository.createReservation({
-            sessionId,
-            restaurantId,
-            date,
-            time,
-            guests,
-            customerName: customerDetails.name.trim(),
-            customerPhone: customerDetails.phone.trim(),
-            customerEmail: customerDetails.email ? customerDetails.email.trim() : null,
-            specialRequests: specialRequests ? specialRequests.trim() : null,
-        });
+        if (!seatsReserved && !joinWaitlist) {
+            const alternatives = await this.availabilityService.findAlternativeSlots(restaurantId, date, time, guests);
+            throw new AppError(
+                'SLOT_UNAVAILABLE',
+                `${restaurant.name} has no tables left for ${guests} guests on ${date} at ${time}`,
+                HttpStatusCode.CONFLICT,
+                null,
+                { alternatives },
+            );
+        }
 
-        // Get restaurant details for response
-        const restaurant = await this.restaurantService.getRestaurantById(restaurantId);
+        let reservation;
+        try {
+            reservation = await this.reservationRepository.createReservation({
+                sessionId,
+                restaurantId,
+                date,
+                time,
+                guests,
+                customerName: customerDetails.name.trim(),
+                customerPhone: customerDetails.phone.trim(),
+                customerEmail: customerDetails.email ? customerDetails.email.trim() : null,
+                specialRequests: specialRequests ? specialRequests.trim() : null,
+                status: seatsReserved ? 'confirmed' : 'waitlisted',
+            });
+        } catch (error) {
+            if (seatsReserved) {
+                await this.availabilityService.releaseSeats(restaurantId, date, time, guests);
+            }
+            throw error;
+        }
+
+        let waitlistPosition = null;
+        if (!seatsReserved) {
+            waitlistPosition = await this.availabilityService.addToWaitlist(restaurantId, date, time, reservation.id);
+        }
 
         return {
             reservation,
+            waitlistPosition,
             restaurant: {
                 id: restaurant.id,
                 name: restaurant.name,
@@ -75,9 +124,10 @@ export class ReservationService {
     /**
      * Get reservation by ID with validation
      * @param {string} reservationId - Reservation ID
+     * @param {string} [sessionId] - When given, the reservation must belong to this session
      * @returns {Promise<Object>} Reservation with restaurant details
      */
-    async getReservationById(reservationId) {
+    async getReservationById(reservationId, sessionId) {
         if (!reservationId) {
             throw new AppError(
                 'INVALID_RESERVATION_ID',
@@ -96,6 +146,14 @@ export class ReservationService {
             );
         }
 
+        if (sessionId && reservation.sessionId !== sessionId) {
+            throw new AppError(
+                'UNAUTHORIZED_ACCESS',
+                'You can only view your own reservations',
+                HttpStatusCode.FORBIDDEN,
+            );
+        }
+
         // Get restaurant details
         const restaurant = await this.restaurantService.getRestaurantById(reservation.restaurantId);
 
@@ -160,11 +218,148 @@ export class ReservationService {
         };
     }
 
+    /**
+     * Modify a reservation (reschedule, change party size or special requests)
+     * Seats for the new slot are secured before the old ones are released, so a failed
+     * reschedule leaves the original booking untouched. Every change is appended to
+     * the reservation's change history.
+     * @param {string} reservationId - Reservation ID
+     * @param {string} sessionId - Session ID (for authorization)
+     * @param {Object} changes - Fields to change
+     * @param {string} [changes.date] - New date (YYYY-MM-DD)
+     * @param {string} [changes.time] - New time (HH:MM)
+     * @param {number} [changes.guests] - New number of guests
+     * @param {string} [changes.specialRequests] - New special requests
+     * @returns {Promise<Object>} Updated reservation with restaurant details, the applied changes and, when the
+     * change frees seats, the cancellation policy decision
+     * @throws {AppError} SLOT_UNAVAILABLE with `details.alternatives` when the new slot is full
+     * @throws {AppError} With `details.policy` once the reservation has started, or when the policy refuses
+     * freeing its seats
+     */
+    async modifyReservation(reservationId, sessionId, changes = {}) {
+        if (!reservationId || !sessionId) {
+            throw new AppError(
+                'INVALID_PARAMETERS',
+                'Reservation ID and Session ID are required',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const reservation = await this.reservationRepository.getReservationById(reservationId);
+
+        if (!reservation) {
+            throw new AppError(
+                'RESERVATION_NOT_FOUND',
+                `Reservation with ID ${reservationId} not found`,
+                HttpStatusCode.NOT_FOUND,
+            );
+        }
+
+        if (reservation.sessionId !== sessionId) {
+            throw new AppError(
+                'UNAUTHORIZED_MODIFICATION',
+                'You can only modify your own reservations',
+                HttpStatusCode.FORBIDDEN,
+            );
+        }
+
+        if (!['confirmed', 'waitlisted'].includes(reservation.status)) {
+            throw new AppError(
+                'CANNOT_MODIFY_RESERVATION',
+                `Cannot modify a ${reservation.status} reservation`,
+                HttpStatusCode.CONFLICT,
+            );
+        }
+
+        const fieldChanges = this._diffReservationChanges(reservation, changes);
+
+        if (Object.keys(fieldChanges).length === 0) {
+            throw new AppError(
+                'NO_CHANGES',
+                'Provide at least one of date, time, guests or specialRequests that differs from the current reservation',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const updated = {
+            ...reservation,
+            ...Object.fromEntries(Object.entries(fieldChanges).map(([field, { to }]) => [field, to])),
+        };
+
+        const slotChanged = 'date' in fieldChanges || 'time' in fieldChanges;
+        const policy = await this.cancellationPolicyService.getPolicy(reservation.restaurantId);
+        const decision = this.cancellationPolicyService.evaluateCancellation(reservation, policy);
+
+        if (decision.hoursUntilReservation < 0) {
+            throw new AppError(
+                'RESERVATION_STARTED',
+                'This reservation has already started and can no longer be changed',
+                HttpStatusCode.CONFLICT,
+                null,
+                { policy: decision },
+            );
+        }
+
+        // Moving a booking or shrinking the party gives seats back, which the cancellation policy governs
+        const freesSeats = slotChanged || ('guests' in fieldChanges && Number(fieldChanges.guests.to) < Number(fieldChanges.guests.from));
+        const appliedPolicy = freesSeats ? decision : null;
+
+        if (appliedPolicy?.outcome === 'too_late') {
+            throw new AppError(
+                'MODIFICATION_TOO_LATE',
+                `${appliedPolicy.reason}; the date, time and party size can no longer be reduced or moved`,
+                HttpStatusCode.CONFLICT,
+                null,
+                { policy: appliedPolicy },
+            );
+        }
+
+        if (slotChanged || 'guests' in fieldChanges) {
+            updated.status = await this._moveReservationSlot(reservation, updated, slotChanged);
+            if (updated.status !== reservation.status) {
+                fieldChanges.status = { from: reservation.status, to: updated.status };
+            }
+        }
+
+        const changeHistory = [
+            ...(reservation.changeHistory || []),
+            {
+                changedAt: new Date().toISOString(),
+                changes: fieldChanges,
+                ...(appliedPolicy?.feeApplies && { lateChangeFee: appliedPolicy.feeAmount }),
+            },
+        ];
+
+        const savedReservation = await this.reservationRepository.updateReservation(reservationId, {
+            ...updated,
+            changeHistory,
+        });
+
+        const restaurant = await this.restaurantService.getRestaurantById(reservation.restaurantId);
+
+        return {
+            reservation: savedReservation,
+            changes: fieldChanges,
+            policy: appliedPolicy,
+            restaurant: {
+                id: restaurant.id,
+                name: restaurant.name,
+                cuisine: restaurant.cuisine,
+                address: restaurant.address,
+                city: restaurant.city,
+                locality: restaurant.locality,
+            }
+        };
+    }
+
     /**
      * Cancel a reservation
+     * This is the single cancellation path for both the API and the agent. It checks ownership,
+     * applies the restaurant's cancellation policy and frees the reservation's seats.
      * @param {string} reservationId - Reservation ID
      * @param {string} sessionId - Session ID (for authorization)
-     * @returns {Promise<Object>} Cancelled reservation
+     * @returns {Promise<Object>} Cancelled reservation, restaurant details and the policy decision
+     * @throws {AppError} With `details.policy` when the policy refuses the cancellation
      */
     async cancelReservation(reservationId, sessionId) {
         if (!reservationId || !sessionId) {
@@ -211,61 +406,242 @@ export class ReservationService {
             );
         }
 
-        // Check cancellation time policy (e.g., must cancel at least 2 hours before)
-        const reservationDateTime = new Date(`${reservation.date} ${reservation.time}`);
-        const now = new Date();
-        const hoursUntilReservation = (reservationDateTime - now) / (1000 * 60 * 60);
+        if (reservation.status === 'no_show') {
+            throw new AppError(
+                'CANNOT_CANCEL_NO_SHOW',
+                'This reservation has already been recorded as a no-show',
+                HttpStatusCode.CONFLICT,
+            );
+        }
+
+        // Apply the restaurant's cancellation policy
+        const policy = await this.cancellationPolicyService.getPolicy(reservation.restaurantId);
+        const decision = this.cancellationPolicyService.evaluateCancellation(reservation, policy);
+
+        // A refused cancellation leaves the reservation as it is; staff record no-shows through markNoShow
+        if (decision.outcome === 'no_show') {
+            throw new AppError(
+                'RESERVATION_NO_SHOW',
+                decision.reason,
+                HttpStatusCode.CONFLICT,
+                null,
+                { policy: decision },
+            );
+        }
 
-        if (hoursUntilReservation < 2) {
+        if (decision.outcome === 'too_late') {
             throw new AppError(
                 'CANCELLATION_TOO_LATE',
-                'Reservations must be cancelled at least 2 hours in advance',
+                decision.reason,
                 HttpStatusCode.CONFLICT,
+                null,
+                { policy: decision },
             );
         }
 
-        // Cancel the reservation by updating status directly
-        const cancelledReservation = {
+        const cancelledReservation = await this.reservationRepository.updateReservation(reservationId, {
             ...reservation,
             status: 'cancelled',
             cancelledAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
+            lateCancellation: decision.outcome === 'late_fee',
+            lateCancellationFee: decision.feeAmount,
+        });
+
+        await this._releaseReservationSlot(reservation);
+
+        const restaurant = await this.restaurantService.getRestaurantById(reservation.restaurantId);
+
+        return {
+            reservation: cancelledReservation,
+            policy: decision,
+            restaurant: {
+                id: restaurant.id,
+                name: restaurant.name,
+                cuisine: restaurant.cuisine,
+                address: restaurant.address,
+                city: restaurant.city,
+                locality: restaurant.locality,
+            }
         };
+    }
 
-        // Update the reservation in Redis directly
-        await this.reservationRepository.updateReservation(reservationId, cancelledReservation);
+    /**
+     * Mark a confirmed reservation as a no-show once the policy's grace period has passed,
+     * freeing its seats like a cancellation does. Restaurant staff only; the route checks the admin key.
+     * @param {string} reservationId - Reservation ID
+     * @returns {Promise<Object>} Updated reservation
+     */
+    async markNoShow(reservationId) {
+        const { reservation } = await this.getReservationById(reservationId);
+        const policy = await this.cancellationPolicyService.getPolicy(reservation.restaurantId);
 
-        return cancelledReservation;
+        if (!this.cancellationPolicyService.isNoShow(reservation, policy)) {
+            throw new AppError(
+                'CANNOT_MARK_NO_SHOW',
+                `Only confirmed reservations more than ${policy.noShowGraceMinutes} minutes past their start time can be marked as a no-show`,
+                HttpStatusCode.CONFLICT,
+                null,
+                { policy: this.cancellationPolicyService.evaluateCancellation(reservation, policy) },
+            );
+        }
+
+        const updated = await this.reservationRepository.updateReservationStatus(reservationId, 'no_show');
+        await this._releaseReservationSlot(reservation);
+
+        return updated;
     }
 
     /**
-     * Cancel a reservation
-     * @param {string} reservationId - Reservation ID to cancel
-     * @returns {Promise<Object>} Cancelled reservation details
+     * Validate requested changes and return the fields that actually change as { from, to }
+     * @private
      */
-    async cancelReservation(reservationId) {
-        // Get the reservation first to verify it exists
-        const reservationData = await this.getReservationById(reservationId);
+    _diffReservationChanges(reservation, changes) {
+        const { date, time, guests, specialRequests } = changes;
+        const fieldChanges = {};
 
-        // Check if reservation is already cancelled
-        if (reservationData.reservation.status === 'cancelled') {
+        if (guests !== undefined && (!Number.isInteger(guests) || guests < 1 || guests > 20)) {
             throw new AppError(
-                'ALREADY_CANCELLED',
-                'This reservation has already been cancelled',
+                'INVALID_GUEST_COUNT',
+                'Number of guests must be between 1 and 20',
                 HttpStatusCode.BAD_REQUEST,
             );
         }
 
-        // Cancel the reservation
-        const cancelledReservation = await this.reservationRepository.updateReservationStatus(
-            reservationId,
-            'cancelled',
-        );
+        if (specialRequests !== undefined && specialRequests !== null && typeof specialRequests !== 'string') {
+            throw new AppError(
+                'INVALID_SPECIAL_REQUESTS',
+                'Special requests must be text',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
 
-        return {
-            reservation: cancelledReservation,
-            restaurant: reservationData.restaurant,
+        const requested = {
+            date,
+            time,
+            guests,
+            specialRequests: typeof specialRequests === 'string' ? specialRequests.trim() : specialRequests,
         };
+
+        for (const [field, value] of Object.entries(requested)) {
+            if (value !== undefined && value !== reservation[field]) {
+                fieldChanges[field] = { from: reservation[field], to: value };
+            }
+        }
+
+        return fieldChanges;
+    }
+
+    /**
+     * Secure seats for a modified reservation and release the ones it held before
+     * @returns {Promise<string>} The reservation status after the move
+     * @private
+     */
+    async _moveReservationSlot(current, updated, slotChanged) {
+        const { restaurantId } = current;
+
+        if (current.status === 'waitlisted') {
+            const seatsReserved = await this.availabilityService.reserveSeats(restaurantId, updated.date, updated.time, updated.guests);
+            if (slotChanged || seatsReserved) {
+                await this.availabilityService.removeFromWaitlist(restaurantId, current.date, current.time, current.id);
+            }
+            if (!seatsReserved && slotChanged) {
+                await this.availabilityService.addToWaitlist(restaurantId, updated.date, updated.time, current.id);
+            }
+            return seatsReserved ? 'confirmed' : 'waitlisted';
+        }
+
+        // Same slot: only reserve or release the difference in party size
+        if (!slotChanged) {
+            const delta = updated.guests - current.guests;
+            if (delta > 0) {
+                const seatsReserved = await this.availabilityService.reserveSeats(restaurantId, current.date, current.time, delta);
+                if (!seatsReserved) {
+                    await this._throwSlotUnavailable(updated);
+                }
+            } else if (delta < 0) {
+                await this.availabilityService.releaseSeats(restaurantId, current.date, current.time, -delta);
+                await this._promoteWaitlist(restaurantId, current.date, current.time);
+            }
+            return 'confirmed';
+        }
+
+        const seatsReserved = await this.availabilityService.reserveSeats(restaurantId, updated.date, updated.time, updated.guests);
+        if (!seatsReserved) {
+            await this._throwSlotUnavailable(updated);
+        }
+
+        await this.availabilityService.releaseSeats(restaurantId, current.date, current.time, current.guests);
+        await this._promoteWaitlist(restaurantId, current.date, current.time);
+
+        return 'confirmed';
+    }
+
+    /**
+     * @private
+     */
+    async _throwSlotUnavailable({ restaurantId, date, time, guests }) {
+        const alternatives = await this.availabilityService.findAlternativeSlots(restaurantId, date, time, guests);
+        throw new AppError(
+            'SLOT_UNAVAILABLE',
+            `No tables left for ${guests} guests on ${date} at ${time}`,
+            HttpStatusCode.CONFLICT,
+            null,
+            { alternatives },
+        );
+    }
+
+    /**
+     * Free the seats or waitlist place held by a reservation that is no longer active,
+     * then confirm waitlisted parties that now fit
+     * @private
+     */
+    async _releaseReservationSlot(reservation) {
+        const { id, restaurantId, date, time, status } = reservation;
+
+        if (status === 'waitlisted') {
+            await this.availabilityService.removeFromWaitlist(restaurantId, date, time, id);
+            return;
+        }
+
+        if (status !== 'confirmed') {
+            return;
+        }
+
+        await this.availabilityService.releaseSeats(restaurantId, date, time, parseInt(reservation.guests));
+        await this._promoteWaitlist(restaurantId, date, time);
+    }
+
+    /**
+     * Confirm waitlisted reservations (in FIFO order) for which seats have become available
+     * @private
+     */
+    async _promoteWaitlist(restaurantId, date, time) {
+        const waitlist = await this.availabilityService.getWaitlist(restaurantId, date, time);
+
+        for (const waitlistedId of waitlist) {
+            const waitlisted = await this.reservationRepository.getReservationById(waitlistedId);
+
+            if (!waitlisted || waitlisted.status !== 'waitlisted') {
+                await this.availabilityService.removeFromWaitlist(restaurantId, date, time, waitlistedId);
+                continue;
+            }
+
+            try {
+                const seatsReserved = await this.availabilityService.reserveSeats(
+                    restaurantId, date, time, parseInt(waitlisted.guests),
+                );
+                if (!seatsReserved) {
+                    continue;
+                }
+            } catch (error) {
+                // Slot is no longer bookable (e.g. it is in the past) - leave the waitlist as is
+                console.warn('Could not promote waitlist:', error.message);
+                return;
+            }
+
+            await this.reservationRepository.updateReservationStatus(waitlistedId, 'confirmed');
+            await this.availabilityService.removeFromWaitlist(restaurantId, date, time, waitlistedId);
+        }
     }
 
     /**
@@ -276,8 +652,10 @@ export class ReservationService {
         const summary = {
             totalReservations: reservations.length,
             confirmed: 0,
+            waitlisted: 0,
             cancelled: 0,
             completed: 0,
+            no_show: 0,
             totalGuests: 0,
         };
 
@@ -0,0 +1,311 @@
+import { toOpenApiParameters } from '../../../lib/validation.js';
+import {
+    SEARCH_PARAMS,
+    FACET_PARAMS,
+    POPULAR_PARAMS,
+    NEARBY_PARAMS,
+    RELATED_PARAMS,
+    SUGGEST_PARAMS,
+    AVAILABILITY_PARAMS,
+} from './restaurant-params.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Wrap a data schema in the { success, data } envelope every route responds with
+ */
+const envelope = (data, description) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: {
+                type: 'object',
+                required: ['success', 'data'],
+                properties: {
+                    success: { type: 'boolean', enum: [true] },
+                    data,
+                },
+            },
+        },
+    },
+});
+
+const errorResponses = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    500: { $ref: '#/components/responses/ServerError' },
+};
+
+const idParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Restaurant ID',
+    schema: { type: 'string' },
+};
+
+const restaurantPage = {
+    type: 'object',
+    properties: {
+        restaurants: { type: 'array', items: ref('Restaurant') },
+        hasMore: { type: 'boolean' },
+        pagination: ref('Pagination'),
+    },
+    additionalProperties: true,
+};
+
+const facetValues = { type: 'array', items: ref('FacetValue') };
+
+/**
+ * OpenAPI path items for /api/restaurants
+ */
+export const restaurantPaths = {
+    '/api/restaurants': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'searchRestaurants',
+            summary: 'Search restaurants by text and filters',
+            parameters: toOpenApiParameters(SEARCH_PARAMS),
+            responses: {
+                200: envelope({ ...restaurantPage, properties: { ...restaurantPage.properties, totalResults: { type: 'integer' } } }, 'A page of matching restaurants'),
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/facets': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRestaurantFacets',
+            summary: 'Count matching restaurants per cuisine, city, locality, type, price and rating bucket',
+            parameters: toOpenApiParameters(FACET_PARAMS),
+            responses: {
+                200: envelope({
+                    type: 'object',
+                    properties: {
+                        total: { type: 'integer' },
+                        query: { type: 'string', nullable: true },
+                        facets: {
+                            type: 'object',
+                            properties: {
+                                cuisine: facetValues,
+                                city: facetValues,
+                                locality: facetValues,
+                                type: facetValues,
+                                price: { type: 'array', items: ref('FacetBucket') },
+                                rating: { type: 'array', items: ref('FacetBucket') },
+                            },
+                        },
+                    },
+                }, 'Facet counts'),
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/popular': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getPopularRestaurants',
+            summary: 'Highly rated restaurants, best first',
+            parameters: toOpenApiParameters(POPULAR_PARAMS),
+            responses: {
+                200: envelope(restaurantPage, 'A page of popular restaurants'),
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/filters': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRestaurantFilterOptions',
+            summary: 'Available filter values with restaurant counts',
+            responses: {
+                200: envelope({
+                    type: 'object',
+                    properties: {
+                        cuisines: facetValues,
+                        cities: facetValues,
+                        localities: facetValues,
+                        types: facetValues,
+                        priceRanges: { type: 'array', items: ref('FacetBucket') },
+                        ratingRanges: { type: 'array', items: ref('FacetBucket') },
+                    },
+                }, 'Filter options'),
+                500: errorResponses[500],
+            },
+        },
+    },
+    '/api/restaurants/stats': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRestaurantStats',
+            summary: 'Dataset statistics',
+            responses: {
+                200: envelope({
+                    type: 'object',
+                    properties: {
+                        totalRestaurants: { type: 'integer' },
+                        totalCuisines: { type: 'integer' },
+                        totalCities: { type: 'integer' },
+                        totalTypes: { type: 'integer' },
+                        cuisines: { type: 'array', items: { type: 'string' } },
+                        cities: { type: 'array', items: { type: 'string' } },
+                        types: { type: 'array', items: { type: 'string' } },
+                    },
+                }, 'Statistics'),
+                500: errorResponses[500],
+            },
+        },
+    },
+    '/api/restaurants/location/nearby': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'findNearbyRestaurants',
+            summary: 'Restaurants near a point, with distance in km',
+            parameters: toOpenApiParameters(NEARBY_PARAMS),
+            responses: {
+                200: envelope({ ...restaurantPage, properties: { ...restaurantPage.properties, totalFound: { type: 'integer' } } }, 'A page of nearby restaurants'),
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/suggest': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'suggestRestaurants',
+            summary: 'Autocomplete restaurant names, cuisines, localities and dishes',
+            parameters: toOpenApiParameters(SUGGEST_PARAMS),
+            responses: {
+                200: envelope({
+                    type: 'object',
+                    properties: {
+                        prefix: { type: 'string' },
+                        restaurants: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                },
+                            },
+                        },
+                        cuisines: { type: 'array', items: { type: 'string' } },
+                        localities: { type: 'array', items: { type: 'string' } },
+                        dishes: { type: 'array', items: { type: 'string' } },
+                    },
+                }, 'Suggestions grouped by kind, best first'),
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/related': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRelatedRestaurants',
+            summary: 'Restaurants similar to a restaurant, by vector similarity',
+            parameters: toOpenApiParameters(RELATED_PARAMS),
+            responses: {
+                200: envelope({ type: 'array', items: ref('Restaurant') }, 'Similar restaurants, most similar first'),
+                404: { $ref: '#/components/responses/NotFound' },
+                ...errorResponses,
+            },
+        },
+    },
+    '/api/restaurants/{id}': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRestaurant',
+            summary: 'Get a restaurant by ID',
+            parameters: [idParameter],
+            responses: {
+                200: envelope(ref('Restaurant'), 'The restaurant'),
+                404: { $ref: '#/components/responses/NotFound' },
+                500: errorResponses[500],
+            },
+        },
+    },
+    '/api/restaurants/{id}/availability': {
+        get: {
+            tags: ['Restaurants'],
+            operationId: 'getRestaurantAvailability',
+            summary: 'Bookable slots for a day',
+            parameters: [idParameter, ...toOpenApiParameters(AVAILABILITY_PARAMS)],
+            responses: {
+                200: envelope({
+                    type: 'object',
+                    properties: {
+                        restaurantId: { type: 'string' },
+                        date: { type: 'string', format: 'date' },
+                        isOpen: { type: 'boolean' },
+                        slots: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    time: { type: 'string', example: '19:30' },
+                                    seatsAvailable: { type: 'integer' },
+                                    available: { type: 'boolean' },
+                                },
+                            },
+                        },
+                    },
+                    additionalProperties: true,
+                }, 'Slots for the day'),
+                ...errorResponses,
+            },
+        },
+    },
+};
+
+/**
+ * OpenAPI components referenced by restaurantPaths
+ */
+export const restaurantComponents = {
+    schemas: {
+        Restaurant: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                cuisine: { type: 'string', description: 'Comma separated cuisines' },
+                city: { type: 'string' },
+                locality: { type: 'string' },
+                address: { type: 'string' },
+                type: { type: 'string' },
+                priceFor2: { type: 'number' },
+                rating: { type: 'number' },
+                distanceKm: { type: 'number', description: 'Nearby search only' },
+                semanticScore: { type: 'number', description: 'Vector and related searches only' },
+            },
+            additionalProperties: true,
+        },
+        Pagination: {
+            type: 'object',
+            properties: {
+                total: { type: 'integer' },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                hasMore: { type: 'boolean' },
+                nextOffset: { type: 'integer', nullable: true },
+                nextCursor: { type: 'string', nullable: true },
+            },
+        },
+        FacetValue: {
+            type: 'object',
+            properties: {
+                value: { type: 'string' },
+                count: { type: 'integer' },
+            },
+        },
+        FacetBucket: {
+            type: 'object',
+            properties: {
+                label: { type: 'string' },
+                min: { type: 'number' },
+                max: { type: 'number', nullable: true },
+                count: { type: 'integer' },
+            },
+            additionalProperties: true,
+        },
+    },
+};
@@ -0,0 +1,66 @@
+import { MAX_OFFSET } from '../../../lib/pagination.js';
+import { NEARBY_SORT_OPTIONS } from '../domain/restaurant-service.js';
+
+/**
+ * Query parameter specs for the restaurant API.
+ * Routes validate requests against these and the OpenAPI description at /api/docs is generated from them.
+ */
+
+const FILTER_PARAMS = {
+    cuisine: { type: 'string', maxLength: 100, description: 'Cuisine filter' },
+    city: { type: 'string', maxLength: 100, description: 'City filter' },
+    locality: { type: 'string', maxLength: 100, description: 'Locality filter' },
+    type: { type: 'string', maxLength: 100, description: 'Restaurant type filter' },
+    maxPrice: { type: 'integer', min: 0, description: 'Maximum price for 2' },
+    minRating: { type: 'number', min: 0, max: 5, description: 'Minimum rating' },
+};
+
+const PAGE_PARAMS = {
+    limit: { type: 'integer', min: 1, max: 50, default: 10, description: 'Maximum results' },
+    offset: { type: 'integer', min: 0, max: MAX_OFFSET, default: 0, description: 'Number of results to skip' },
+    cursor: { type: 'string', maxLength: 2048, description: 'pagination.nextCursor from a previous page; repeats that query at the next offset' },
+};
+
+export const SEARCH_PARAMS = {
+    q: { type: 'string', maxLength: 200, description: 'Search text' },
+    ...FILTER_PARAMS,
+    ...PAGE_PARAMS,
+};
+
+export const FACET_PARAMS = {
+    q: SEARCH_PARAMS.q,
+    ...FILTER_PARAMS,
+};
+
+export const POPULAR_PARAMS = {
+    city: FILTER_PARAMS.city,
+    cuisine: FILTER_PARAMS.cuisine,
+    ...PAGE_PARAMS,
+};
+
+export const NEARBY_PARAMS = {
+    lat: { type: 'number', min: -90, max: 90, description: 'Latitude (required unless cursor is given)' },
+    lng: { type: 'number', min: -180, max: 180, description: 'Longitude (required unless cursor is given)' },
+    radius: { type: 'number', min: 0.1, max: 50, default: 5, description: 'Search radius in kilometers' },
+    ...FILTER_PARAMS,
+    sortBy: { type: 'string', enum: NEARBY_SORT_OPTIONS, default: 'distance', description: 'distance, rating, or best (blend of rating and closeness)' },
+    ...PAGE_PARAMS,
+};
+
+export const RELATED_PARAMS = {
+    id: { type: 'string', maxLength: 100, description: 'Restaurant to find similar ones for (required unless exclude is given)' },
+    exclude: { type: 'string', maxLength: 100, description: 'Alias for id' },
+    city: FILTER_PARAMS.city,
+    radius: { type: 'number', min: 0.1, max: 50, description: 'Maximum distance from the restaurant in kilometers' },
+    limit: { type: 'integer', min: 1, max: 20, default: 6, description: 'Maximum results' },
+};
+
+export const SUGGEST_PARAMS = {
+    prefix: { type: 'string', required: true, maxLength: 50, description: 'Text typed so far; fewer than 2 characters returns no suggestions' },
+    limit: { type: 'integer', min: 1, max: 10, default: 5, description: 'Maximum suggestions per group' },
+};
+
+export const AVAILABILITY_PARAMS = {
+    date: { type: 'string', required: true, pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Date (YYYY-MM-DD)' },
+    guests: { type: 'integer', min: 1, max: 50, default: 1, description: 'Party size; slots that cannot seat it are marked unavailable' },
+};
@@ -1,10 +1,26 @@
 import { Router } from 'express';
 import { RestaurantService } from '../domain/restaurant-service.js';
+import { AvailabilityService } from '../../reservations/domain/availability-service.js';
+import { CancellationPolicyService } from '../../reservations/domain/cancellation-policy-service.js';
+import { requireAdmin } from '../../auth/api/auth-middleware.js';
+import { invalidateSemanticCache } from '../../chat/domain/chat-service.js';
 
 import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import { parseQuery } from '../../../lib/validation.js';
+import {
+    SEARCH_PARAMS,
+    FACET_PARAMS,
+    POPULAR_PARAMS,
+    NEARBY_PARAMS,
+    RELATED_PARAMS,
+    SUGGEST_PARAMS,
+    AVAILABILITY_PARAMS,
+} from './restaurant-params.js';
 
 const router = Router();
 const restaurantService = new RestaurantService();
+const availabilityService = new AvailabilityService();
+const cancellationPolicyService = new CancellationPolicyService();
 
 /**
  * GET /api/restaurants - Search restaurants
@@ -17,32 +33,14 @@ const restaurantService = new RestaurantService();
  * - maxPrice: maximum price filter
  * - minRating: minimum rating filter
  * - limit: maximum results (default: 10, max: 50)
+ * - offset: number of results to skip (default: 0)
+ * - cursor: pagination.nextCursor from a previous page; repeats that search at the next offset
  */
 router.get('/', async (req, res, next) => {
     try {
-        const {
-            q: query,
-            cuisine,
-            city,
-            locality,
-            type,
-            maxPrice,
-            minRating,
-            limit,
-        } = req.query;
-
-        const searchParams = {
-            query,
-            cuisine,
-            city,
-            locality,
-            type,
-            maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-            minRating: minRating ? parseFloat(minRating) : undefined,
-            limit: limit ? parseInt(limit) : undefined
-        };
-
-        const result = await restaurantService.searchRestaurants(searchParams);
+        const { q: query, ...searchParams } = parseQuery(req.query, SEARCH_PARAMS);
+
+        const result = await restaurantService.searchRestaurants({ query, ...searchParams });
 
         res.json({
             success: true,
@@ -54,17 +52,62 @@ router.get('/', async (req, res, next) => {
 });
 
 /**
- * GET /api/restaurants/:id - Get restaurant by ID
+ * GET /api/restaurants/facets - Count matching restaurants per cuisine, city, locality, type, price and rating bucket
+ * Query parameters: same q and filters as GET /api/restaurants
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/facets', async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const { q: query, ...filters } = parseQuery(req.query, FACET_PARAMS);
 
-        const restaurant = await restaurantService.getRestaurantById(id);
+        const facets = await restaurantService.getFacets({ query, ...filters });
 
         res.json({
             success: true,
-            data: restaurant,
+            data: facets,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/restaurants/suggest - Autocomplete restaurant names, cuisines, localities and dishes
+ * Query parameters:
+ * - prefix: text typed so far (required)
+ * - limit: maximum suggestions per group (default: 5, max: 10)
+ */
+router.get('/suggest', async (req, res, next) => {
+    try {
+        const { prefix, limit } = parseQuery(req.query, SUGGEST_PARAMS);
+
+        const suggestions = await restaurantService.getSuggestions(prefix, { limit });
+
+        res.json({
+            success: true,
+            data: suggestions,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/restaurants/related - Restaurants similar to a restaurant (vector similarity on its stored embedding)
+ * Query parameters:
+ * - id: restaurant to find similar ones for (required; `exclude` is accepted as an alias)
+ * - city: optional city filter
+ * - radius: optional maximum distance from the restaurant in kilometers
+ * - limit: maximum results (default: 6, max: 20)
+ */
+router.get('/related', async (req, res, next) => {
+    try {
+        const { id, exclude, ...options } = parseQuery(req.query, RELATED_PARAMS);
+
+        const restaurants = await restaurantService.getRelatedRestaurants(id || exclude, options);
+
+        res.json({
+            success: true,
+            data: restaurants,
         });
     } catch (error) {
         next(error);
@@ -77,16 +120,12 @@ router.get('/:id', async (req, res, next) => {
  * - limit: maximum results (default: 10, max: 50)
  * - city: optional city filter
  * - cuisine: optional cuisine filter
+ * - offset: number of results to skip (default: 0)
+ * - cursor: pagination.nextCursor from a previous page
  */
 router.get('/popular', async (req, res, next) => {
     try {
-        const { limit, city, cuisine } = req.query;
-
-        const options = {
-            limit: limit ? parseInt(limit) : 10,
-            city,
-            cuisine,
-        };
+        const options = parseQuery(req.query, POPULAR_PARAMS);
 
         const result = await restaurantService.getPopularRestaurants(options);
 
@@ -134,18 +173,32 @@ router.get('/stats', async (req, res, next) => {
 // ===== GEOSPATIAL ENDPOINTS =====
 
 /**
- * GET /api/restaurants/location/nearby - Get restaurants by location using service
+ * GET /api/restaurants/location/nearby - Get restaurants near a point, with distance in km
  * Query parameters:
  * - lat: latitude (required)
  * - lng: longitude (required)
  * - radius: radius in kilometers (default: 5, max: 50)
+ * - cuisine, city, locality, type: optional filters
+ * - maxPrice: maximum price for 2
+ * - minRating: minimum rating
+ * - sortBy: distance (default), rating, or best (blend of rating and closeness)
  * - limit: maximum results (default: 10, max: 50)
+ * - offset: number of results to skip (default: 0)
+ * - cursor: pagination.nextCursor from a previous page; lat and lng are not needed with a cursor
  */
 router.get('/location/nearby', async (req, res, next) => {
     try {
-        const { lat, lng, radius, limit } = req.query;
+        const { lat, lng, radius, sortBy, limit, cursor, ...filters } = parseQuery(req.query, NEARBY_PARAMS);
+
+        if (cursor) {
+            const result = await restaurantService.findNearbyRestaurants({ cursor, limit });
+            return res.json({
+                success: true,
+                data: result,
+            });
+        }
 
-        if (!lat || !lng) {
+        if (lat === undefined || lng === undefined) {
             throw new AppError(
                 'MISSING_COORDINATES',
                 'Latitude and longitude are required',
@@ -153,17 +206,14 @@ router.get('/location/nearby', async (req, res, next) => {
             );
         }
 
-        const latitude = parseFloat(lat);
-        const longitude = parseFloat(lng);
-        const radiusKm = radius ? parseFloat(radius) : 5;
-        const maxResults = limit ? parseInt(limit) : 10;
-
-        const result = await restaurantService.getRestaurantsByLocation(
-            latitude,
-            longitude,
-            radiusKm,
-            maxResults,
-        );
+        const result = await restaurantService.findNearbyRestaurants({
+            latitude: lat,
+            longitude: lng,
+            radius: radius ?? 5,
+            ...filters,
+            sortBy: sortBy || 'distance',
+            limit: limit ?? 10,
+        });
 
         res.json({
             success: true,
@@ -174,6 +224,133 @@ router.get('/location/nearby', async (req, res, next) => {
     }
 });
 
+// ===== RESTAURANT-SPECIFIC ENDPOINTS =====
+// Declared after every static path above so /:id does not capture them
+
+/**
+ * GET /api/restaurants/:id - Get restaurant by ID
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const restaurant = await restaurantService.getRestaurantById(id);
+
+        res.json({
+            success: true,
+            data: restaurant,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/restaurants/:id/availability - List bookable slots for a day
+ * Query parameters:
+ * - date: date YYYY-MM-DD (required)
+ * - guests: party size; slots that cannot seat it are marked unavailable (default: 1)
+ */
+router.get('/:id/availability', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { date, guests } = parseQuery(req.query, AVAILABILITY_PARAMS);
+
+        const availability = await availabilityService.getAvailability(id, date, guests ?? 1);
+
+        res.json({
+            success: true,
+            data: availability,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/restaurants/:id/capacity - Update seat capacity and opening hours
+ * Body parameters (all optional, merged with current settings):
+ * - seatsPerSlot: seats bookable per time slot
+ * - slotMinutes: slot length in minutes (15-240)
+ * - openingHours: { open: 'HH:MM', close: 'HH:MM' }
+ * - closedDays: weekdays the restaurant is closed (0 = Sunday)
+ * Requires the X-Admin-Key header. Cached chat answers that mention the restaurant are deleted.
+ */
+router.put('/:id/capacity', requireAdmin, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { seatsPerSlot, slotMinutes, openingHours, closedDays } = req.body;
+
+        const capacity = await availabilityService.updateCapacity(id, {
+            ...(seatsPerSlot !== undefined && { seatsPerSlot: parseInt(seatsPerSlot) }),
+            ...(slotMinutes !== undefined && { slotMinutes: parseInt(slotMinutes) }),
+            ...(openingHours !== undefined && { openingHours }),
+            ...(closedDays !== undefined && { closedDays }),
+        });
+
+        // Cached answers may quote the old hours; the update itself stands even if they cannot be purged
+        // (the LangCache backend cannot delete by restaurant)
+        await invalidateSemanticCache([`restaurant:${id}`]).catch(error => {
+            console.warn(`⚠️ Could not purge cached answers for restaurant ${id}:`, error.message);
+        });
 
+        res.json({
+            success: true,
+            data: capacity,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/restaurants/:id/cancellation-policy - Get the restaurant's cancellation policy
+ */
+router.get('/:id/cancellation-policy', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        await restaurantService.getRestaurantById(id);
+        const policy = await cancellationPolicyService.getPolicy(id);
+
+        res.json({
+            success: true,
+            data: policy,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/restaurants/:id/cancellation-policy - Update the restaurant's cancellation policy
+ * Body parameters (all optional, merged with the current policy):
+ * - cutoffHours: free cancellation until this many hours before the reservation
+ * - lateCancellationFee: allow late cancellations with a fee (true) or refuse them (false)
+ * - lateCancellationFeeAmount: fee recorded on late cancellations
+ * - noShowGraceMinutes: minutes after the reservation time before it counts as a no-show
+ * Requires the X-Admin-Key header
+ */
+router.put('/:id/cancellation-policy', requireAdmin, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { cutoffHours, lateCancellationFee, lateCancellationFeeAmount, noShowGraceMinutes } = req.body;
+
+        await restaurantService.getRestaurantById(id);
+        const policy = await cancellationPolicyService.updatePolicy(id, {
+            ...(cutoffHours !== undefined && { cutoffHours: parseFloat(cutoffHours) }),
+            ...(lateCancellationFee !== undefined && { lateCancellationFee: lateCancellationFee === true || lateCancellationFee === 'true' }),
+            ...(lateCancellationFeeAmount !== undefined && { lateCancellationFeeAmount: parseFloat(lateCancellationFeeAmount) }),
+            ...(noShowGraceMinutes !== undefined && { noShowGraceMinutes: parseInt(noShowGraceMinutes) }),
+        });
+
+        res.json({
+            success: true,
+            data: policy,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
 export default router;
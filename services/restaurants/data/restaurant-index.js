@@ -0,0 +1,74 @@
+import { SCHEMA_FIELD_TYPE, SCHEMA_VECTOR_FIELD_ALGORITHM } from 'redis';
+import CONFIG from '../../../config.js';
+
+/**
+ * Storage model for restaurants, shared by the loader, the repository and the startup self-check.
+ * Restaurants are RedisJSON documents under RESTAURANT_KEY_PREFIX; restaurantInfoEmbeddings is a JSON array
+ * of EMBEDDING_DIM floats, which the HNSW field indexes as FLOAT32. EMBEDDING_DIM follows the configured embedding provider.
+ */
+export const RESTAURANT_INDEX_NAME = 'restaurants:search';
+export const RESTAURANT_KEY_PREFIX = 'restaurants:';
+export const EMBEDDING_DIM = CONFIG.embeddings.dimensions;
+
+// Incremented by every load that changes restaurant data; cached chat answers are scoped to the version they were
+// answered from. Kept outside the restaurant key prefix so it is never indexed.
+export const DATASET_VERSION_KEY = 'dataset:restaurants:version';
+
+export const RESTAURANT_INDEX_SCHEMA = {
+    '$.name': {
+        type: SCHEMA_FIELD_TYPE.TEXT,
+        WEIGHT: 2,
+        SORTABLE: true,
+        AS: 'name',
+    },
+    '$.about': {
+        type: SCHEMA_FIELD_TYPE.TEXT,
+        AS: 'about',
+    },
+    '$.knownFor': {
+        type: SCHEMA_FIELD_TYPE.TEXT,
+        AS: 'knownFor',
+    },
+    '$.cuisine': {
+        type: SCHEMA_FIELD_TYPE.TAG,
+        AS: 'cuisine',
+        SEPARATOR: ',',
+    },
+    '$.city': {
+        type: SCHEMA_FIELD_TYPE.TAG,
+        AS: 'city',
+    },
+    '$.locality': {
+        type: SCHEMA_FIELD_TYPE.TAG,
+        AS: 'locality',
+    },
+    '$.type': {
+        type: SCHEMA_FIELD_TYPE.TAG,
+        AS: 'type',
+    },
+    '$.priceFor2': {
+        type: SCHEMA_FIELD_TYPE.NUMERIC,
+        AS: 'priceFor2',
+    },
+    '$.rating': {
+        type: SCHEMA_FIELD_TYPE.NUMERIC,
+        AS: 'rating',
+    },
+    '$.lngLat': {
+        type: SCHEMA_FIELD_TYPE.GEO,
+        AS: 'lngLat',
+    },
+    '$.restaurantInfoEmbeddings': {
+        type: SCHEMA_FIELD_TYPE.VECTOR,
+        TYPE: 'FLOAT32',
+        AS: 'embedding',
+        ALGORITHM: SCHEMA_VECTOR_FIELD_ALGORITHM.HNSW,
+        DISTANCE_METRIC: 'L2',
+        DIM: EMBEDDING_DIM,
+    },
+};
+
+export const RESTAURANT_INDEX_OPTIONS = {
+    ON: 'JSON',
+    PREFIX: RESTAURANT_KEY_PREFIX,
+};
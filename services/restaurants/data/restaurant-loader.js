@@ -1,10 +1,20 @@
-import { createClient, SCHEMA_FIELD_TYPE, SCHEMA_VECTOR_FIELD_ALGORITHM } from 'redis';
+import { createClient } from 'redis';
 
 import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
 import { parse } from 'csv-parse/sync';
 import CONFIG from '../../../config.js';
 
-import { generateEmbeddings } from '../../ai/helpers/embeddings.js';
+import { generateEmbeddings, getEmbeddingModelId } from '../../ai/helpers/embeddings.js';
+import { SUGGESTION_DICTIONARIES } from './suggestion-dictionaries.js';
+import {
+    RESTAURANT_INDEX_NAME,
+    RESTAURANT_KEY_PREFIX,
+    RESTAURANT_INDEX_SCHEMA,
+    RESTAURANT_INDEX_OPTIONS,
+    EMBEDDING_DIM,
+    DATASET_VERSION_KEY,
+} from './restaurant-index.js';
 
 const client = await createClient({
     url: CONFIG.redisUrl,
@@ -13,96 +23,104 @@ const client = await createClient({
 
 // Index creation is now handled in the loadRestaurantsFromCSV function
 
+// Resume point of an interrupted load; kept outside the restaurant key prefix so it is never indexed
+const CHECKPOINT_KEY = 'ingest:restaurants:checkpoint';
+const CHECKPOINT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const INDEXING_TIMEOUT_MS = 10 * 60 * 1000;
+
 /**
- * Create or recreate the restaurant search index
- * @param {boolean} forceRecreate - Whether to drop and recreate the index
+ * Create the restaurant search index, or rebuild it without downtime.
+ * Searches go through the alias RESTAURANT_INDEX_NAME. A rebuild creates a versioned shadow index over the same
+ * documents, waits for it to finish indexing while the current index keeps serving, then swaps the alias over
+ * and drops the old index (keeping its documents).
+ * @param {boolean} forceRecreate - Whether to rebuild the index even if one exists
  */
 export async function createRestaurantIndex(forceRecreate = false) {
     try {
-        if (forceRecreate) {
-            console.log('🗑️ Dropping existing restaurant index...');
-            try {
-                await client.ft.dropIndex('restaurants:search');
-                console.log('✅ Existing index dropped successfully');
-            } catch (e) {
-                if (e.message.includes('Unknown index name')) {
-                    console.log('📋 No existing index to drop');
-                } else {
-                    console.log('⚠️ Error dropping index:', e.message);
-                }
-            }
+        const currentIndex = await getCurrentIndexName();
+
+        if (currentIndex && !forceRecreate) {
+            console.log(`📋 Restaurant search index exists already (${currentIndex}), skipped creation.`);
+            return;
         }
 
-        await client.ft.create('restaurants:search', {
-            '$.name': {
-                type: SCHEMA_FIELD_TYPE.TEXT,
-                SORTABLE: true,
-                AS: 'name',
-            },
-            '$.about': {
-                type: SCHEMA_FIELD_TYPE.TEXT,
-                AS: 'about',
-            },
-            '$.cuisine': {
-                type: SCHEMA_FIELD_TYPE.TAG,
-                AS: 'cuisine',
-                SEPARATOR: ',',
-            },
-            '$.city': {
-                type: SCHEMA_FIELD_TYPE.TAG,
-                AS: 'city',
-            },
-            '$.locality': {
-                type: SCHEMA_FIELD_TYPE.TAG,
-                AS: 'locality',
-            },
-            '$.type': {
-                type: SCHEMA_FIELD_TYPE.TAG,
-                AS: 'type',
-            },
-            '$.priceFor2': {
-                type: SCHEMA_FIELD_TYPE.NUMERIC,
-                AS: 'priceFor2',
-            },
-            '$.rating': {
-                type: SCHEMA_FIELD_TYPE.NUMERIC,
-                AS: 'rating',
-            },
-            '$.lngLat': {
-                type: SCHEMA_FIELD_TYPE.GEO,
-                AS: 'lngLat',
-            },
-            '$.restaurantInfoEmbeddings': {
-                type: SCHEMA_FIELD_TYPE.VECTOR,
-                TYPE: 'FLOAT32',
-                AS: 'embedding',
-                ALGORITHM: SCHEMA_VECTOR_FIELD_ALGORITHM.HNSW,
-                DISTANCE_METRIC: 'L2',
-                DIM: 1536,
-            }
-        }, {
-            ON: 'JSON',
-            PREFIX: 'restaurants:',
-        });
-        console.log('✅ Restaurant search index with geospatial support created successfully');
-    } catch (e) {
-        if (e.message === 'Index already exists') {
-            console.log('📋 Restaurant search index exists already, skipped creation.');
+        const nextIndex = `${RESTAURANT_INDEX_NAME}:v${Date.now()}`;
+        console.log(`🏗️ Building restaurant search index ${nextIndex}...`);
+        await client.ft.create(nextIndex, RESTAURANT_INDEX_SCHEMA, RESTAURANT_INDEX_OPTIONS);
+        await waitForIndexing(nextIndex);
+
+        if (!currentIndex) {
+            await client.ft.aliasAdd(RESTAURANT_INDEX_NAME, nextIndex);
+        } else if (currentIndex === RESTAURANT_INDEX_NAME) {
+            // One-time migration from an index created under the alias name itself
+            await client.ft.dropIndex(currentIndex);
+            await client.ft.aliasAdd(RESTAURANT_INDEX_NAME, nextIndex);
         } else {
-            console.error('❌ Error creating restaurant search index:', e);
-            throw e;
+            await client.ft.aliasUpdate(RESTAURANT_INDEX_NAME, nextIndex);
+        }
+        console.log(`✅ ${RESTAURANT_INDEX_NAME} now points at ${nextIndex}`);
+
+        // Drop the replaced index and any shadow left behind by an interrupted rebuild; documents are kept
+        const staleIndexes = (await client.ft._list())
+            .filter(name => name !== nextIndex && (name === currentIndex || name.startsWith(`${RESTAURANT_INDEX_NAME}:v`)));
+        for (const name of staleIndexes) {
+            await client.ft.dropIndex(name);
+            console.log(`🗑️ Dropped old index ${name}`);
         }
+    } catch (e) {
+        console.error('❌ Error creating restaurant search index:', e);
+        throw e;
     }
 }
 
 /**
- * Memory-optimized restaurant loader that processes data in smaller batches
+ * Name of the index RESTAURANT_INDEX_NAME resolves to, or null if there is none
+ */
+async function getCurrentIndexName() {
+    try {
+        const info = await client.ft.info(RESTAURANT_INDEX_NAME);
+        return info.index_name;
+    } catch (e) {
+        if (/unknown index name|no such index/i.test(e.message)) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Wait until an index has finished its background scan of existing documents
+ */
+async function waitForIndexing(indexName) {
+    const deadline = Date.now() + INDEXING_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        const info = await client.ft.info(indexName);
+        if (Number(info.indexing) === 0) {
+            console.log(`📊 ${indexName} indexed ${info.num_docs} restaurants`);
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    throw new Error(`Timed out waiting for ${indexName} to finish indexing`);
+}
+
+/**
+ * Upsert restaurants from a CSV file, in batches.
+ * Rows whose content is unchanged are skipped, rows whose embedding text is unchanged keep their stored
+ * embedding, and restaurants missing from the CSV are deleted once every row is written. Documents are
+ * replaced one by one, so the index never goes empty while loading. Progress is checkpointed after each
+ * batch; running the same load again after a failure resumes from the last completed batch.
  * @param {string} csvFilePath - Path to the CSV file
  * @param {number} batchSize - Number of restaurants to process at once (default: 50)
- * @param {number} maxRestaurants - Maximum number of restaurants to load (default: 7000)
- * @param {boolean} recreateIndex - Whether to recreate the search index (default: false)
+ * @param {number} maxRestaurants - Maximum number of restaurants to load (default: 4000)
+ * @param {boolean} recreateIndex - Whether to rebuild the search index behind its alias (default: false)
+ * @param {Object} options - Load options
+ * @param {boolean} options.restart - Ignore any checkpoint and start from the first row
+ * @returns {Promise<Object>} Counts of inserted, updated, unchanged, re-embedded and deleted restaurants, and the dataset version before and after
  */
-export async function loadRestaurantsFromCSV(csvFilePath, batchSize = 50, maxRestaurants = 4000, recreateIndex = false) {
+export async function loadRestaurantsFromCSV(csvFilePath, batchSize = 50, maxRestaurants = 4000, recreateIndex = false, { restart = false } = {}) {
     try {
         console.log('📋 Reading restaurant CSV file:', csvFilePath);
 
@@ -143,7 +161,7 @@ export async function loadRestaurantsFromCSV(csvFilePath, batchSize = 50, maxRes
             })
             .slice(0, maxRestaurants) // Limit number of restaurants
             .map(record => ({
-                id: record.id?.trim() || generateId(),
+                id: record.id?.trim() || generateId(record),
                 name: record.Name?.trim(),
                 cuisine: cleanCuisineData(record.Cuisine) || 'Multi-Cuisine',
                 city: record.City?.trim() || '',
@@ -165,118 +183,83 @@ export async function loadRestaurantsFromCSV(csvFilePath, batchSize = 50, maxRes
                 deliveryRatingCount: parseInt(record.Delivery_Rating_Count) || 0,
             }));
 
-        console.log(`✅ Processing ${restaurants.length} restaurants in batches...`);
+        console.log(`✅ Upserting ${restaurants.length} restaurants in batches...`);
 
-        // Clear existing data first (optional)
-        console.log('🧹 Clearing existing restaurant data...');
-        const existingKeys = await client.keys('restaurants:*');
-        if (existingKeys.length > 0) {
-            // Delete in chunks to avoid memory issues
-            for (let i = 0; i < existingKeys.length; i += 1000) {
-                const chunk = existingKeys.slice(i, i + 1000);
-                await client.del(...chunk);
-            }
+        // A checkpoint only applies to the exact same source and settings
+        const fingerprint = hashText(`${csvData}|${maxRestaurants}|${getEmbeddingModelId()}`);
+        const checkpoint = restart ? null : await readCheckpoint(fingerprint);
+        const stats = checkpoint?.stats || { inserted: 0, updated: 0, unchanged: 0, reembedded: 0, deleted: 0, failed: 0 };
+        const startIndex = checkpoint?.nextIndex || 0;
+
+        if (checkpoint) {
+            console.log(`⏯️ Resuming from restaurant ${startIndex} (checkpoint from ${checkpoint.updatedAt})`);
         }
 
-        // Process restaurants in batches
-        let totalProcessed = 0;
+        // Restaurants stored as hashes by older loaders cannot be overwritten with JSON.SET
+        const legacyKeys = new Set(await scanRestaurantKeys('hash'));
+
         const cuisines = new Set();
         const cities = new Set();
         const localities = new Set();
-        
-        for (let i = 0; i < restaurants.length; i += batchSize) {
+        restaurants.forEach(restaurant => {
+            cuisines.add(restaurant.cuisine);
+            if (restaurant.city) cities.add(restaurant.city);
+            if (restaurant.locality) localities.add(restaurant.locality);
+        });
+
+        for (let i = startIndex; i < restaurants.length; i += batchSize) {
             const batch = restaurants.slice(i, i + batchSize);
             console.log(`📤 Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(restaurants.length/batchSize)} (${batch.length} items)`);
-            
-            // Generate embeddings for the batch - combining key semantic fields with fallbacks
-            const textsForEmbedding = batch.map(restaurant => {
-                // Primary fields (always present)
-                const primary = `${restaurant.name} ${restaurant.cuisine} ${restaurant.knownFor}`;
-
-                // Secondary fields (with fallbacks for missing data)
-                const about = restaurant.about || `${restaurant.cuisine} restaurant serving ${restaurant.knownFor}`;
-                const facilities = restaurant.facilities || 'dining restaurant with standard amenities';
-                const city = restaurant.city || 'Delhi';
-                const locality = restaurant.locality || 'restaurant location';
-                const type = restaurant.type || 'restaurant';
-
-                // Combine all fields for rich semantic context
-                return `${primary} ${type} ${about} ${facilities} ${city} ${locality}`.replace(/\s+/g, ' ').trim();
-            });
-            
-            const embeddings = await generateEmbeddings(textsForEmbedding);
-            
-            const pipeline = client.multi();
-
-            for (let j = 0; j < batch.length; j++) {
-                const restaurant = batch[j];
-                const embedding = embeddings[j];
-
-                // Store restaurant with embeddings and geospatial data
-                const restaurantData = {
-                    id: restaurant.id,
-                    name: restaurant.name,
-                    cuisine: restaurant.cuisine,
-                    city: restaurant.city,
-                    locality: restaurant.locality,
-                    address: restaurant.address,
-                    // Store location in Redis Search GEO format (longitude,latitude string)
-                    lngLat: `${restaurant.longitude},${restaurant.latitude}`,
-                    rating: restaurant.rating,
-                    priceFor2: restaurant.priceFor2,
-                    type: restaurant.type,
-                    about: restaurant.about,
-                    facilities: restaurant.facilities,
-                    knownFor: restaurant.knownFor,
-                    contact: restaurant.contact,
-                    website: restaurant.website,
-                    voteCount: restaurant.voteCount,
-                    diningReviewCount: restaurant.diningReviewCount,
-                    deliveryRating: restaurant.deliveryRating,
-                    deliveryRatingCount: restaurant.deliveryRatingCount,
-                    restaurantInfoEmbeddings: embedding,
-                };
-
-                // Use HSET instead of JSON.SET for compatibility
-                const flatData = {
-                    ...restaurantData,
-                    restaurantInfoEmbeddings: JSON.stringify(embedding),
-                };
-                pipeline.hset(`restaurants:${restaurant.id}`, flatData);
-
-                cuisines.add(restaurant.cuisine);
-                if (restaurant.city) cities.add(restaurant.city);
-                if (restaurant.locality) localities.add(restaurant.locality);
-            }
 
             try {
-                const results = await pipeline.exec();
-                console.log(`📊 Pipeline executed with ${results.length} operations`);
-
-                totalProcessed += batch.length;
-                console.log(`✅ Batch completed. Total processed: ${totalProcessed}`);
-
-                // Add small delay to prevent overwhelming Redis
-                await new Promise(resolve => setTimeout(resolve, 100));
+                const batchStats = await upsertBatch(batch, legacyKeys);
+                Object.keys(batchStats).forEach(stat => { stats[stat] += batchStats[stat]; });
 
+                await writeCheckpoint(fingerprint, i + batchSize, stats);
+                console.log(`✅ Batch completed: ${batchStats.inserted} new, ${batchStats.updated} updated (${batchStats.reembedded} re-embedded), ${batchStats.unchanged} unchanged`);
             } catch (error) {
+                // Stop here so the next run resumes from this batch instead of leaving a gap
                 console.error(`❌ Error processing batch starting at index ${i}:`, error);
-                console.error('Error details:', error.stack);
-                // Continue with next batch instead of failing completely
-                continue;
+                console.error(`💡 Run the same load again to resume from restaurant ${i}`);
+                throw error;
             }
         }
 
+        // Remove restaurants that are no longer in the source
+        const sourceKeys = new Set(restaurants.map(restaurant => `${RESTAURANT_KEY_PREFIX}${restaurant.id}`));
+        const staleKeys = [...await scanRestaurantKeys('ReJSON-RL'), ...legacyKeys].filter(key => !sourceKeys.has(key));
+        for (let i = 0; i < staleKeys.length; i += 1000) {
+            await client.del(staleKeys.slice(i, i + 1000));
+        }
+        stats.deleted += staleKeys.length;
+
+        const suggestionCounts = await loadSuggestionDictionaries(restaurants);
+        await client.del(CHECKPOINT_KEY);
+
+        // Answers cached from the previous data must no longer be served
+        const previousDatasetVersion = Number(await client.get(DATASET_VERSION_KEY)) || 0;
+        const datasetVersion = stats.inserted + stats.updated + stats.deleted > 0
+            ? await client.incr(DATASET_VERSION_KEY)
+            : previousDatasetVersion;
+
         console.log('🎉 Restaurants successfully loaded into Redis!');
         console.log(`📊 Final Statistics:`);
-        console.log(`   - Restaurants loaded: ${totalProcessed}`);
+        console.log(`   - Restaurants in source: ${restaurants.length}`);
+        console.log(`   - Inserted: ${stats.inserted}, updated: ${stats.updated}, unchanged: ${stats.unchanged}, deleted: ${stats.deleted}`);
+        console.log(`   - Embeddings generated: ${stats.reembedded}`);
+        console.log(`   - Dataset version: ${datasetVersion}${datasetVersion !== previousDatasetVersion ? ` (was ${previousDatasetVersion})` : ' (unchanged)'}`);
         console.log(`   - Cuisines: ${cuisines.size}`);
         console.log(`   - Cities: ${cities.size}`);
         console.log(`   - Localities: ${localities.size}`);
+        console.log(`   - Autocomplete suggestions: ${Object.entries(suggestionCounts).map(([group, count]) => `${count} ${group}`).join(', ')}`);
 
         return {
             success: true,
-            restaurantsLoaded: totalProcessed,
+            restaurantsLoaded: restaurants.length,
+            ...stats,
+            resumedFrom: checkpoint ? startIndex : null,
+            datasetVersion,
+            previousDatasetVersion,
             cuisines: cuisines.size,
             cities: cities.size,
             localities: localities.size,
@@ -288,6 +271,236 @@ export async function loadRestaurantsFromCSV(csvFilePath, batchSize = 50, maxRes
     }
 }
 
+/**
+ * Write one batch of restaurants, embedding only those whose embedding text changed
+ * @param {Array<Object>} batch - Restaurants from the CSV
+ * @param {Set<string>} legacyKeys - Keys still stored as hashes; replaced and removed from the set
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number, reembedded: number}>}
+ */
+async function upsertBatch(batch, legacyKeys) {
+    const keys = batch.map(restaurant => `${RESTAURANT_KEY_PREFIX}${restaurant.id}`);
+    const documents = batch.map(restaurant => toDocument(restaurant));
+
+    const jsonKeys = keys.filter(key => !legacyKeys.has(key));
+    const storedIngest = jsonKeys.length > 0 ? await client.json.mGet(jsonKeys, '$.ingest') : [];
+    // null for a missing key; [] for a document written before ingest hashes were stored
+    const existing = new Set(jsonKeys.filter((key, index) => storedIngest[index] !== null));
+    const stored = new Map(jsonKeys.map((key, index) => [key, storedIngest[index]?.[0] || null]));
+
+    const stats = { inserted: 0, updated: 0, unchanged: 0, reembedded: 0 };
+    const toWrite = [];
+    const toEmbed = [];
+    const reusable = [];
+
+    documents.forEach((document, index) => {
+        const key = keys[index];
+        const previous = stored.get(key);
+
+        if (previous?.sourceHash === document.ingest.sourceHash && !legacyKeys.has(key)) {
+            stats.unchanged++;
+            return;
+        }
+
+        stats[existing.has(key) || legacyKeys.has(key) ? 'updated' : 'inserted']++;
+        toWrite.push({ key, document });
+
+        if (previous?.embeddingHash === document.ingest.embeddingHash) {
+            reusable.push({ key, document });
+        } else {
+            toEmbed.push({ key, document });
+        }
+    });
+
+    if (reusable.length > 0) {
+        const embeddings = await client.json.mGet(reusable.map(({ key }) => key), '$.restaurantInfoEmbeddings');
+        reusable.forEach(({ document }, index) => {
+            const embedding = embeddings[index]?.[0];
+            if (Array.isArray(embedding) && embedding.length === EMBEDDING_DIM) {
+                document.restaurantInfoEmbeddings = embedding;
+            } else {
+                toEmbed.push({ document });
+            }
+        });
+    }
+
+    if (toEmbed.length > 0) {
+        const embeddings = await generateEmbeddings(toEmbed.map(({ document }) => buildEmbeddingText(document)));
+
+        toEmbed.forEach(({ document }, index) => {
+            document.restaurantInfoEmbeddings = embeddings[index];
+        });
+        stats.reembedded = toEmbed.length;
+    }
+
+    if (toWrite.length > 0) {
+        const pipeline = client.multi();
+        for (const { key, document } of toWrite) {
+            if (legacyKeys.has(key)) {
+                pipeline.del(key);
+                legacyKeys.delete(key);
+            }
+            // JSON documents, matching the ON JSON index; the embedding stays a float array for the HNSW field
+            pipeline.json.set(key, '$', document);
+        }
+        await pipeline.exec();
+    }
+
+    return stats;
+}
+
+/**
+ * Build the stored JSON document for a restaurant, with hashes of its content and embedding text
+ */
+function toDocument(restaurant) {
+    const { latitude, longitude, ...fields } = restaurant;
+    const document = {
+        ...fields,
+        // Store location in Redis Search GEO format (longitude,latitude string)
+        lngLat: `${longitude},${latitude}`,
+    };
+
+    return {
+        ...document,
+        ingest: {
+            sourceHash: hashText(JSON.stringify(document)),
+            // Switching embedding provider or model changes this hash, so every restaurant is re-embedded
+            embeddingHash: hashText(`${getEmbeddingModelId()}|${buildEmbeddingText(document)}`),
+            updatedAt: new Date().toISOString(),
+        },
+    };
+}
+
+/**
+ * Text a restaurant's embedding is generated from - combining key semantic fields with fallbacks
+ */
+function buildEmbeddingText(restaurant) {
+    // Primary fields (always present)
+    const primary = `${restaurant.name} ${restaurant.cuisine} ${restaurant.knownFor}`;
+
+    // Secondary fields (with fallbacks for missing data)
+    const about = restaurant.about || `${restaurant.cuisine} restaurant serving ${restaurant.knownFor}`;
+    const facilities = restaurant.facilities || 'dining restaurant with standard amenities';
+    const city = restaurant.city || 'Delhi';
+    const locality = restaurant.locality || 'restaurant location';
+    const type = restaurant.type || 'restaurant';
+
+    // Combine all fields for rich semantic context
+    return `${primary} ${type} ${about} ${facilities} ${city} ${locality}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * All restaurant document keys of a Redis type
+ */
+async function scanRestaurantKeys(type) {
+    const keys = [];
+    for await (const batch of client.scanIterator({ MATCH: `${RESTAURANT_KEY_PREFIX}*`, TYPE: type, COUNT: 1000 })) {
+        keys.push(...batch);
+    }
+    return keys;
+}
+
+async function readCheckpoint(fingerprint) {
+    const checkpoint = await client.json.get(CHECKPOINT_KEY);
+    return checkpoint?.fingerprint === fingerprint ? checkpoint : null;
+}
+
+async function writeCheckpoint(fingerprint, nextIndex, stats) {
+    await client.json.set(CHECKPOINT_KEY, '$', {
+        fingerprint,
+        nextIndex,
+        stats,
+        updatedAt: new Date().toISOString(),
+    });
+    await client.expire(CHECKPOINT_KEY, CHECKPOINT_TTL_SECONDS);
+}
+
+function hashText(text) {
+    return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Rebuild the autocomplete suggestion dictionaries from the loaded restaurants.
+ * Restaurant names are scored by rating and carry their ID as payload; cuisines, localities and
+ * dishes (from knownFor) are scored by how many restaurants have them.
+ * @param {Array<Object>} restaurants - Restaurants as loaded
+ * @returns {Promise<Object<string, number>>} Number of suggestions per dictionary
+ */
+async function loadSuggestionDictionaries(restaurants) {
+    console.log('🔤 Building autocomplete suggestion dictionaries...');
+
+    // Chains share a name, so repeated names get their locality appended to keep each one pickable
+    const nameCounts = countValues(restaurants.map(restaurant => restaurant.name));
+    const restaurantSuggestions = restaurants.map(restaurant => ({
+        string: nameCounts.get(restaurant.name.toLowerCase()).count > 1 && restaurant.locality
+            ? `${restaurant.name}, ${restaurant.locality}`
+            : restaurant.name,
+        score: restaurant.rating || 1,
+        payload: restaurant.id,
+    }));
+
+    const toSuggestions = counts => [...counts.values()].map(({ value, count }) => ({ string: value, score: count }));
+    const dictionaries = {
+        restaurants: restaurantSuggestions,
+        cuisines: toSuggestions(countValues(restaurants.flatMap(restaurant => restaurant.cuisine.split(',')))),
+        localities: toSuggestions(countValues(restaurants.map(restaurant => restaurant.locality))),
+        dishes: toSuggestions(countValues(restaurants.flatMap(restaurant => extractDishes(restaurant.knownFor)))),
+    };
+
+    // Each dictionary is built under a temporary key and renamed over the live one, so autocomplete keeps working
+    const suggestionCounts = {};
+    for (const [group, suggestions] of Object.entries(dictionaries)) {
+        const key = `${SUGGESTION_DICTIONARIES[group]}:next`;
+        await client.del(key);
+
+        for (let i = 0; i < suggestions.length; i += 500) {
+            await Promise.all(suggestions.slice(i, i + 500).map(({ string, score, payload }) =>
+                client.ft.sugAdd(key, string, score, payload ? { PAYLOAD: payload } : undefined)
+            ));
+        }
+        if (suggestions.length > 0) {
+            await client.rename(key, SUGGESTION_DICTIONARIES[group]);
+        } else {
+            await client.del(SUGGESTION_DICTIONARIES[group]);
+        }
+        suggestionCounts[group] = suggestions.length;
+    }
+
+    return suggestionCounts;
+}
+
+/**
+ * Count values case-insensitively, keeping the first spelling seen
+ * @returns {Map<string, {value: string, count: number}>}
+ */
+function countValues(values) {
+    const counts = new Map();
+    for (const rawValue of values) {
+        const value = rawValue?.trim();
+        if (!value) continue;
+
+        const entry = counts.get(value.toLowerCase()) || { value, count: 0 };
+        entry.count++;
+        counts.set(value.toLowerCase(), entry);
+    }
+    return counts;
+}
+
+/**
+ * Pull dish names out of knownFor.
+ * knownFor is either "dish, dish | feature, feature" or free text, so only the part before "|" lists dishes.
+ */
+function extractDishes(knownFor) {
+    if (!knownFor || !knownFor.includes('|')) {
+        return [];
+    }
+
+    return knownFor
+        .split('|')[0]
+        .split(',')
+        .map(dish => dish.trim())
+        .filter(dish => dish.length >= 3 && dish.length <= 40 && dish.split(/\s+/).length <= 5);
+}
+
 /**
  * Check Redis memory usage and provide recommendations
  */
@@ -324,9 +537,9 @@ export async function checkRedisMemory() {
     }
 }
 
-// Helper function to generate unique IDs
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Helper function to derive a stable ID for rows without one, so reloads update rather than duplicate them
+function generateId(record) {
+    return hashText(`${record.Name}|${record.Address}|${record.Latitude}|${record.Longitude}`).slice(0, 16);
 }
 
 /**
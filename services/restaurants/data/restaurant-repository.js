@@ -1,20 +1,30 @@
-import { createClient } from 'redis';
+import { createClient, FT_AGGREGATE_STEPS, FT_AGGREGATE_GROUP_BY_REDUCERS } from 'redis';
 import { AppError, HttpStatusCode } from '../../../lib/errors.js';
 import CONFIG from '../../../config.js';
+import { SUGGESTION_DICTIONARIES } from './suggestion-dictionaries.js';
+import { RESTAURANT_INDEX_NAME, RESTAURANT_KEY_PREFIX, DATASET_VERSION_KEY } from './restaurant-index.js';
+import { MAX_OFFSET } from '../../../lib/pagination.js';
 
 const client = await createClient({
     url: CONFIG.redisUrl,
 }).on('error', (err) => console.log('Redis Client Error', err))
   .connect();
 
+// Weights of rating and closeness in the "best nearby" sort
+const BEST_NEARBY_WEIGHTS = { rating: 0.6, distance: 0.4 };
+
+// Candidates each ranking contributes to hybrid fusion. Fixed to the deepest reachable page
+// (largest offset plus largest page size) so every page is sliced from the same fused ranking.
+const HYBRID_CANDIDATE_DEPTH = MAX_OFFSET + 50;
+
 /**
  * Restaurant Repository - Data access layer for restaurant operations
  * Handles all Redis operations for restaurant data
  */
 export class RestaurantRepository {
     constructor() {
-        this.keyPrefix = 'restaurants:';
-        this.indexName = 'restaurants:search';
+        this.keyPrefix = RESTAURANT_KEY_PREFIX;
+        this.indexName = RESTAURANT_INDEX_NAME;
     }
 
     /**
@@ -48,7 +58,9 @@ export class RestaurantRepository {
      * @param {number} searchParams.maxPrice - Maximum price filter
      * @param {number} searchParams.minRating - Minimum rating filter
      * @param {number} searchParams.limit - Maximum results
-     * @returns {Promise<Array>} Array of restaurants
+     * @param {number} searchParams.offset - Number of results to skip
+     * @param {'rating'} [searchParams.sortBy] - Sort by rating instead of text relevance
+     * @returns {Promise<{restaurants: Array, total: number}>} Page of restaurants and total matches
      */
     async searchRestaurants({
         query = '*',
@@ -59,176 +71,511 @@ export class RestaurantRepository {
         maxPrice,
         minRating,
         limit = 10,
+        offset = 0,
+        sortBy,
     }) {
         let searchQuery = query === '' ? '*' : query;
-        let filters = [];
+        const filters = this._buildFilters({ cuisine, city, locality, type, maxPrice, minRating });
 
-        // Add filters
-        if (cuisine) {
-            filters.push(`@cuisine:{${cuisine}}`);
-        }
-        if (city) {
-            filters.push(`@city:{${city}}`);
-        }
-        if (locality) {
-            filters.push(`@locality:{${locality}}`);
-        }
-        if (type) {
-            filters.push(`@type:{${type}}`);
-        }
-        if (maxPrice) {
-            filters.push(`@priceFor2:[0 ${maxPrice}]`);
-        }
-        if (minRating) {
-            filters.push(`@rating:[${minRating} +inf]`);
-        }
-        console.log('limit inside searchRestaurants:', limit);
         // Combine query and filters
         const fullQuery = filters.length > 0
             ? `${searchQuery} ${filters.join(' ')}`
             : searchQuery;
 
         const searchResults = await client.ft.search(this.indexName, fullQuery, {
-            LIMIT: { from: 0, size: limit },
+            ...(sortBy === 'rating' && { SORTBY: { BY: 'rating', DIRECTION: 'DESC' } }),
+            LIMIT: { from: offset, size: limit },
             RETURN: ['name', 'cuisine', 'city', 'locality', 'type', 'priceFor2', 'rating', 'about'],
         });
 
-        return searchResults.documents.map(doc => ({
-            id: doc.id.replace(this.keyPrefix, ''),
-            ...doc.value
-        }));
+        return {
+            restaurants: searchResults.documents.map(doc => ({
+                id: doc.id.replace(this.keyPrefix, ''),
+                ...doc.value
+            })),
+            total: searchResults.total,
+        };
     }
 
     /**
      * Vector search restaurants using semantic search
      * @param {Array<number>} queryVector - Query embedding vector
-     * @param {number} limit - Maximum results
-     * @param {number} threshold - Similarity threshold
-     * @returns {Promise<Array>} Array of restaurants with similarity scores
+     * @param {Object} options - Search options and filters
+     * @param {number} options.limit - Maximum results
+     * @param {number} options.offset - Number of results to skip
+     * @returns {Promise<{restaurants: Array, total: number}>} Page of restaurants with similarity scores, and the number of restaurants matching the filters
      */
     async vectorSearchRestaurants(queryVector, options = {}) {
         const {
             limit = 10,
+            offset = 0,
+        } = options;
+
+        const filters = this._buildFilters(options);
+        let filterQuery = filters.length > 0 ? filters.join(' ') : '*';
+        // KNN has to reach past the skipped results; ordering by similarity keeps pages stable
+        let vectorQuery = `(${filterQuery})=>[KNN ${offset + limit} @embedding $query_vector AS score]`;
+
+        const [searchResults, total] = await Promise.all([
+            client.ft.search(this.indexName, vectorQuery, {
+                PARAMS: {
+                    query_vector: Buffer.from(new Float32Array(queryVector).buffer)
+                },
+                SORTBY: 'score',
+                LIMIT: { from: offset, size: limit },
+                RETURN: ['name', 'cuisine', 'city', 'locality', 'type', 'priceFor2', 'rating', 'about', 'knownFor', 'score'],
+                DIALECT: 2, // <-- important for hybrid/vector search
+            }),
+            this._countMatches(filterQuery),
+        ]);
+
+        return {
+            restaurants: searchResults.documents.map(doc => ({
+                id: doc.id.replace(this.keyPrefix, ''),
+                ...doc.value,
+                semanticScore: parseFloat(doc.value.score || 0)
+            })),
+            total,
+        };
+    }
+
+    /**
+     * Hybrid search: fuse full-text (BM25) relevance on name, about and knownFor with vector
+     * similarity using weighted reciprocal rank fusion (RRF)
+     * @param {string} queryText - Search query text
+     * @param {Array<number>} queryVector - Query embedding vector
+     * @param {Object} options - Search options; accepts the same filters as vectorSearchRestaurants
+     * @param {number} [options.limit] - Maximum results
+     * @param {number} [options.offset] - Number of fused results to skip; every offset pages through the same
+     * fused ranking of the top HYBRID_CANDIDATE_DEPTH results from each list
+     * @param {number} [options.textWeight] - Weight of the full-text ranking
+     * @param {number} [options.vectorWeight] - Weight of the vector ranking
+     * @param {number} [options.rrfK] - RRF rank constant; larger values flatten the difference between top ranks
+     * @returns {Promise<{restaurants: Array, total: number}>} Page of restaurants ordered by hybrid score, each with a
+     * scoreBreakdown, and the number of restaurants matching the filters (every one of them is ranked by similarity)
+     */
+    async hybridSearchRestaurants(queryText, queryVector, options = {}) {
+        const {
+            limit = 10,
+            offset = 0,
+            textWeight = CONFIG.hybridSearch.textWeight,
+            vectorWeight = CONFIG.hybridSearch.vectorWeight,
+            rrfK = CONFIG.hybridSearch.rrfK,
+        } = options;
+
+        const filters = this._buildFilters(options);
+        const filterQuery = filters.length > 0 ? filters.join(' ') : '*';
+        const terms = this._tokenize(queryText);
+        const returnFields = ['name', 'cuisine', 'city', 'locality', 'type', 'priceFor2', 'rating', 'about', 'knownFor'];
+
+        const [textResults, vectorResults, total] = await Promise.all([
+            terms.length > 0
+                ? client.ft.search(this.indexName, `@name|about|knownFor:(${terms.join('|')}) ${filters.join(' ')}`.trim(), {
+                    SCORER: 'BM25',
+                    LIMIT: { from: 0, size: HYBRID_CANDIDATE_DEPTH },
+                    RETURN: returnFields,
+                    DIALECT: 2,
+                })
+                : { documents: [] },
+            client.ft.search(this.indexName, `(${filterQuery})=>[KNN ${HYBRID_CANDIDATE_DEPTH} @embedding $query_vector AS score]`, {
+                PARAMS: {
+                    query_vector: Buffer.from(new Float32Array(queryVector).buffer)
+                },
+                SORTBY: 'score',
+                LIMIT: { from: 0, size: HYBRID_CANDIDATE_DEPTH },
+                RETURN: [...returnFields, 'score'],
+                DIALECT: 2,
+            }),
+            this._countMatches(filterQuery),
+        ]);
+
+        const fused = new Map();
+        const getEntry = (doc) => {
+            const id = doc.id.replace(this.keyPrefix, '');
+            if (!fused.has(id)) {
+                const { score, ...fields } = doc.value;
+                fused.set(id, {
+                    restaurant: { id, ...fields },
+                    scoreBreakdown: {
+                        textRank: null,
+                        textScore: 0,
+                        vectorRank: null,
+                        vectorScore: 0,
+                        vectorDistance: null,
+                        hybridScore: 0,
+                    },
+                });
+            }
+            return fused.get(id);
+        };
+
+        textResults.documents.forEach((doc, index) => {
+            const { scoreBreakdown } = getEntry(doc);
+            scoreBreakdown.textRank = index + 1;
+            scoreBreakdown.textScore = textWeight / (rrfK + index + 1);
+        });
+
+        vectorResults.documents.forEach((doc, index) => {
+            const { scoreBreakdown } = getEntry(doc);
+            scoreBreakdown.vectorRank = index + 1;
+            scoreBreakdown.vectorScore = vectorWeight / (rrfK + index + 1);
+            scoreBreakdown.vectorDistance = parseFloat(doc.value.score || 0);
+        });
+
+        const restaurants = Array.from(fused.values())
+            .map(({ restaurant, scoreBreakdown }) => {
+                scoreBreakdown.hybridScore = scoreBreakdown.textScore + scoreBreakdown.vectorScore;
+                return {
+                    ...restaurant,
+                    semanticScore: scoreBreakdown.vectorDistance,
+                    scoreBreakdown,
+                };
+            })
+            .sort((a, b) => b.scoreBreakdown.hybridScore - a.scoreBreakdown.hybridScore)
+            .slice(offset, offset + limit);
+
+        return { restaurants, total };
+    }
+
+    /**
+     * Search restaurants within a radius, with filters applied in the Redis query
+     * @param {Object} options - Search options
+     * @param {number} options.latitude - Latitude of the search center
+     * @param {number} options.longitude - Longitude of the search center
+     * @param {number} options.radiusKm - Radius in kilometers
+     * @param {string} options.cuisine - Cuisine filter
+     * @param {string} options.city - City filter
+     * @param {string} options.locality - Locality filter
+     * @param {string} options.type - Restaurant type filter
+     * @param {number} options.maxPrice - Maximum price filter
+     * @param {number} options.minRating - Minimum rating filter
+     * @param {'distance' | 'rating' | 'best'} options.sortBy - Closest first, highest rated first, or a blend of both
+     * @param {number} options.limit - Maximum results
+     * @param {number} options.offset - Number of results to skip
+     * @returns {Promise<{restaurants: Array, total: number}>} Page of nearby restaurants, each with distanceKm
+     * (and bestScore when sorting by best), and the number of restaurants within the radius matching the filters
+     */
+    async searchNearbyRestaurants({
+        latitude,
+        longitude,
+        radiusKm = 5,
+        cuisine,
+        city,
+        locality,
+        type,
+        maxPrice,
+        minRating,
+        sortBy = 'distance',
+        limit = 10,
+        offset = 0,
+    }) {
+        const filters = this._buildFilters({
             latitude,
             longitude,
-            radius = 5,
+            radius: radiusKm,
             cuisine,
             city,
             locality,
             type,
             maxPrice,
             minRating,
-        } = options;
+        });
 
-        let filters = [];
-        if (latitude && longitude) {
-            filters.push(`@lngLat:[${longitude} ${latitude} ${radius} km]`);
+        const steps = [
+            {
+                type: FT_AGGREGATE_STEPS.APPLY,
+                expression: `geodistance(@lngLat, ${longitude}, ${latitude}) / 1000`,
+                AS: 'distanceKm',
+            },
+        ];
+
+        if (sortBy === 'best') {
+            // Rating out of 5 and closeness within the radius, both scaled to 0-1
+            steps.push({
+                type: FT_AGGREGATE_STEPS.APPLY,
+                expression: `(@rating / 5) * ${BEST_NEARBY_WEIGHTS.rating} + (1 - @distanceKm / ${radiusKm}) * ${BEST_NEARBY_WEIGHTS.distance}`,
+                AS: 'bestScore',
+            });
         }
 
-        if (cuisine) filters.push(`@cuisine:{${cuisine}}`);
-        if (city) filters.push(`@city:{${city}}`);
-        if (locality) filters.push(`@locality:{${locality}}`);
-        if (type) filters.push(`@type:{${type}}`);
-        if (maxPrice) filters.push(`@priceFor2:[0 ${maxPrice}]`);
-        if (minRating) filters.push(`@rating:[${minRating} +inf]`);
+        const sortKeys = {
+            distance: [{ BY: '@distanceKm', DIRECTION: 'ASC' }],
+            rating: [{ BY: '@rating', DIRECTION: 'DESC' }, { BY: '@distanceKm', DIRECTION: 'ASC' }],
+            best: [{ BY: '@bestScore', DIRECTION: 'DESC' }],
+        };
 
-        let filterQuery = filters.length > 0 ? filters.join(' ') : '*';
-        let vectorQuery = `(${filterQuery})=>[KNN ${limit} @embedding $query_vector AS score]`;
+        steps.push(
+            { type: FT_AGGREGATE_STEPS.SORTBY, BY: sortKeys[sortBy] || sortKeys.distance },
+            { type: FT_AGGREGATE_STEPS.LIMIT, from: offset, size: limit },
+        );
+
+        const [aggregateResults, total] = await Promise.all([
+            client.ft.aggregate(this.indexName, filters.join(' '), {
+                LOAD: ['@__key', '@name', '@cuisine', '@city', '@locality', '@type', '@priceFor2', '@rating', '@address', '@lngLat'],
+                STEPS: steps,
+                DIALECT: 2,
+            }),
+            this._countMatches(filters.join(' ')),
+        ]);
 
-        //console.log('Vector search query:', vectorQuery);
-        // console.log('limit:', limit);
+        return {
+            restaurants: aggregateResults.results.map(({ __key, distanceKm, bestScore, ...fields }) => ({
+                id: __key.replace(this.keyPrefix, ''),
+                ...fields,
+                distanceKm: Math.round(parseFloat(distanceKm) * 100) / 100,
+                ...(bestScore !== undefined && { bestScore: Math.round(parseFloat(bestScore) * 1000) / 1000 }),
+            })),
+            total,
+        };
+    }
 
-        const searchResults = await client.ft.search(this.indexName, vectorQuery, {
+    /**
+     * Find restaurants similar to a restaurant, using its stored embedding for a KNN search
+     * @param {string} restaurantId - Restaurant to find similar ones for (excluded from the results)
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum results
+     * @param {string} options.city - Only restaurants in this city
+     * @param {number} options.radiusKm - Only restaurants within this distance of the restaurant
+     * @returns {Promise<Array|null>} Similar restaurants, closest embedding first, or null if the restaurant
+     * does not exist or has no embedding
+     */
+    async findSimilarRestaurants(restaurantId, { limit = 6, city, radiusKm } = {}) {
+        const key = `${this.keyPrefix}${restaurantId}`;
+        const stored = await client.json.get(key, {
+            path: ['$.restaurantInfoEmbeddings', '$.lngLat'],
+        });
+
+        const embedding = stored?.['$.restaurantInfoEmbeddings']?.[0];
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+            return null;
+        }
+
+        const [longitude, latitude] = String(stored['$.lngLat']?.[0] || '').split(',').map(parseFloat);
+        const filters = this._buildFilters({
+            city,
+            ...(radiusKm && Number.isFinite(latitude) && Number.isFinite(longitude) && { latitude, longitude, radius: radiusKm }),
+        });
+        const filterQuery = filters.length > 0 ? filters.join(' ') : '*';
+
+        // One extra neighbour, since the restaurant itself is its own nearest match
+        const searchResults = await client.ft.search(this.indexName, `(${filterQuery})=>[KNN ${limit + 1} @embedding $query_vector AS score]`, {
             PARAMS: {
-                query_vector: Buffer.from(new Float32Array(queryVector).buffer)
+                query_vector: Buffer.from(new Float32Array(embedding).buffer)
             },
-            SORTBY: latitude && longitude ? 'score' : 'rating',
-            LIMIT: { from: 0, size: limit },
-            RETURN: ['name', 'cuisine', 'city', 'locality', 'type', 'priceFor2', 'rating', 'about', 'knownFor', 'score'],
-            DIALECT: 2, // <-- important for hybrid/vector search
+            SORTBY: 'score',
+            LIMIT: { from: 0, size: limit + 1 },
+            RETURN: ['name', 'cuisine', 'city', 'locality', 'address', 'type', 'priceFor2', 'rating', 'score'],
+            DIALECT: 2,
         });
 
-        return searchResults.documents.map(doc => ({
-            id: doc.id.replace(this.keyPrefix, ''),
-            ...doc.value,
-            semanticScore: parseFloat(doc.value.score || 0)
-        }));
+        return searchResults.documents
+            .filter(doc => doc.id !== key)
+            .slice(0, limit)
+            .map(({ id, value: { score, ...fields } }) => ({
+                id: id.replace(this.keyPrefix, ''),
+                ...fields,
+                semanticScore: parseFloat(score || 0),
+            }));
     }
 
     /**
-     * Get restaurants by geospatial proximity
-     * @param {number} latitude - Latitude
-     * @param {number} longitude - Longitude
-     * @param {number} radiusKm - Radius in kilometers
-     * @param {number} limit - Maximum results
-     * @returns {Promise<Array>} Array of nearby restaurants
+     * Describe how restaurants are actually stored and indexed, for the startup self-check
+     * @param {number} sampleSize - Number of documents whose embeddings are inspected
+     * @returns {Promise<Object>} Index definition, attributes, document counts and sampled embedding lengths;
+     * indexExists is false when the index is missing
      */
-    async getRestaurantsByLocation(latitude, longitude, radiusKm = 5, limit = 10) {
-        const radiusMeters = radiusKm * 1000;
+    async getStorageReport(sampleSize = 3) {
+        let info;
+        try {
+            info = await client.ft.info(this.indexName);
+        } catch (error) {
+            if (/unknown index name|no such index/i.test(error.message)) {
+                return { indexExists: false };
+            }
+            throw error;
+        }
 
-        const searchResults = await client.ft.search(this.indexName, '*', {
-            GEOFILTER: {
-                field: 'location',
-                longitude: longitude,
-                latitude: latitude,
-                radius: radiusMeters,
-                unit: 'm',
-            },
-            LIMIT: { from: 0, size: limit },
-            RETURN: ['name', 'cuisine', 'city', 'locality', 'type', 'priceFor2', 'rating', 'address']
-        });
+        // Counting keys by type shows documents the index cannot see, e.g. hashes under a JSON index
+        const countKeys = async (type) => {
+            const keys = [];
+            for await (const batch of client.scanIterator({ MATCH: `${this.keyPrefix}*`, TYPE: type, COUNT: 1000 })) {
+                keys.push(...batch);
+            }
+            return keys;
+        };
+        const [jsonKeys, hashKeys] = await Promise.all([countKeys('ReJSON-RL'), countKeys('hash')]);
 
-        return searchResults.documents.map(doc => ({
-            id: doc.id.replace(this.keyPrefix, ''),
-            ...doc.value
+        const sampleVectorLengths = await Promise.all(jsonKeys.slice(0, sampleSize).map(async (key) => {
+            const [embedding] = await client.json.get(key, { path: '$.restaurantInfoEmbeddings' }) || [];
+            return Array.isArray(embedding) ? embedding.length : null;
         }));
+
+        const definition = this._lowerKeys(info.index_definition);
+
+        return {
+            indexExists: true,
+            keyType: definition.key_type,
+            prefixes: definition.prefixes || [],
+            attributes: (info.attributes || []).map(attribute => {
+                const fields = this._lowerKeys(attribute);
+                return {
+                    name: fields.attribute,
+                    type: fields.type,
+                    ...(fields.dim !== undefined && { dim: Number(fields.dim) }),
+                };
+            }),
+            numDocs: Number(info.num_docs),
+            indexingFailures: Number(info.hash_indexing_failures || 0),
+            jsonDocuments: jsonKeys.length,
+            hashDocuments: hashKeys.length,
+            sampleVectorLengths,
+        };
     }
 
     /**
-     * Get all unique values for a field (for filters)
-     * @param {string} field - Field name (cuisine, city, locality, type)
-     * @returns {Promise<Array>} Array of unique values
+     * Autocomplete a prefix against the restaurant name, cuisine, locality and dish suggestion dictionaries
+     * @param {string} prefix - Text typed so far
+     * @param {Object} options - Suggestion options
+     * @param {number} options.limit - Maximum suggestions per group
+     * @param {boolean} options.fuzzy - Also match prefixes one edit away
+     * @returns {Promise<{restaurants: Array<{id: string, name: string}>, cuisines: string[], localities: string[], dishes: string[]}>}
      */
-    async getUniqueFieldValues(field) {
-        const searchResults = await client.ft.search(this.indexName, '*', {
-            RETURN: [field],
-            LIMIT: { from: 0, size: 10000 }, // Get all for aggregation
-        });
+    async getSuggestions(prefix, { limit = 5, fuzzy = false } = {}) {
+        const options = { MAX: limit, ...(fuzzy && { FUZZY: true }) };
 
-        const values = new Set();
-        searchResults.documents.forEach(doc => {
-            if (doc.value[field]) {
-                values.add(doc.value[field]);
-            }
-        });
+        const [restaurants, cuisines, localities, dishes] = await Promise.all([
+            client.ft.sugGetWithPayloads(SUGGESTION_DICTIONARIES.restaurants, prefix, options),
+            client.ft.sugGet(SUGGESTION_DICTIONARIES.cuisines, prefix, options),
+            client.ft.sugGet(SUGGESTION_DICTIONARIES.localities, prefix, options),
+            client.ft.sugGet(SUGGESTION_DICTIONARIES.dishes, prefix, options),
+        ]);
 
-        return Array.from(values).sort();
+        return {
+            restaurants: (restaurants || []).map(({ suggestion, payload }) => ({ id: payload, name: suggestion })),
+            cuisines: cuisines || [],
+            localities: localities || [],
+            dishes: dishes || [],
+        };
     }
 
     /**
-     * Get restaurant statistics
-     * @returns {Promise<Object>} Restaurant statistics
+     * Count restaurants per value of each facet field, and per price and rating bucket,
+     * for the restaurants matching a query and filters
+     * @param {Object} options
+     * @param {string} [options.query] - Full-text query (default: all restaurants)
+     * @param {Object} [options.filters] - Same filters as searchRestaurants (cuisine, city, locality, type, maxPrice, minRating)
+     * @param {Array<number>} options.priceBoundaries - Ascending priceFor2 values where a new price bucket starts
+     * @param {Array<number>} options.ratingBoundaries - Ascending rating values where a new rating bucket starts
+     * @returns {Promise<Object>} total, per-field [{value, count}] lists, and priceBuckets / ratingBuckets as [{bucket, count}]
+     * where bucket is the number of boundaries the value reaches
      */
-    async getRestaurantStats() {
-        const totalResults = await client.ft.search(this.indexName, '*', {
-            LIMIT: { from: 0, size: 0 } // Just get count
-        });
+    async getFacetCounts({ query = '*', filters = {}, priceBoundaries, ratingBoundaries }) {
+        const clauses = this._buildFilters(filters);
+        const searchQuery = [query && query !== '' ? query : '*', ...clauses].join(' ');
+
+        const countBy = (field, expression) => client.ft.aggregate(this.indexName, searchQuery, {
+            LOAD: [`@${field}`],
+            STEPS: [
+                ...(expression ? [{ type: FT_AGGREGATE_STEPS.APPLY, expression, AS: 'facetValue' }] : []),
+                {
+                    type: FT_AGGREGATE_STEPS.GROUPBY,
+                    properties: expression ? '@facetValue' : `@${field}`,
+                    REDUCE: { type: FT_AGGREGATE_GROUP_BY_REDUCERS.COUNT, AS: 'count' },
+                },
+                { type: FT_AGGREGATE_STEPS.SORTBY, BY: [{ BY: '@count', DIRECTION: 'DESC' }], MAX: 1000 },
+            ],
+            DIALECT: 2,
+        }).then(({ results }) => results
+            .map(row => ({ value: row[expression ? 'facetValue' : field], count: parseInt(row.count) }))
+            .filter(({ value }) => value !== null && value !== undefined && value !== ''));
+
+        // Bucket index = how many boundaries the value reaches, e.g. price 1200 with [500, 1000, 2000] is bucket 2
+        const bucketExpression = (field, boundaries) => boundaries
+            .map(boundary => `(@${field} >= ${boundary})`)
+            .join(' + ');
 
-        const cuisines = await this.getUniqueFieldValues('cuisine');
-        const cities = await this.getUniqueFieldValues('city');
-        const types = await this.getUniqueFieldValues('type');
+        const [total, cuisine, city, locality, type, priceBuckets, ratingBuckets] = await Promise.all([
+            this._countMatches(searchQuery),
+            // A restaurant lists several comma-separated cuisines; count each one
+            countBy('cuisine', 'split(@cuisine, ",", " ")'),
+            countBy('city'),
+            countBy('locality'),
+            countBy('type'),
+            countBy('priceFor2', bucketExpression('priceFor2', priceBoundaries)),
+            countBy('rating', bucketExpression('rating', ratingBoundaries)),
+        ]);
+
+        const toBuckets = (rows) => rows.map(({ value, count }) => ({ bucket: parseInt(value), count }));
 
         return {
-            totalRestaurants: totalResults.total,
-            totalCuisines: cuisines.length,
-            totalCities: cities.length,
-            totalTypes: types.length,
-            cuisines,
-            cities,
-            types,
+            total,
+            cuisine,
+            city,
+            locality,
+            type,
+            priceBuckets: toBuckets(priceBuckets),
+            ratingBuckets: toBuckets(ratingBuckets),
         };
     }
 
+    /**
+     * Count the documents matching a query
+     * @private
+     */
+    async _countMatches(query) {
+        const results = await client.ft.search(this.indexName, query || '*', {
+            LIMIT: { from: 0, size: 0 },
+            DIALECT: 2,
+        });
+        return results.total;
+    }
+
+    /**
+     * Build RediSearch filter clauses from search options
+     * @private
+     */
+    _buildFilters({ latitude, longitude, radius = 5, cuisine, city, locality, type, maxPrice, minRating }) {
+        const filters = [];
+
+        // 0 is a valid coordinate
+        if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            filters.push(`@lngLat:[${longitude} ${latitude} ${radius} km]`);
+        }
+        if (cuisine) filters.push(`@cuisine:{${this._escapeTag(cuisine)}}`);
+        if (city) filters.push(`@city:{${this._escapeTag(city)}}`);
+        if (locality) filters.push(`@locality:{${this._escapeTag(locality)}}`);
+        if (type) filters.push(`@type:{${this._escapeTag(type)}}`);
+        if (maxPrice) filters.push(`@priceFor2:[0 ${maxPrice}]`);
+        if (minRating) filters.push(`@rating:[${minRating} +inf]`);
+
+        return filters;
+    }
+
+    /**
+     * Lowercase the keys of an FT.INFO section, whose casing differs between RediSearch versions
+     * @private
+     */
+    _lowerKeys(section) {
+        return Object.fromEntries(Object.entries(section || {}).map(([key, value]) => [key.toLowerCase(), value]));
+    }
+
+    /**
+     * Escape punctuation and spaces in a TAG filter value
+     * @private
+     */
+    _escapeTag(value) {
+        return String(value).trim().replace(/[,.<>{}\[\]"':;!@#$%^&*()\-+=~|/\\\s]/g, '\\$&');
+    }
+
+    /**
+     * Split free text into lowercase search terms, dropping query syntax characters
+     * @private
+     */
+    _tokenize(text) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return [...new Set(words.filter(word => word.length > 1))].slice(0, 16);
+    }
+
     /**
      * Check if restaurant exists
      * @param {string} restaurantId - Restaurant ID
@@ -239,4 +586,12 @@ export class RestaurantRepository {
         const exists = await client.exists(key);
         return exists === 1;
     }
+
+    /**
+     * Version of the restaurant data, incremented by every load that changes it
+     * @returns {Promise<number>} Dataset version (0 before the first versioned load)
+     */
+    async getDatasetVersion() {
+        return Number(await client.get(DATASET_VERSION_KEY)) || 0;
+    }
 }
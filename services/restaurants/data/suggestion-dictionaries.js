@@ -0,0 +1,10 @@
+/**
+ * Redis suggestion dictionaries (FT.SUGADD / FT.SUGGET) backing search autocomplete, keyed by suggestion group.
+ * The restaurant dictionary carries the restaurant ID as payload.
+ */
+export const SUGGESTION_DICTIONARIES = {
+    restaurants: 'suggest:restaurants:name',
+    cuisines: 'suggest:restaurants:cuisine',
+    localities: 'suggest:restaurants:locality',
+    dishes: 'suggest:restaurants:dish',
+};
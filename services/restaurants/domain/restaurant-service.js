@@ -1,5 +1,48 @@
 import { RestaurantRepository } from '../data/restaurant-repository.js';
+import {
+    RESTAURANT_INDEX_NAME,
+    RESTAURANT_KEY_PREFIX,
+    RESTAURANT_INDEX_SCHEMA,
+    RESTAURANT_INDEX_OPTIONS,
+    EMBEDDING_DIM,
+} from '../data/restaurant-index.js';
 import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import { decodeCursor, validateOffset, buildPagination } from '../../../lib/pagination.js';
+import CONFIG from '../../../config.js';
+
+export const NEARBY_SORT_OPTIONS = ['distance', 'rating', 'best'];
+
+// Type of each parameter a pagination cursor may carry; ranges are checked by the same validation as a first page
+const CURSOR_PARAM_TYPES = {
+    query: 'string',
+    cuisine: 'string',
+    city: 'string',
+    locality: 'string',
+    type: 'string',
+    sortBy: 'string',
+    maxPrice: 'number',
+    minRating: 'number',
+    latitude: 'number',
+    longitude: 'number',
+    radius: 'number',
+    limit: 'number',
+};
+
+// Price (for 2) and rating buckets used for facet counts and filter options; each runs up to the next bucket's min
+const PRICE_BUCKETS = [
+    { label: 'Budget (Under ₹500)', min: 0, max: 500 },
+    { label: 'Mid-range (₹500-₹1000)', min: 500, max: 1000 },
+    { label: 'Premium (₹1000-₹2000)', min: 1000, max: 2000 },
+    { label: 'Luxury (Above ₹2000)', min: 2000, max: null },
+];
+
+const RATING_BUCKETS = [
+    { label: 'Below 3.0', min: 0, max: 3.0 },
+    { label: '3.0-3.5', min: 3.0, max: 3.5 },
+    { label: '3.5-4.0', min: 3.5, max: 4.0 },
+    { label: '4.0-4.5', min: 4.0, max: 4.5 },
+    { label: '4.5+', min: 4.5, max: null },
+];
 
 /**
  * Restaurant Service - Business logic layer for restaurant operations
@@ -41,9 +84,12 @@ export class RestaurantService {
     /**
      * Search restaurants with validation and business logic
      * @param {Object} searchParams - Search parameters
-     * @returns {Promise<Object>} Search results with metadata
+     * @param {number} searchParams.offset - Number of results to skip
+     * @param {string} searchParams.cursor - Cursor from a previous page; replaces the other parameters
+     * @returns {Promise<Object>} Search results with metadata and pagination
      */
     async searchRestaurants(searchParams = {}) {
+        const { offset, params } = this._resolvePage(searchParams);
         const {
             query = '',
             cuisine,
@@ -53,7 +99,7 @@ export class RestaurantService {
             maxPrice,
             minRating,
             limit = 10,
-        } = searchParams;
+        } = params;
 
         // Validate and sanitize inputs
         const validatedParams = this._validateSearchParams({
@@ -67,110 +113,111 @@ export class RestaurantService {
             limit,
         });
 
-        const restaurants = await this.restaurantRepository.searchRestaurants(validatedParams);
-
-        return {
-            restaurants,
-            totalResults: restaurants.length,
-            searchParams: validatedParams,
-            hasMore: restaurants.length === validatedParams.limit,
-        };
-    }
-
-    /**
-     * Get restaurants by location with validation
-     * @param {number} latitude - Latitude
-     * @param {number} longitude - Longitude
-     * @param {number} radiusKm - Radius in kilometers (default: 5, max: 50)
-     * @param {number} limit - Maximum results (default: 10, max: 50)
-     * @returns {Promise<Object>} Nearby restaurants with metadata
-     */
-    async getRestaurantsByLocation(latitude, longitude, radiusKm = 5, limit = 10) {
-        // Validate coordinates
-        if (!this._isValidLatitude(latitude) || !this._isValidLongitude(longitude)) {
-            throw new AppError(
-                'INVALID_COORDINATES',
-                'Invalid latitude or longitude provided',
-                HttpStatusCode.BAD_REQUEST,
-            );
-        }
-
-        // Validate radius
-        const validRadius = Math.min(Math.max(radiusKm, 0.1), 50); // Between 0.1km and 50km
-        const validLimit = Math.min(Math.max(limit, 1), 50); // Between 1 and 50
+        const { restaurants, total } = await this.restaurantRepository.searchRestaurants({
+            ...validatedParams,
+            offset,
+        });
 
-        const restaurants = await this.restaurantRepository.getRestaurantsByLocation(
-            latitude,
-            longitude,
-            validRadius,
-            validLimit,
-        );
+        const pagination = buildPagination({
+            total,
+            offset,
+            limit: validatedParams.limit,
+            returned: restaurants.length,
+            params: validatedParams,
+        });
 
         return {
             restaurants,
-            totalResults: restaurants.length,
-            searchCenter: { latitude, longitude },
-            radiusKm: validRadius,
-            hasMore: restaurants.length === validLimit,
+            totalResults: total,
+            searchParams: validatedParams,
+            hasMore: pagination.hasMore,
+            pagination,
         };
     }
 
     /**
-     * Find nearby restaurants with filters (alias for getRestaurantsByLocation with filters)
+     * Find restaurants near a point, filtered and sorted inside Redis
      * @param {Object} options - Search options
      * @param {number} options.latitude - Latitude
      * @param {number} options.longitude - Longitude
-     * @param {number} options.radius - Radius in kilometers (default: 5)
+     * @param {number} options.radius - Radius in kilometers (default: 5, between 0.1 and 50)
      * @param {string} options.cuisine - Cuisine filter
      * @param {string} options.city - City filter
+     * @param {string} options.locality - Locality filter
+     * @param {string} options.type - Restaurant type filter
      * @param {number} options.maxPrice - Maximum price filter
      * @param {number} options.minRating - Minimum rating filter
-     * @param {number} options.limit - Maximum results (default: 10)
-     * @returns {Promise<Object>} Nearby restaurants with metadata
+     * @param {'distance' | 'rating' | 'best'} options.sortBy - Sort order (default: distance)
+     * @param {number} options.limit - Maximum results (default: 10, max: 50)
+     * @param {number} options.offset - Number of results to skip
+     * @param {string} options.cursor - Cursor from a previous page; replaces the other options
+     * @returns {Promise<Object>} Nearby restaurants with distanceKm, search metadata and pagination
      */
     async findNearbyRestaurants(options = {}) {
+        const { offset, params } = this._resolvePage(options);
         const {
             latitude,
             longitude,
             radius = 5,
+            sortBy = 'distance',
+            limit = 10,
+        } = params;
+
+        if (!this._isValidLatitude(latitude) || !this._isValidLongitude(longitude)) {
+            throw new AppError(
+                'INVALID_COORDINATES',
+                'Invalid latitude or longitude provided',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (!NEARBY_SORT_OPTIONS.includes(sortBy)) {
+            throw new AppError(
+                'INVALID_SORT',
+                `sortBy must be one of: ${NEARBY_SORT_OPTIONS.join(', ')}`,
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const validRadius = Math.min(Math.max(parseFloat(radius) || 5, 0.1), 50); // Between 0.1km and 50km
+        const { cuisine, city, locality, type, maxPrice, minRating, limit: validLimit } = this._validateSearchParams({
+            ...params,
+            limit,
+        });
+
+        const { restaurants, total } = await this.restaurantRepository.searchNearbyRestaurants({
+            latitude,
+            longitude,
+            radiusKm: validRadius,
             cuisine,
             city,
+            locality,
+            type,
             maxPrice,
             minRating,
-            limit = 10,
-        } = options;
-
-        // For now, use the existing location method and apply filters
-        // TODO: Enhance repository to handle filters in location search
-        const result = await this.getRestaurantsByLocation(latitude, longitude, radius, limit * 2);
-
-        // Apply additional filters
-        let filteredRestaurants = result.restaurants.filter(restaurant => {
-            if (cuisine && !restaurant.cuisine.toLowerCase().includes(cuisine.toLowerCase())) {
-                return false;
-            }
-            if (city && restaurant.city.toLowerCase() !== city.toLowerCase()) {
-                return false;
-            }
-            if (maxPrice && restaurant.priceFor2 > maxPrice) {
-                return false;
-            }
-            if (minRating && restaurant.rating < minRating) {
-                return false;
-            }
-            return true;
+            sortBy,
+            limit: validLimit,
+            offset,
         });
 
-        // Limit results
-        filteredRestaurants = filteredRestaurants.slice(0, limit);
+        const pagination = buildPagination({
+            total,
+            offset,
+            limit: validLimit,
+            returned: restaurants.length,
+            params: { latitude, longitude, radius: validRadius, cuisine, city, locality, type, maxPrice, minRating, sortBy, limit: validLimit },
+        });
 
         return {
-            restaurants: filteredRestaurants,
-            totalFound: filteredRestaurants.length,
+            restaurants,
+            totalFound: total,
             searchType: 'location',
-            filters: { cuisine, city, maxPrice, minRating },
+            filters: { cuisine, city, locality, type, maxPrice, minRating },
             searchCenter: { latitude, longitude },
-            radiusKm: radius,
+            radiusKm: validRadius,
+            sortBy,
+            hasMore: pagination.hasMore,
+            pagination,
         };
     }
 
@@ -180,11 +227,14 @@ export class RestaurantService {
      * @param {string} options.city - Optional city filter
      * @param {number} options.limit - Maximum results (default: 10, max: 50)
      * @param {string} options.cuisine - Optional cuisine filter
-     * @returns {Promise<Object>} Popular restaurants
+     * @param {number} options.offset - Number of results to skip
+     * @param {string} options.cursor - Cursor from a previous page; replaces the other options
+     * @returns {Promise<Object>} Popular restaurants, highest rated first, with pagination
      */
     async getPopularRestaurants(options = {}) {
-        const { city, limit = 10, cuisine } = options;
-        const validLimit = Math.min(Math.max(limit, 1), 50);
+        const { offset, params } = this._resolvePage(options);
+        const { city, limit = 10, cuisine } = params;
+        const validLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
 
         const searchParams = {
             query: '*',
@@ -194,48 +244,164 @@ export class RestaurantService {
             cuisine,
         };
 
-        const restaurants = await this.restaurantRepository.searchRestaurants(searchParams);
+        // Sorting happens in Redis so every page continues where the previous one stopped
+        const { restaurants, total } = await this.restaurantRepository.searchRestaurants({
+            ...searchParams,
+            offset,
+            sortBy: 'rating',
+        });
 
-        // Sort by rating descending, then by review count if available
-        const sortedRestaurants = restaurants.sort((a, b) => {
-            if (b.rating !== a.rating) {
-                return b.rating - a.rating;
-            }
-            // Secondary sort by review count if available
-            return (b.reviewCount || 0) - (a.reviewCount || 0);
+        const pagination = buildPagination({
+            total,
+            offset,
+            limit: validLimit,
+            returned: restaurants.length,
+            params: { city, cuisine, limit: validLimit },
         });
 
         return {
-            restaurants: sortedRestaurants,
-            totalResults: sortedRestaurants.length,
+            restaurants,
+            totalResults: total,
             criteria: 'Popular restaurants (rating >= 4.0)',
             filters: { city, cuisine },
+            hasMore: pagination.hasMore,
+            pagination,
+        };
+    }
+
+    /**
+     * Find restaurants similar to a restaurant by embedding similarity
+     * @param {string} restaurantId - Restaurant ID (excluded from the results)
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum results (default: 6, max: 20)
+     * @param {string} options.city - Only restaurants in this city
+     * @param {number} options.radius - Only restaurants within this many km of the restaurant (max: 50)
+     * @returns {Promise<Array>} Similar restaurants, with price_for_2 for the restaurant page cards
+     */
+    async getRelatedRestaurants(restaurantId, options = {}) {
+        const { limit = 6, city, radius } = options;
+
+        if (!restaurantId) {
+            throw new AppError(
+                'INVALID_RESTAURANT_ID',
+                'Restaurant ID is required',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        if (radius !== undefined && !(radius > 0)) {
+            throw new AppError(
+                'INVALID_RADIUS',
+                'radius must be a positive number of kilometers',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const restaurants = await this.restaurantRepository.findSimilarRestaurants(restaurantId, {
+            limit: Math.min(Math.max(parseInt(limit) || 6, 1), 20),
+            city: city ? city.trim() : undefined,
+            radiusKm: radius !== undefined ? Math.min(radius, 50) : undefined,
+        });
+
+        if (!restaurants) {
+            throw new AppError(
+                'RESTAURANT_NOT_FOUND',
+                `Restaurant with ID ${restaurantId} not found or has no embedding`,
+                HttpStatusCode.NOT_FOUND,
+                'Restaurant not found',
+            );
+        }
+
+        return restaurants.map(restaurant => ({
+            ...restaurant,
+            price_for_2: restaurant.priceFor2,
+        }));
+    }
+
+    /**
+     * Autocomplete restaurant names, cuisines, localities and dishes
+     * @param {string} prefix - Text typed so far (at least 2 characters to get suggestions)
+     * @param {Object} options - Suggestion options
+     * @param {number} options.limit - Maximum suggestions per group (default: 5, max: 10)
+     * @returns {Promise<Object>} Suggestions grouped by kind; restaurants include their ID
+     */
+    async getSuggestions(prefix, options = {}) {
+        const { limit = 5 } = options;
+        const normalizedPrefix = (prefix || '').trim().replace(/\s+/g, ' ');
+
+        if (normalizedPrefix.length < 2) {
+            return { prefix: normalizedPrefix, restaurants: [], cuisines: [], localities: [], dishes: [] };
+        }
+
+        const suggestions = await this.restaurantRepository.getSuggestions(normalizedPrefix, {
+            limit: Math.min(Math.max(parseInt(limit) || 5, 1), 10),
+            // Typo tolerance only once there is enough text for it not to match everything
+            fuzzy: normalizedPrefix.length >= 4,
+        });
+
+        return { prefix: normalizedPrefix, ...suggestions };
+    }
+
+    /**
+     * Count matching restaurants per cuisine, city, locality, type, price bucket and rating bucket
+     * @param {Object} searchParams - Same query and filters as searchRestaurants
+     * @returns {Promise<Object>} Total matches and facet counts for the query and filters
+     */
+    async getFacets(searchParams = {}) {
+        const { query, cuisine, city, locality, type, maxPrice, minRating } = this._validateSearchParams(searchParams);
+
+        const counts = await this.restaurantRepository.getFacetCounts({
+            query,
+            filters: { cuisine, city, locality, type, maxPrice, minRating },
+            priceBoundaries: PRICE_BUCKETS.slice(1).map(bucket => bucket.min),
+            ratingBoundaries: RATING_BUCKETS.slice(1).map(bucket => bucket.min),
+        });
+
+        const withCounts = (buckets, bucketCounts) => buckets.map((bucket, index) => ({
+            ...bucket,
+            count: bucketCounts.find(row => row.bucket === index)?.count || 0,
+        }));
+
+        return {
+            total: counts.total,
+            query: query || null,
+            filters: { cuisine, city, locality, type, maxPrice, minRating },
+            facets: {
+                cuisine: counts.cuisine,
+                city: counts.city,
+                locality: counts.locality,
+                type: counts.type,
+                price: withCounts(PRICE_BUCKETS, counts.priceBuckets),
+                rating: withCounts(RATING_BUCKETS, counts.ratingBuckets),
+            },
         };
     }
 
     /**
-     * Get restaurant filter options for UI
+     * Get restaurant filter options for UI, with the number of restaurants behind each option
      * @returns {Promise<Object>} Available filter options
      */
     async getFilterOptions() {
-        const stats = await this.restaurantRepository.getRestaurantStats();
+        const { facets } = await this.getFacets();
+        const byValue = (a, b) => a.value.localeCompare(b.value);
+
+        // Rating filters are minimums, so each option counts every restaurant at or above it
+        const ratingRanges = RATING_BUCKETS
+            .map((bucket, index) => ({
+                label: `${bucket.min.toFixed(1)}+ Stars`,
+                min: bucket.min,
+                count: facets.rating.slice(index).reduce((sum, row) => sum + row.count, 0),
+            }))
+            .filter(range => range.min > 0)
+            .reverse();
 
         return {
-            cuisines: stats.cuisines,
-            cities: stats.cities,
-            types: stats.types,
-            priceRanges: [
-                { label: 'Budget (Under ₹500)', min: 0, max: 500 },
-                { label: 'Mid-range (₹500-₹1000)', min: 500, max: 1000 },
-                { label: 'Premium (₹1000-₹2000)', min: 1000, max: 2000 },
-                { label: 'Luxury (Above ₹2000)', min: 2000, max: 10000 }
-            ],
-            ratingRanges: [
-                { label: '4.5+ Stars', min: 4.5 },
-                { label: '4.0+ Stars', min: 4.0 },
-                { label: '3.5+ Stars', min: 3.5 },
-                { label: '3.0+ Stars', min: 3.0 }
-            ],
+            cuisines: [...facets.cuisine].sort(byValue),
+            cities: [...facets.city].sort(byValue),
+            localities: [...facets.locality].sort(byValue),
+            types: [...facets.type].sort(byValue),
+            priceRanges: facets.price,
+            ratingRanges,
         };
     }
 
@@ -304,7 +470,17 @@ export class RestaurantService {
      * @returns {Promise<Object>} Restaurant statistics
      */
     async getRestaurantStats() {
-        return await this.restaurantRepository.getRestaurantStats();
+        const { total, facets } = await this.getFacets();
+
+        return {
+            totalRestaurants: total,
+            totalCuisines: facets.cuisine.length,
+            totalCities: facets.city.length,
+            totalTypes: facets.type.length,
+            cuisines: facets.cuisine.map(({ value }) => value).sort(),
+            cities: facets.city.map(({ value }) => value).sort(),
+            types: facets.type.map(({ value }) => value).sort(),
+        };
     }
 
     /**
@@ -345,8 +521,122 @@ export class RestaurantService {
             minRating,
         } = options;
 
-        // Validate location coordinates if provided
-        if ((latitude && !longitude) || (!latitude && longitude)) {
+        this._validateOptionalCoordinates(latitude, longitude);
+
+        const offset = validateOffset(options.offset);
+        const { restaurants, total } = await this.restaurantRepository.vectorSearchRestaurants(
+            queryVector,
+            { ...options, offset }
+        );
+
+        return {
+            restaurants,
+            totalFound: total,
+            pagination: buildPagination({ total, offset, limit, returned: restaurants.length }),
+            searchType: 'semantic',
+            filters: { latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating },
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Search restaurants by combining full-text relevance and vector similarity
+     * @param {string} query - Search query text, matched against name, about and knownFor
+     * @param {Array<number>} queryVector - Embedding of the query
+     * @param {Object} options - Same filters as vectorSearchRestaurants
+     * @param {number} options.textWeight - Weight of the full-text ranking (default from config)
+     * @param {number} options.vectorWeight - Weight of the vector ranking (default from config)
+     * @returns {Promise<Object>} Search results with a scoreBreakdown per restaurant
+     */
+    async hybridSearchRestaurants(query, queryVector, options = {}) {
+        if (!queryVector || !Array.isArray(queryVector)) {
+            throw new AppError(
+                'INVALID_QUERY_VECTOR',
+                'Query vector is required and must be an array',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const {
+            latitude,
+            longitude,
+            radius = 5,
+            cuisine,
+            city,
+            locality,
+            type,
+            maxPrice,
+            minRating,
+            textWeight = CONFIG.hybridSearch.textWeight,
+            vectorWeight = CONFIG.hybridSearch.vectorWeight,
+        } = options;
+
+        this._validateOptionalCoordinates(latitude, longitude);
+
+        if (!(textWeight >= 0) || !(vectorWeight >= 0) || textWeight + vectorWeight === 0) {
+            throw new AppError(
+                'INVALID_SEARCH_WEIGHTS',
+                'Search weights must be non-negative and not both zero',
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const offset = validateOffset(options.offset);
+        const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), 50);
+        const { restaurants, total } = await this.restaurantRepository.hybridSearchRestaurants(
+            query,
+            queryVector,
+            { ...options, limit, offset, textWeight, vectorWeight },
+        );
+
+        return {
+            restaurants,
+            totalFound: total,
+            pagination: buildPagination({ total, offset, limit, returned: restaurants.length }),
+            searchType: 'hybrid',
+            weights: { text: textWeight, vector: vectorWeight, rrfK: CONFIG.hybridSearch.rrfK },
+            filters: { latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating },
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Resolve the page to fetch: a cursor carries both the offset and the original parameters
+     * @private
+     */
+    _resolvePage({ cursor, offset, ...params }) {
+        if (cursor) {
+            const decoded = decodeCursor(cursor);
+            const valid = Object.entries(decoded.params).every(([key, value]) => {
+                const expected = CURSOR_PARAM_TYPES[key];
+                if (!expected) return false;
+                if (value === null || value === undefined) return true;
+                return expected === 'number' ? Number.isFinite(value) : typeof value === 'string';
+            });
+
+            if (!valid) {
+                throw new AppError(
+                    'INVALID_CURSOR',
+                    'Invalid pagination cursor',
+                    HttpStatusCode.BAD_REQUEST,
+                );
+            }
+
+            return { offset: decoded.offset, params: { ...decoded.params, ...(params.limit && { limit: params.limit }) } };
+        }
+
+        return { offset: validateOffset(offset), params };
+    }
+
+    /**
+     * Validate coordinates used as an optional location filter
+     * @private
+     */
+    _validateOptionalCoordinates(latitude, longitude) {
+        const hasLatitude = latitude !== undefined && latitude !== null;
+        const hasLongitude = longitude !== undefined && longitude !== null;
+
+        if (hasLatitude !== hasLongitude) {
             throw new AppError(
                 'INVALID_COORDINATES',
                 'Both latitude and longitude must be provided for location filtering',
@@ -354,7 +644,7 @@ export class RestaurantService {
             );
         }
 
-        if (latitude && longitude) {
+        if (hasLatitude && hasLongitude) {
             if (!this._isValidLatitude(latitude) || !this._isValidLongitude(longitude)) {
                 throw new AppError(
                     'INVALID_COORDINATES',
@@ -363,19 +653,71 @@ export class RestaurantService {
                 );
             }
         }
+    }
 
-        const restaurants = await this.restaurantRepository.vectorSearchRestaurants(
-            queryVector,
-            options
-        );
+    /**
+     * Verify that stored restaurants match the storage model the loader and repository share:
+     * JSON documents under the index prefix, the expected index attributes, a non-empty index
+     * and embeddings with the index's vector dimension
+     * @returns {Promise<{numDocs: number, embeddingDim: number}>} Summary when everything matches
+     * @throws {AppError} STORAGE_MISMATCH listing every problem found
+     */
+    async verifyStorage() {
+        const report = await this.restaurantRepository.getStorageReport();
+        const problems = [];
+
+        if (!report.indexExists) {
+            problems.push(`Index ${RESTAURANT_INDEX_NAME} does not exist`);
+        } else {
+            if (String(report.keyType).toUpperCase() !== RESTAURANT_INDEX_OPTIONS.ON) {
+                problems.push(`Index is ON ${report.keyType}, expected ON ${RESTAURANT_INDEX_OPTIONS.ON}`);
+            }
+            if (!report.prefixes.includes(RESTAURANT_KEY_PREFIX)) {
+                problems.push(`Index prefixes are [${report.prefixes.join(', ')}], expected ${RESTAURANT_KEY_PREFIX}`);
+            }
 
-        return {
-            restaurants,
-            totalFound: restaurants.length,
-            searchType: 'semantic',
-            filters: { latitude, longitude, radius, cuisine, city, locality, type, maxPrice, minRating },
-            timestamp: new Date().toISOString(),
-        };
+            for (const { AS: name, type, DIM: dim } of Object.values(RESTAURANT_INDEX_SCHEMA)) {
+                const attribute = report.attributes.find(candidate => candidate.name === name);
+                if (!attribute) {
+                    problems.push(`Index has no ${name} field`);
+                } else if (String(attribute.type).toUpperCase() !== type) {
+                    problems.push(`Index field ${name} is ${attribute.type}, expected ${type}`);
+                } else if (dim && attribute.dim !== undefined && attribute.dim !== dim) {
+                    problems.push(`Index field ${name} has dimension ${attribute.dim}, expected ${dim}`);
+                }
+            }
+
+            if (report.hashDocuments > 0) {
+                problems.push(`${report.hashDocuments} restaurants are stored as hashes, which the JSON index ignores`);
+            }
+            if (report.numDocs === 0) {
+                problems.push('Index contains no restaurants');
+            } else if (report.numDocs !== report.jsonDocuments) {
+                problems.push(`Index has ${report.numDocs} documents but ${report.jsonDocuments} JSON restaurants are stored`);
+            }
+            if (report.indexingFailures > 0) {
+                problems.push(`${report.indexingFailures} restaurants failed to index`);
+            }
+
+            const badVector = report.sampleVectorLengths.find(length => length !== EMBEDDING_DIM);
+            if (badVector !== undefined) {
+                problems.push(badVector === null
+                    ? 'Sampled restaurant has no restaurantInfoEmbeddings array'
+                    : `Sampled restaurant embedding has ${badVector} dimensions, expected ${EMBEDDING_DIM}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new AppError(
+                'STORAGE_MISMATCH',
+                `Restaurant storage does not match the index: ${problems.join('; ')}. Run npm run load-restaurants -- --recreate-index to rebuild.`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+                null,
+                { problems },
+            );
+        }
+
+        return { numDocs: report.numDocs, embeddingDim: EMBEDDING_DIM };
     }
 
     /**
@@ -389,4 +731,12 @@ export class RestaurantService {
         }
         return await this.restaurantRepository.restaurantExists(restaurantId);
     }
+
+    /**
+     * Version of the restaurant data; changes whenever a load inserts, updates or deletes restaurants
+     * @returns {Promise<number>} Dataset version
+     */
+    async getDatasetVersion() {
+        return this.restaurantRepository.getDatasetVersion();
+    }
 }
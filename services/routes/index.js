@@ -2,33 +2,66 @@ import { Router } from 'express';
 import CONFIG from '../../config.js';
 import { RestaurantService } from '../restaurants/domain/restaurant-service.js';
 import { UserService } from '../users/domain/user-service.js';
+import { requirePageAuth } from '../auth/api/auth-middleware.js';
 
 const router = Router();
 const restaurantService = new RestaurantService();
 const userService = new UserService();
 
-/* GET home page - directly serve the chat interface */
-router.get('/', async function(req, res, next) {
-	try {
-		// Get sessionId from URL params (same as client-side SessionService)
-		const sessionId = req.query.sessionId || req.query.name || 'foodie';
+/* GET login page - log in or sign up */
+router.get('/login', function(req, res, next) {
+	if (req.sessionId) {
+		return res.redirect('/');
+	}
+
+	res.render('login', {
+		app_name: CONFIG.appName || 'Relish',
+	});
+});
+
+/* GET home page - directly serve the chat interface to logged-in users */
+router.get('/', requirePageAuth, async function(req, res, next) {
+	const { sessionId } = req;
 
+	try {
 		// Get user profile including locality
-		const userProfile = await userService.getUserProfile(sessionId.toLowerCase());
-		console.log(userProfile);
+		const userProfile = await userService.getUserProfile(sessionId);
 		res.render('chat', {
 			app_name: CONFIG.appName || 'Relish',
+			sessionId,
 			user: userProfile || { name: sessionId.charAt(0).toUpperCase() + sessionId.slice(1), locality: 'Unknown Location' }
 		});
 	} catch (error) {
 		console.error('Error loading user profile:', error);
 		res.render('chat', {
 			app_name: CONFIG.appName || 'Relish',
+			sessionId,
 			user: { name: 'Guest', locality: 'Unknown Location' }
 		});
 	}
 });
 
+/* GET profile page - edit contact details and dining preferences */
+router.get('/profile', requirePageAuth, async function(req, res, next) {
+	const { sessionId } = req;
+
+	try {
+		const userProfile = await userService.getUserProfile(sessionId);
+
+		res.render('profile', {
+			app_name: CONFIG.appName || 'Relish',
+			sessionId,
+			profile: userProfile || { name: sessionId.charAt(0).toUpperCase() + sessionId.slice(1), locality: 'Unknown', preferences: [] },
+		});
+	} catch (error) {
+		console.error('Error loading profile page:', error);
+		res.status(500).render('error', {
+			message: 'Failed to load profile',
+			error: { status: 500 },
+		});
+	}
+});
+
 /* GET restaurant details page */
 router.get('/restaurant/:restaurantId', async function(req, res, next) {
 	const { restaurantId } = req.params;
@@ -45,6 +78,7 @@ router.get('/restaurant/:restaurantId', async function(req, res, next) {
 
 		res.render('restaurant', { 
 			app_name: CONFIG.appName || 'Relish',
+			sessionId: req.sessionId,
 			restaurant: restaurant,
 		});
 	} catch (error) {
@@ -0,0 +1,118 @@
+import { Router } from 'express';
+import { UserService } from '../domain/user-service.js';
+import { HttpStatusCode } from '../../../lib/errors.js';
+import { requireAuth, authorizeSessionParam } from '../../auth/api/auth-middleware.js';
+const router = Router();
+const userService = new UserService();
+
+// Users can only read and edit their own profile; :sessionId must be theirs (or "me")
+router.use(requireAuth);
+router.param('sessionId', authorizeSessionParam);
+
+/**
+ * GET /api/users/:sessionId/profile - Get a user's profile
+ */
+router.get('/:sessionId/profile', async (req, res, next) => {
+    try {
+        const { sessionId } = req;
+
+        const profile = await userService.getProfile(sessionId);
+
+        res.json({
+            success: true,
+            data: profile,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/users/:sessionId/profile - Replace a user's profile
+ * Body parameters:
+ * - name: Display name (required)
+ * - email, phone: Contact details (optional)
+ * - city: City (optional)
+ * - locality: Neighbourhood (optional, defaults to "Unknown")
+ * - latitude, longitude: Home coordinates (optional, set together)
+ * - preferences: List of dining preferences (optional)
+ */
+router.put('/:sessionId/profile', async (req, res, next) => {
+    try {
+        const { sessionId } = req;
+
+        const profile = await userService.replaceProfile(sessionId, req.body);
+
+        res.json({
+            success: true,
+            data: profile,
+            message: 'Profile saved',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/users/:sessionId/profile - Update some fields of a user's profile
+ * Body parameters: any of name, email, phone, city, locality, latitude, longitude, preferences
+ */
+router.patch('/:sessionId/profile', async (req, res, next) => {
+    try {
+        const { sessionId } = req;
+
+        const profile = await userService.updateProfile(sessionId, req.body);
+
+        res.json({
+            success: true,
+            data: profile,
+            message: 'Profile updated',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/users/:sessionId/profile/preferences - Add a single preference
+ * Body parameters:
+ * - preference: Preference text (required)
+ */
+router.post('/:sessionId/profile/preferences', async (req, res, next) => {
+    try {
+        const { sessionId } = req;
+        const { preference } = req.body;
+
+        const preferences = await userService.addPreference(sessionId, preference);
+
+        res.status(HttpStatusCode.CREATED).json({
+            success: true,
+            data: preferences,
+            message: 'Preference added',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/users/:sessionId/profile/preferences/:preference - Remove a single preference
+ */
+router.delete('/:sessionId/profile/preferences/:preference', async (req, res, next) => {
+    try {
+        const { sessionId } = req;
+        const { preference } = req.params;
+
+        const preferences = await userService.removePreference(sessionId, preference);
+
+        res.json({
+            success: true,
+            data: preferences,
+            message: 'Preference removed',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
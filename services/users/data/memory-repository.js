@@ -0,0 +1,82 @@
+import { createClient } from 'redis';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+/**
+ * @typedef {Object} MemorySource
+ * @property {'conversation' | 'profile'} type - Where the fact came from
+ * @property {string} [chatId] - Chat the fact was stated in (conversation facts only)
+ * @property {string} [message] - User message the fact was extracted from (conversation facts only)
+ */
+
+/**
+ * @typedef {Object} MemoryEntry
+ * @property {string} id - Memory ID
+ * @property {string} text - The fact, phrased like a profile preference (e.g. "allergic to peanuts")
+ * @property {string} category - Fact category (dietary, allergy, cuisine, location, budget, ambience, other)
+ * @property {MemorySource} source - Provenance of the latest statement of the fact
+ * @property {string} createdAt - When the fact was first learned
+ * @property {string} updatedAt - When the fact was last stated or changed
+ * @property {number[]} embedding - Embedding of the text, used for deduplication
+ */
+
+/**
+ * Memory Repository - Data access layer for long-term user memories
+ * Memories are stored as a JSON array per user, next to the plain-text preferences in the profile
+ */
+export class MemoryRepository {
+    constructor() {
+        this.keyPrefix = 'memories:';
+    }
+
+    /**
+     * Get all memories of a user
+     * @param {string} sessionId - User session ID
+     * @returns {Promise<MemoryEntry[]>} Memories (empty if none)
+     */
+    async getMemories(sessionId) {
+        try {
+            return (await client.json.get(`${this.keyPrefix}${sessionId}`)) || [];
+        } catch (error) {
+            console.error('Error getting memories:', error);
+            throw new AppError(
+                'MEMORY_FETCH_ERROR',
+                `Failed to fetch memories for session: ${sessionId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Replace all memories of a user
+     * @param {string} sessionId - User session ID
+     * @param {MemoryEntry[]} memories - Memories to store
+     * @returns {Promise<MemoryEntry[]>} Stored memories
+     */
+    async saveMemories(sessionId, memories) {
+        try {
+            await client.json.set(`${this.keyPrefix}${sessionId}`, '$', memories);
+            return memories;
+        } catch (error) {
+            console.error('Error saving memories:', error);
+            throw new AppError(
+                'MEMORY_UPDATE_ERROR',
+                `Failed to save memories for session: ${sessionId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Generate unique memory ID
+     * @returns {string} Memory ID
+     */
+    generateMemoryId() {
+        return `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
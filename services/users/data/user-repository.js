@@ -0,0 +1,108 @@
+import { createClient } from 'redis';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
+import CONFIG from '../../../config.js';
+
+const client = await createClient({
+    url: CONFIG.redisUrl,
+}).on('error', (err) => console.log('Redis Client Error', err))
+  .connect();
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} name - Display name
+ * @property {string|null} email - Contact email
+ * @property {string|null} phone - Contact phone number
+ * @property {string|null} city - City the user lives in
+ * @property {string} locality - Neighbourhood the user lives in
+ * @property {number|null} latitude - Home latitude
+ * @property {number|null} longitude - Home longitude
+ * @property {Array<string>} preferences - Dining preferences
+ */
+
+/**
+ * User Repository - Data access layer for user documents (`users:{sessionId}`)
+ */
+export class UserRepository {
+    constructor() {
+        this.keyPrefix = 'users:';
+    }
+
+    /**
+     * Get the profile of a user
+     * @param {string} sessionId - User session ID
+     * @returns {Promise<UserProfile|null>} Profile or null if the user does not exist
+     */
+    async getProfile(sessionId) {
+        try {
+            const profile = await client.json.get(`${this.keyPrefix}${sessionId}`, { path: '$.profile' });
+            return profile && profile.length > 0 ? profile[0] : null;
+        } catch (error) {
+            console.error('Error getting user profile:', error);
+            throw new AppError(
+                'PROFILE_FETCH_ERROR',
+                `Failed to fetch profile for session: ${sessionId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Store the profile of a user, creating the user document if needed
+     * @param {string} sessionId - User session ID
+     * @param {UserProfile} profile - Complete profile
+     * @returns {Promise<UserProfile>} Stored profile
+     */
+    async saveProfile(sessionId, profile) {
+        const userKey = `${this.keyPrefix}${sessionId}`;
+        const now = new Date().toISOString();
+
+        try {
+            const exists = await client.exists(userKey);
+
+            if (!exists) {
+                await client.json.set(userKey, '$', {
+                    sessionId,
+                    chat: {},
+                    profile,
+                    createdAt: now,
+                    updatedAt: now,
+                });
+                return profile;
+            }
+
+            await client.json.set(userKey, '$.profile', profile);
+            await client.json.set(userKey, '$.updatedAt', now);
+            return profile;
+        } catch (error) {
+            console.error('Error saving user profile:', error);
+            throw new AppError(
+                'PROFILE_UPDATE_ERROR',
+                `Failed to save profile for session: ${sessionId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+
+    /**
+     * Replace the preferences of a user
+     * @param {string} sessionId - User session ID
+     * @param {Array<string>} preferences - Preferences
+     * @returns {Promise<Array<string>>} Stored preferences
+     */
+    async savePreferences(sessionId, preferences) {
+        const userKey = `${this.keyPrefix}${sessionId}`;
+
+        try {
+            await client.json.set(userKey, '$.profile.preferences', preferences);
+            await client.json.set(userKey, '$.updatedAt', new Date().toISOString());
+            return preferences;
+        } catch (error) {
+            console.error('Error updating user preferences:', error);
+            throw new AppError(
+                'PREFERENCES_UPDATE_ERROR',
+                `Failed to update preferences for session: ${sessionId}`,
+                HttpStatusCode.INTERNAL_SERVER_ERROR,
+            );
+        }
+    }
+}
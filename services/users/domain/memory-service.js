@@ -0,0 +1,156 @@
+import { MemoryRepository } from '../data/memory-repository.js';
+import { UserService } from './user-service.js';
+import { generateEmbeddings } from '../../ai/helpers/embeddings.js';
+
+// Facts at least this similar to an existing memory are treated as the same fact restated
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.88;
+
+/**
+ * @typedef {Object} ExtractedFact
+ * @property {string} text - The fact, phrased like a profile preference
+ * @property {string} category - Fact category
+ * @property {string|null} [supersedes] - Existing preference this fact replaces (e.g. an old locality)
+ */
+
+/**
+ * Memory Service - Long-term memory of durable user facts
+ *
+ * Every profile preference has a matching memory entry holding its embedding and provenance.
+ * New facts are deduplicated against those entries, and the profile's plain-text
+ * `preferences` are rewritten from the memories so the agent picks them up automatically.
+ */
+export class MemoryService {
+    constructor() {
+        this.memoryRepository = new MemoryRepository();
+        this.userService = new UserService();
+    }
+
+    /**
+     * Get the memories of a user without their embeddings
+     * @param {string} sessionId - User session ID
+     * @returns {Promise<Array<Object>>} Memories
+     */
+    async getMemories(sessionId) {
+        const memories = await this.memoryRepository.getMemories(sessionId);
+        return memories.map(({ embedding, ...memory }) => memory);
+    }
+
+    /**
+     * Store facts learned in a conversation, merging them with what is already known
+     * @param {string} sessionId - User session ID
+     * @param {ExtractedFact[]} facts - Facts extracted from the conversation
+     * @param {{chatId: string, message: string}} source - Where the facts were stated
+     * @returns {Promise<{added: string[], updated: string[], confirmed: string[]}>} What changed
+     */
+    async rememberFacts(sessionId, facts, source) {
+        const changes = { added: [], updated: [], confirmed: [] };
+        if (facts.length === 0) {
+            return changes;
+        }
+
+        const profile = await this.userService.getUserProfile(sessionId);
+        if (!profile) {
+            return changes;
+        }
+
+        const memories = await this._syncWithPreferences(sessionId, profile.preferences || []);
+        const embeddings = await generateEmbeddings(facts.map(fact => fact.text));
+        const now = new Date().toISOString();
+
+        facts.forEach((fact, index) => {
+            const embedding = embeddings[index];
+            const provenance = { type: 'conversation', chatId: source.chatId, message: source.message };
+
+            const superseded = fact.supersedes
+                && memories.find(memory => memory.text.toLowerCase() === fact.supersedes.toLowerCase());
+
+            if (superseded) {
+                Object.assign(superseded, { text: fact.text, category: fact.category, source: provenance, updatedAt: now, embedding });
+                changes.updated.push(fact.text);
+                return;
+            }
+
+            const { memory: closest, similarity } = this._findMostSimilar(memories, embedding);
+
+            if (closest && similarity >= DUPLICATE_SIMILARITY_THRESHOLD) {
+                Object.assign(closest, { source: provenance, updatedAt: now });
+                changes.confirmed.push(closest.text);
+                return;
+            }
+
+            memories.push({
+                id: this.memoryRepository.generateMemoryId(),
+                text: fact.text,
+                category: fact.category,
+                source: provenance,
+                createdAt: now,
+                updatedAt: now,
+                embedding,
+            });
+            changes.added.push(fact.text);
+        });
+
+        await this.memoryRepository.saveMemories(sessionId, memories);
+
+        if (changes.added.length > 0 || changes.updated.length > 0) {
+            await this.userService.updatePreferences(sessionId, memories.map(memory => memory.text));
+        }
+
+        return changes;
+    }
+
+    /**
+     * Make memories mirror the profile preferences: preferences without a memory (e.g. seeded ones)
+     * get one, and memories whose preference was removed from the profile are dropped
+     * @private
+     */
+    async _syncWithPreferences(sessionId, preferences) {
+        const stored = await this.memoryRepository.getMemories(sessionId);
+        const byText = new Map(stored.map(memory => [memory.text.toLowerCase(), memory]));
+
+        const missing = preferences.filter(preference => !byText.has(preference.toLowerCase()));
+        const embeddings = missing.length > 0 ? await generateEmbeddings(missing) : [];
+        const now = new Date().toISOString();
+
+        missing.forEach((preference, index) => {
+            byText.set(preference.toLowerCase(), {
+                id: this.memoryRepository.generateMemoryId(),
+                text: preference,
+                category: 'other',
+                source: { type: 'profile' },
+                createdAt: now,
+                updatedAt: now,
+                embedding: embeddings[index],
+            });
+        });
+
+        return preferences.map(preference => byText.get(preference.toLowerCase()));
+    }
+
+    /**
+     * @private
+     */
+    _findMostSimilar(memories, embedding) {
+        return memories.reduce((best, memory) => {
+            const similarity = this._cosineSimilarity(memory.embedding, embedding);
+            return similarity > best.similarity ? { memory, similarity } : best;
+        }, { memory: null, similarity: -1 });
+    }
+
+    /**
+     * @private
+     */
+    _cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+}
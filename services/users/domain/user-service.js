@@ -1,15 +1,21 @@
-import { createClient } from 'redis';
-import CONFIG from '../../../config.js';
+import { UserRepository } from '../data/user-repository.js';
+import { AppError, HttpStatusCode } from '../../../lib/errors.js';
 
-const client = await createClient({
-    url: CONFIG.redisUrl,
-}).on('error', (err) => console.log('Redis Client Error', err))
-  .connect();
+const PROFILE_FIELDS = ['name', 'email', 'phone', 'city', 'locality', 'latitude', 'longitude', 'preferences'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{6,19}$/;
+const MAX_PREFERENCES = 50;
+
+// Contact details older versions stored for users who never entered any
+const PLACEHOLDER_PHONE = '+91-0000000000';
 
 /**
- * User Service - Simple service to fetch user profile data
+ * User Service - Business logic for user profiles
  */
 export class UserService {
+    constructor() {
+        this.userRepository = new UserRepository();
+    }
 
     /**
      * Get user profile data from Redis
@@ -18,20 +24,132 @@ export class UserService {
      */
     async getUserProfile(sessionId) {
         try {
-            const userKey = `users:${sessionId}`;
-            const profile = await client.json.get(userKey, { path: '$.profile' });
-            
-            if (profile && profile.length > 0) {
-                return profile[0];
-            }
-            
-            return null;
+            return await this.userRepository.getProfile(sessionId);
         } catch (error) {
             console.error('Error fetching user profile:', error);
             return null;
         }
     }
 
+    /**
+     * Get user profile, failing if the user does not exist
+     * @param {string} sessionId - User session ID
+     * @returns {Promise<Object>} User profile
+     * @throws {AppError} If the user does not exist
+     */
+    async getProfile(sessionId) {
+        const profile = await this.userRepository.getProfile(sessionId);
+
+        if (!profile) {
+            throw new AppError(
+                'PROFILE_NOT_FOUND',
+                `No profile found for session: ${sessionId}`,
+                HttpStatusCode.NOT_FOUND,
+            );
+        }
+
+        return profile;
+    }
+
+    /**
+     * Replace a user's profile, creating the user if needed
+     * @param {string} sessionId - User session ID
+     * @param {Object} profileData - Complete profile (name is required)
+     * @returns {Promise<Object>} Stored profile
+     */
+    async replaceProfile(sessionId, profileData = {}) {
+        const profile = this._normalizeProfile({
+            name: profileData.name,
+            email: profileData.email ?? null,
+            phone: profileData.phone ?? null,
+            city: profileData.city ?? null,
+            locality: profileData.locality ?? 'Unknown',
+            latitude: profileData.latitude ?? null,
+            longitude: profileData.longitude ?? null,
+            preferences: profileData.preferences ?? [],
+        });
+
+        this._validateProfile(profile);
+
+        return this.userRepository.saveProfile(sessionId, profile);
+    }
+
+    /**
+     * Update some fields of an existing user's profile
+     * @param {string} sessionId - User session ID
+     * @param {Object} changes - Profile fields to change
+     * @returns {Promise<Object>} Updated profile
+     */
+    async updateProfile(sessionId, changes = {}) {
+        const unknownFields = Object.keys(changes).filter(field => !PROFILE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new AppError(
+                'INVALID_PROFILE',
+                `Unknown profile fields: ${unknownFields.join(', ')}`,
+                HttpStatusCode.BAD_REQUEST,
+            );
+        }
+
+        const current = await this.getProfile(sessionId);
+        const profile = this._normalizeProfile({ ...current, ...changes });
+
+        this._validateProfile(profile);
+
+        return this.userRepository.saveProfile(sessionId, profile);
+    }
+
+    /**
+     * Add a single preference to a user's profile
+     * @param {string} sessionId - User session ID
+     * @param {string} preference - Preference to add
+     * @returns {Promise<Array<string>>} Updated preferences
+     */
+    async addPreference(sessionId, preference) {
+        const profile = await this.getProfile(sessionId);
+        const text = typeof preference === 'string' ? preference.trim() : '';
+        const preferences = profile.preferences || [];
+
+        this._validatePreferences([...preferences, text]);
+
+        if (preferences.some(existing => existing.toLowerCase() === text.toLowerCase())) {
+            return preferences;
+        }
+
+        return this.userRepository.savePreferences(sessionId, [...preferences, text]);
+    }
+
+    /**
+     * Remove a single preference from a user's profile
+     * @param {string} sessionId - User session ID
+     * @param {string} preference - Preference to remove (case-insensitive)
+     * @returns {Promise<Array<string>>} Updated preferences
+     */
+    async removePreference(sessionId, preference) {
+        const profile = await this.getProfile(sessionId);
+        const preferences = profile.preferences || [];
+        const remaining = preferences.filter(existing => existing.toLowerCase() !== String(preference).trim().toLowerCase());
+
+        if (remaining.length === preferences.length) {
+            throw new AppError(
+                'PREFERENCE_NOT_FOUND',
+                `Preference not found: ${preference}`,
+                HttpStatusCode.NOT_FOUND,
+            );
+        }
+
+        return this.userRepository.savePreferences(sessionId, remaining);
+    }
+
+    /**
+     * Replace the preferences stored in a user's profile
+     * @param {string} sessionId - User session ID
+     * @param {Array<string>} preferences - Preferences
+     * @returns {Promise<Array<string>>} Stored preferences
+     */
+    async updatePreferences(sessionId, preferences) {
+        return this.userRepository.savePreferences(sessionId, preferences);
+    }
+
     /**
      * Get user location (latitude, longitude) from profile
      * @param {string} sessionId - User session ID
@@ -39,7 +157,7 @@ export class UserService {
      */
     async getUserLocation(sessionId) {
         const profile = await this.getUserProfile(sessionId);
-        
+
         if (profile && profile.latitude && profile.longitude) {
             return {
                 latitude: profile.latitude,
@@ -47,7 +165,7 @@ export class UserService {
                 locality: profile.locality || 'Unknown',
             };
         }
-        
+
         return null;
     }
 
@@ -58,15 +176,87 @@ export class UserService {
      */
     async getUserContactDetails(sessionId) {
         const profile = await this.getUserProfile(sessionId);
-        
+
         if (profile) {
             return {
                 name: profile.name || 'Guest',
                 email: profile.email || '',
-                phone: profile.phone || '',
+                phone: profile.phone && profile.phone !== PLACEHOLDER_PHONE ? profile.phone : '',
             };
         }
-        
+
         return null;
     }
+
+    /**
+     * Trim strings and turn blank contact fields into null
+     * @private
+     */
+    _normalizeProfile(profile) {
+        const normalized = {};
+
+        for (const field of PROFILE_FIELDS) {
+            let value = profile[field];
+
+            if (typeof value === 'string') {
+                value = value.trim();
+            }
+            if (['email', 'phone', 'city'].includes(field) && (value === '' || value === undefined)) {
+                value = null;
+            }
+            if (field === 'preferences' && Array.isArray(value)) {
+                value = value.map(preference => typeof preference === 'string' ? preference.trim() : preference);
+            }
+
+            normalized[field] = value;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * @private
+     */
+    _validateProfile(profile) {
+        const { name, email, phone, city, locality, latitude, longitude, preferences } = profile;
+
+        if (typeof name !== 'string' || name.length < 1 || name.length > 100) {
+            throw new AppError('INVALID_PROFILE', 'name must be between 1 and 100 characters', HttpStatusCode.BAD_REQUEST);
+        }
+        if (email !== null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+            throw new AppError('INVALID_PROFILE', 'email must be a valid email address', HttpStatusCode.BAD_REQUEST);
+        }
+        if (phone !== null && (typeof phone !== 'string' || !PHONE_PATTERN.test(phone))) {
+            throw new AppError('INVALID_PROFILE', 'phone must be a valid phone number', HttpStatusCode.BAD_REQUEST);
+        }
+        if (city !== null && (typeof city !== 'string' || city.length > 100)) {
+            throw new AppError('INVALID_PROFILE', 'city must be at most 100 characters', HttpStatusCode.BAD_REQUEST);
+        }
+        if (typeof locality !== 'string' || locality.length < 1 || locality.length > 100) {
+            throw new AppError('INVALID_PROFILE', 'locality must be between 1 and 100 characters', HttpStatusCode.BAD_REQUEST);
+        }
+        if ((latitude === null) !== (longitude === null)) {
+            throw new AppError('INVALID_PROFILE', 'latitude and longitude must be set together', HttpStatusCode.BAD_REQUEST);
+        }
+        if (latitude !== null && (typeof latitude !== 'number' || isNaN(latitude) || latitude < -90 || latitude > 90)) {
+            throw new AppError('INVALID_PROFILE', 'latitude must be between -90 and 90', HttpStatusCode.BAD_REQUEST);
+        }
+        if (longitude !== null && (typeof longitude !== 'number' || isNaN(longitude) || longitude < -180 || longitude > 180)) {
+            throw new AppError('INVALID_PROFILE', 'longitude must be between -180 and 180', HttpStatusCode.BAD_REQUEST);
+        }
+
+        this._validatePreferences(preferences);
+    }
+
+    /**
+     * @private
+     */
+    _validatePreferences(preferences) {
+        if (!Array.isArray(preferences) || preferences.length > MAX_PREFERENCES) {
+            throw new AppError('INVALID_PROFILE', `preferences must be a list of at most ${MAX_PREFERENCES} items`, HttpStatusCode.BAD_REQUEST);
+        }
+        if (preferences.some(preference => typeof preference !== 'string' || preference.length < 1 || preference.length > 200)) {
+            throw new AppError('INVALID_PROFILE', 'each preference must be between 1 and 200 characters', HttpStatusCode.BAD_REQUEST);
+        }
+    }
 }